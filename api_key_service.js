@@ -0,0 +1,142 @@
+const { loadCredentials, maskKey, CredentialError } = require('./credentials');
+const { ProfileError } = require('./organization_profiles');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('api-keys');
+
+/**
+ * API Key Service
+ * Inspects and rotates the Gather.Town API keys of a running client: what
+ * is in use and where it came from, storing keys in the keystore and
+ * promoting a new key once Gather accepts it for every registered space.
+ */
+
+class ApiKeyService {
+  constructor({ gatherApi, keystore, spaces, auditLog, profile = null }) {
+    this.gatherApi = gatherApi;
+    this.keystore = keystore;
+    this.spaces = spaces;
+    this.auditLog = auditLog;
+    this.profile = profile;
+  }
+
+  /**
+   * Where each key comes from, which one is in use and what the keystore holds
+   * (keys masked)
+   */
+  async describeCredentials() {
+    let keystore;
+    try {
+      const entries = await this.keystore.load();
+      keystore = { path: this.keystore.filePath, primary: maskKey(entries.primary), secondary: maskKey(entries.secondary),
+        rotatedAt: entries.rotatedAt || null };
+    } catch (error) {
+      keystore = { path: this.keystore.filePath, error: error.message };
+    }
+    const status = this.gatherApi.credentialStatus();
+    if (status.primary.source === 'offline') {
+      status.primary = null; // the placeholder that lets local-only commands run
+    }
+    return { profile: this.profile?.name || null, ...status, keystore };
+  }
+
+  /**
+   * The current key to keep as the secondary after a rotation: the one in
+   * use, or the other one if Gather now refuses it; null when neither works
+   */
+  async workingFallbackKey(newKey) {
+    const { credentials, activeSlot } = this.gatherApi;
+    const candidates = [credentials[activeSlot], credentials[activeSlot === 'primary' ? 'secondary' : 'primary']]
+      .filter(credential => credential && credential.source !== 'offline' && credential.key !== newKey);
+    for (const candidate of candidates) {
+      if ((await this.gatherApi.validateApiKey(candidate.key)).valid) {
+        return candidate.key;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Save a key in the keystore without checking it (e.g. the secondary
+   * before it is needed)
+   */
+  async storeApiKey(slot, key) {
+    return await this.keystore.store(slot, key);
+  }
+
+  /**
+   * Rotate to newKey: check that Gather accepts it and that it can read every
+   * registered space, then store it as the keystore's primary with a current
+   * key that still works as secondary, and switch this client over. Nothing is stored
+   * when the check fails.
+   */
+  async rotateApiKey(newKey) {
+    const spaceIds = (await this.spaces.list()).map(entry => entry.id);
+    logger.info(`🔑 Validating the new API key${spaceIds.length ? ` against ${spaceIds.length} registered space(s)` : ''}...`);
+    const validation = await this.gatherApi.validateApiKey(newKey, { spaceIds });
+    if (!validation.valid) {
+      const failed = validation.checks.filter(check => !check.ok)
+        .map(check => `${check.spaceId || 'authentication'}: ${check.status}`);
+      throw new CredentialError(`The new API key was not promoted; Gather refused it (${failed.join(', ')})`);
+    }
+
+    const previous = await this.workingFallbackKey(newKey);
+    const stored = await this.keystore.promote(newKey, previous);
+    await this.auditLog.record({
+      action: 'rotateApiKey',
+      target: { keystore: this.keystore.filePath },
+      before: { primary: maskKey(previous) },
+      after: { primary: stored.primary, secondary: stored.secondary }
+    }).catch(error => logger.warn(`⚠️ Could not audit the key rotation: ${error.message}`));
+
+    // Keys from the environment or a file still win over the keystore on the next run
+    const shadowedBy = ['primary', 'secondary']
+      .map(slot => this.gatherApi.credentials[slot])
+      .filter(credential => credential && /^(env|file|profile)/.test(credential.source))
+      .map(credential => credential.source);
+    this.gatherApi.setCredentials({
+      primary: { key: newKey, source: `keystore:${this.keystore.filePath}` },
+      secondary: previous ? { key: previous, source: `keystore:${this.keystore.filePath}` } : null
+    });
+    shadowedBy.forEach(source =>
+      logger.warn(`⚠️ The key from ${source} still takes precedence over the keystore; remove or update it so later runs use the new key`));
+
+    logger.info(`✅ Promoted API key ${stored.primary}; ${stored.secondary ? `${stored.secondary} stays as the secondary until it is revoked` : 'no secondary key kept'}`);
+    return { ...stored, keystore: this.keystore.filePath, validated: validation.checks, shadowedBy };
+  }
+}
+
+/**
+ * The keys to use: an explicit key, else the profile's own keys (never
+ * GATHER_API_KEY*, which belong to the environment's organization), else
+ * the environment's; either may be completed from the keystore
+ */
+function resolveCredentials(gatherApiKey, { profile = null, keystore, offline = false } = {}) {
+  if (gatherApiKey) {
+    return { primary: { key: gatherApiKey, source: 'argument' }, secondary: null };
+  }
+
+  let credentials;
+  try {
+    credentials = loadCredentials({ profile, keystore });
+  } catch (error) {
+    // Local-only commands still run (and can repair the keystore) when the keys cannot be read
+    if (!offline) throw error;
+    logger.warn(`⚠️ ${error.message}`);
+    credentials = { primary: null, secondary: null };
+  }
+
+  if (credentials.primary) {
+    return credentials;
+  }
+  if (offline) {
+    return { primary: { key: 'offline', source: 'offline' }, secondary: credentials.secondary };
+  }
+  if (profile) {
+    throw new ProfileError(`Profile "${profile.name}" has no API key` +
+      (profile.apiKeySource ? ` (${profile.apiKeySource} is not set)` : ' (set apiKey, apiKeyEnv or apiKeyFile, or store one in its keystore)'));
+  }
+  return credentials; // the client explains where a key can come from
+}
+
+module.exports = { ApiKeyService, resolveCredentials };
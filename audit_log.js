@@ -0,0 +1,324 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { getStateDir, readJson, writeJsonAtomic, withFileLock } = require('./state_store');
+const { getCorrelationId } = require('./logger');
+const { resolveConfig } = require('./config_schema');
+
+/**
+ * Audit Log
+ * Append-only, hash-chained record of guest, permission, space and
+ * invitation changes for the safety team. Each JSON line stores the hash of
+ * the previous entry, so editing or deleting any line breaks verify().
+ * With AUDIT_LOG_HMAC_KEY set, hashes are keyed and cannot be recomputed by
+ * someone who can only edit the file.
+ *
+ * Removing entries from the end leaves a valid chain, so the sequence and
+ * hash of the last entry are also kept in `<file>.head`. verify() compares
+ * the log with it. Without AUDIT_LOG_HMAC_KEY, someone who can edit both
+ * files can still truncate the log unnoticed; with it, the head carries a
+ * MAC that cannot be forged for an older entry.
+ */
+
+const GENESIS_HASH = '0'.repeat(64);
+const AUDIT_ACTIONS = ['addGuest', 'updateGuest', 'removeGuest', 'updateSpace', 'sendInvitation'];
+const EXPORT_FORMATS = ['json', 'jsonl', 'csv'];
+// The last line is searched for backwards in chunks of this size
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+const actorStorage = new AsyncLocalStorage();
+
+class AuditLog {
+  constructor(options = {}) {
+    const { values } = resolveConfig();
+    this.filePath = options.filePath || values.AUDIT_LOG_FILE || path.join(getStateDir(), 'audit.log');
+    this.actor = options.actor || values.FC_AUDIT_ACTOR || defaultActor();
+    this.hmacKey = options.hmacKey ?? values.AUDIT_LOG_HMAC_KEY;
+    this.headPath = `${this.filePath}.head`;
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Append an entry: { action, target, before, after, outcome, error }
+   * The actor comes from withActor() when set, otherwise the log's default.
+   * Reading the head and appending happen under a lock file, so processes
+   * writing to the same log extend one chain.
+   */
+  record({ action, target = {}, before = null, after = null, outcome = 'success', error = null }) {
+    // Appends from this process queue here rather than polling the lock file
+    const run = this.lock.then(() => withFileLock(this.filePath, async () => {
+      const head = await this.loadHead();
+      const entry = {
+        seq: head.seq + 1,
+        timestamp: new Date().toISOString(),
+        actor: currentActor() || this.actor,
+        action,
+        target,
+        before,
+        after,
+        outcome,
+        error: error ? { status: error.status ?? null, message: error.message } : null,
+        correlationId: getCorrelationId(),
+        prevHash: head.hash
+      };
+      entry.hash = this.hashEntry(entry);
+
+      await fs.appendFile(this.filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 });
+      await writeJsonAtomic(this.headPath, this.signHead({ seq: entry.seq, hash: entry.hash }));
+      return entry;
+    }));
+
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Entries matching a filter: { email, guestId, spaceId, action, actor, outcome, from, to }
+   * from/to are dates (inclusive)
+   */
+  async query(filter = {}) {
+    const entries = await this.readEntries();
+    const from = filter.from ? Date.parse(filter.from) : -Infinity;
+    const to = filter.to ? endOfDay(filter.to) : Infinity;
+    const email = filter.email ? filter.email.toLowerCase() : null;
+
+    return entries.filter((entry) => {
+      const at = Date.parse(entry.timestamp);
+      return at >= from && at <= to &&
+        (!filter.spaceId || entry.target.spaceId === filter.spaceId) &&
+        (!filter.guestId || entry.target.guestId === filter.guestId) &&
+        (!email || (entry.target.emails || []).includes(email)) &&
+        (!filter.action || entry.action === filter.action) &&
+        (!filter.actor || entry.actor === filter.actor) &&
+        (!filter.outcome || entry.outcome === filter.outcome);
+    });
+  }
+
+  /**
+   * Check every hash and link in the chain, and the chain's end against the
+   * head file. Resolves with { valid, entries, error: { seq, line, reason } | null }
+   */
+  async verify() {
+    const lines = await this.readLines();
+    let previous = { seq: 0, hash: GENESIS_HASH };
+    const hashes = [GENESIS_HASH];
+
+    for (let index = 0; index < lines.length; index++) {
+      const fail = reason => ({ valid: false, entries: index, error: { seq: previous.seq + 1, line: index + 1, reason } });
+      let entry;
+      try {
+        entry = JSON.parse(lines[index]);
+      } catch (error) {
+        return fail('Unparseable line');
+      }
+
+      if (entry.seq !== previous.seq + 1) {
+        return fail(`Expected sequence ${previous.seq + 1}, found ${entry.seq} (entry missing or reordered)`);
+      }
+      if (entry.prevHash !== previous.hash) {
+        return fail('Previous-hash link broken (entry removed or replaced)');
+      }
+      if (this.hashEntry(entry) !== entry.hash) {
+        return fail('Hash mismatch (entry modified)');
+      }
+      previous = entry;
+      hashes.push(entry.hash);
+    }
+
+    const reason = this.checkHead(await readJson(this.headPath, null), hashes);
+    if (reason) {
+      return { valid: false, entries: lines.length, error: { seq: previous.seq + 1, line: lines.length + 1, reason } };
+    }
+    return { valid: true, entries: lines.length, error: null };
+  }
+
+  /**
+   * Why the head file does not match the chain (hashes[seq]), or null
+   */
+  checkHead(head, hashes) {
+    const lastSeq = hashes.length - 1;
+    if (!head) {
+      return lastSeq === 0 ? null : 'Head file missing (cannot tell whether entries were removed from the end)';
+    }
+    if (this.hmacKey && this.signHead({ seq: head.seq, hash: head.hash }).mac !== head.mac) {
+      return 'Head file modified';
+    }
+    if (head.seq > lastSeq) {
+      return `Log ends at sequence ${lastSeq} but the head records ${head.seq} (entries removed from the end)`;
+    }
+    // The head may lag one append behind when a process stopped between the two writes
+    if (head.seq < lastSeq - 1 || hashes[head.seq] !== head.hash) {
+      return `Head records sequence ${head.seq} with a hash the log does not have (entries replaced)`;
+    }
+    return null;
+  }
+
+  signHead(head) {
+    return this.hmacKey
+      ? { ...head, mac: crypto.createHmac('sha256', this.hmacKey).update(`head:${head.seq}:${head.hash}`).digest('hex') }
+      : head;
+  }
+
+  /**
+   * Serialize matching entries as json, jsonl or csv
+   */
+  async export(format = 'json', filter = {}) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unknown export format: ${format} (expected ${EXPORT_FORMATS.join(', ')})`);
+    }
+    const entries = await this.query(filter);
+
+    if (format === 'jsonl') {
+      return entries.map(entry => JSON.stringify(entry)).join('\n');
+    }
+    if (format === 'json') {
+      return JSON.stringify(entries, null, 2);
+    }
+
+    const columns = ['seq', 'timestamp', 'actor', 'action', 'outcome', 'spaceId', 'guestId', 'emails',
+      'before', 'after', 'error', 'correlationId', 'hash'];
+    const rows = entries.map(entry => [
+      entry.seq,
+      entry.timestamp,
+      entry.actor,
+      entry.action,
+      entry.outcome,
+      entry.target.spaceId,
+      entry.target.guestId,
+      (entry.target.emails || []).join(';'),
+      entry.before === null ? '' : JSON.stringify(entry.before),
+      entry.after === null ? '' : JSON.stringify(entry.after),
+      entry.error ? entry.error.message : '',
+      entry.correlationId,
+      entry.hash
+    ].map(csvCell).join(','));
+    return [columns.join(','), ...rows].join('\n');
+  }
+
+  hashEntry(entry) {
+    const { hash, ...content } = entry;
+    const payload = canonicalJson(content);
+    return this.hmacKey
+      ? crypto.createHmac('sha256', this.hmacKey).update(payload).digest('hex')
+      : crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Sequence and hash of the last entry. Read from the log itself on every
+   * append so the CLI and a long-running process extend one chain.
+   */
+  async loadHead() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const line = await readLastLine(this.filePath);
+    if (line === null) {
+      return { seq: 0, hash: GENESIS_HASH };
+    }
+    const last = JSON.parse(line);
+    return { seq: last.seq, hash: last.hash };
+  }
+
+  async readEntries() {
+    return (await this.readLines()).map(line => JSON.parse(line));
+  }
+
+  async readLines() {
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      return content.split('\n').filter(line => line.trim() !== '');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+}
+
+/**
+ * The last non-empty line of a file (null when there is none), read
+ * backwards so an entry of any size comes back whole
+ */
+async function readLastLine(filePath) {
+  let handle;
+  try {
+    handle = await fs.open(filePath, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  try {
+    let position = (await handle.stat()).size;
+    let tail = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(position, TAIL_CHUNK_BYTES);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      tail = Buffer.concat([chunk, tail]);
+
+      let end = tail.length;
+      while (end > 0 && (tail[end - 1] === 0x0a || tail[end - 1] === 0x0d)) end--;
+      const start = end > 0 ? tail.lastIndexOf(0x0a, end - 1) : -1;
+      if (start !== -1 || (position === 0 && end > 0)) {
+        return tail.subarray(start + 1, end).toString('utf8');
+      }
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Attribute audit entries recorded inside fn to actor
+ * (e.g. 'system:guest-expiry', or the CLI's --actor)
+ */
+function withActor(actor, fn) {
+  return actorStorage.run({ actor }, fn);
+}
+
+function currentActor() {
+  const store = actorStorage.getStore();
+  return store ? store.actor : null;
+}
+
+function defaultActor() {
+  try {
+    return `${os.userInfo().username}@${os.hostname()}`;
+  } catch (error) {
+    return `unknown@${os.hostname()}`;
+  }
+}
+
+/**
+ * JSON with sorted keys so hashes do not depend on property order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function endOfDay(value) {
+  // A bare date ("2024-05-01") includes the whole day
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) ? Date.parse(value) + 24 * 60 * 60 * 1000 - 1 : Date.parse(value);
+}
+
+module.exports = {
+  AuditLog,
+  withActor,
+  AUDIT_ACTIONS,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,294 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDataFile } = require('./data_files');
+const { resolveConfig } = require('./config_schema');
+
+/**
+ * Auto-Moderation Engine
+ * Scores chat text locally against weighted term lists before it reaches
+ * anyone. Text and terms are reduced to the same "skeleton" so common
+ * evasions still match: leetspeak (k1ll), Unicode lookalikes (Cyrillic а),
+ * fullwidth and styled letters, zero-width characters, stretched letters
+ * (traaash) and spaced or dotted spelling (k y s, k.y.s).
+ *
+ * Community allowlists keep reclaimed terms usable, and context rules lower
+ * the score when someone reports or quotes what was said to them, or raise
+ * it when a term is aimed at someone ("you ..."). A rule's `unless` phrases
+ * keep it from applying, so "are you queer too?" is not read as an insult.
+ *
+ * Rules come from moderation/rules.json, or FC_MODERATION_RULES (JSON/YAML).
+ */
+
+const DEFAULT_RULES_PATH = path.join(__dirname, 'moderation', 'rules.json');
+const DEFAULT_CORPUS_PATH = path.join(__dirname, 'moderation', 'corpus.json');
+
+// What each configured autoModeration.action does when the action threshold is reached
+const ACTION_STEPS = {
+  mute_and_report: ['mute', 'report'],
+  remove_and_report: ['remove', 'report'],
+  mute: ['mute'],
+  report: ['report'],
+  flag: ['review']
+};
+
+const INVISIBLE = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+const DIACRITICS = /[\u0300-\u036F]/g;
+const EDGE_PUNCTUATION = /^[("'\u201C\u2018[{<]+|[.,!?;:)"'\u201D\u2019\]}>]+$/g;
+
+// Lookalike letters from other scripts, mapped to the Latin letter they imitate
+const CONFUSABLES = {
+  а: 'a', в: 'b', с: 'c', ԁ: 'd', е: 'e', ё: 'e', г: 'r', һ: 'h', н: 'h', і: 'i', ї: 'i', ј: 'j',
+  к: 'k', м: 'm', о: 'o', р: 'p', ԛ: 'q', ѕ: 's', т: 't', у: 'y', х: 'x', ү: 'y', ԝ: 'w',
+  α: 'a', β: 'b', ε: 'e', η: 'n', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p', τ: 't', υ: 'u', χ: 'x',
+  ƒ: 'f', ɡ: 'g', ı: 'i', ł: 'l', ø: 'o', đ: 'd', ß: 's'
+};
+
+// Leetspeak; i, l, 1, |, ! all become "i" so "k1ll" and "kill" share a skeleton
+const LEET = {
+  0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b', 9: 'g',
+  '@': 'a', $: 's', '!': 'i', '|': 'i', '+': 't', l: 'i'
+};
+
+// Spelled-out words ("k y s") are rejoined once this many single characters follow each other
+const MIN_SPACED_RUN = 3;
+
+class ModerationEngine {
+  constructor(options = {}) {
+    const { values } = resolveConfig();
+    const rules = options.rules || loadRules(options.rulesFile || values.FC_MODERATION_RULES || DEFAULT_RULES_PATH);
+    const extraAllowlist = [...(options.allowlist || []), ...values.FC_MODERATION_ALLOWLIST];
+
+    this.action = options.action || values.FC_AUTO_MODERATION_ACTION || rules.action || 'mute_and_report';
+    if (!ACTION_STEPS[this.action]) {
+      throw new Error(`Unknown auto-moderation action: ${this.action} (expected ${Object.keys(ACTION_STEPS).join(', ')})`);
+    }
+
+    this.thresholds = { flag: 1.5, action: 4, ...rules.thresholds, ...options.thresholds };
+    this.terms = (rules.terms || []).map(compileTerm);
+    this.allowlist = new Set([...(rules.allowlist || []), ...extraAllowlist].map(term => compilePhrase(term).join('')));
+    this.contextRules = (rules.contextRules || []).map(rule => ({
+      ...rule,
+      window: rule.window ?? 3,
+      phrases: (rule.before || []).map(compilePhrase),
+      exceptions: (rule.unless || []).map(compilePhrase)
+    }));
+  }
+
+  /**
+   * Score a message. Resolves the verdict from the thresholds:
+   * { verdict: 'allow' | 'flag' | <action>, steps, score, category, matches }
+   * Each match lists the term, the text it matched, its weight and the
+   * context rules that changed it.
+   */
+  evaluate(text) {
+    const tokens = tokenize(String(text || ''));
+    const matches = [];
+
+    tokens.forEach((token, index) => {
+      for (const term of this.terms) {
+        const length = matchTerm(tokens, index, term);
+        if (!length) continue;
+
+        const rules = this.contextRules.filter(rule => ruleApplies(rule, tokens, index));
+        const allowlisted = this.allowlist.has(term.joined) && !rules.some(rule => rule.overridesAllowlist);
+        const factor = allowlisted ? 0 : rules.reduce((product, rule) => product * rule.factor, 1);
+
+        matches.push({
+          term: term.term,
+          category: term.category,
+          text: tokens.slice(index, index + length).map(candidate => candidate.source).join(' '),
+          weight: term.weight,
+          factor,
+          score: term.weight * factor,
+          allowlisted,
+          rules: rules.map(rule => rule.id)
+        });
+      }
+    });
+
+    const score = Math.round(matches.reduce((total, match) => total + match.score, 0) * 100) / 100;
+    const verdict = score >= this.thresholds.action ? this.action : score >= this.thresholds.flag ? 'flag' : 'allow';
+    const strongest = matches.filter(match => match.score > 0).sort((a, b) => b.score - a.score)[0];
+
+    return {
+      verdict,
+      steps: ACTION_STEPS[verdict] || [],
+      score,
+      category: strongest ? strongest.category : null,
+      matches
+    };
+  }
+}
+
+/**
+ * Run the engine over a labelled corpus ([{ text, expected, note }])
+ * Resolves with accuracy, precision/recall for "should be acted on" and the
+ * cases where the verdict differs from the label
+ */
+function evaluateCorpus(engine, corpus) {
+  const results = corpus.map((sample) => {
+    const result = engine.evaluate(sample.text);
+    // Labels name the configured action generically, so "action" matches whatever it is
+    const expected = sample.expected === 'action' ? engine.action : sample.expected;
+    return { ...sample, expected, verdict: result.verdict, score: result.score, matches: result.matches };
+  });
+
+  const acted = verdict => verdict !== 'allow';
+  const count = predicate => results.filter(predicate).length;
+  const truePositives = count(result => acted(result.verdict) && acted(result.expected));
+  const predictedPositives = count(result => acted(result.verdict));
+  const actualPositives = count(result => acted(result.expected));
+  const correct = count(result => result.verdict === result.expected);
+
+  return {
+    total: results.length,
+    correct,
+    accuracy: results.length === 0 ? 1 : correct / results.length,
+    precision: predictedPositives === 0 ? 1 : truePositives / predictedPositives,
+    recall: actualPositives === 0 ? 1 : truePositives / actualPositives,
+    falsePositives: results.filter(result => acted(result.verdict) && !acted(result.expected)),
+    falseNegatives: results.filter(result => !acted(result.verdict) && acted(result.expected)),
+    mismatches: results.filter(result => result.verdict !== result.expected)
+  };
+}
+
+function loadRules(filePath) {
+  return parseDataFile(fs.readFileSync(filePath, 'utf8'), filePath);
+}
+
+function loadCorpus(filePath = DEFAULT_CORPUS_PATH) {
+  const data = parseDataFile(fs.readFileSync(filePath, 'utf8'), filePath);
+  return Array.isArray(data) ? data : data.samples || [];
+}
+
+/**
+ * Reduce one word to its matching skeleton
+ */
+function skeleton(word) {
+  let result = '';
+  for (const character of word) {
+    const letter = CONFUSABLES[character] || character;
+    result += LEET[letter] || letter;
+  }
+  // Separators inside a word (k.y.s, k-y-s) and anything else non-alphabetic are dropped,
+  // then stretched letters collapse (traaash -> trash)
+  return collapse(result.replace(/[^a-z]/g, ''));
+}
+
+/**
+ * Split text into skeleton tokens, keeping each token's original text
+ */
+function tokenize(text) {
+  const cleaned = text.normalize('NFKC').replace(INVISIBLE, '')
+    .normalize('NFD').replace(DIACRITICS, '')
+    .toLowerCase();
+
+  const words = cleaned.split(/\s+/).filter(Boolean).map((chunk) => {
+    const trimmed = chunk.replace(EDGE_PUNCTUATION, '');
+    return { word: skeleton(trimmed), source: chunk, single: [...trimmed].length === 1 };
+  }).filter(token => token.word);
+
+  const tokens = [];
+  for (let index = 0; index < words.length; index++) {
+    let end = index;
+    while (end < words.length && words[end].single) end++;
+
+    if (end - index >= MIN_SPACED_RUN) {
+      const run = words.slice(index, end);
+      tokens.push({
+        word: collapse(run.map(token => token.word).join('')),
+        source: run.map(token => token.source).join(' '),
+        spaced: true
+      });
+      index = end - 1;
+    } else {
+      tokens.push(words[index]);
+    }
+  }
+  return tokens;
+}
+
+function compilePhrase(phrase) {
+  return String(phrase).toLowerCase().split(/\s+/).map(skeleton).filter(Boolean);
+}
+
+function compileTerm(entry) {
+  const definition = typeof entry === 'string' ? { term: entry } : entry;
+  const words = compilePhrase(definition.term);
+  return {
+    term: definition.term,
+    weight: definition.weight ?? 1,
+    category: definition.category || 'inappropriate_behavior',
+    words,
+    joined: words.join('')
+  };
+}
+
+/**
+ * Number of tokens the term matches at index (0 for no match)
+ * Plurals match too, and a multi-word term also matches written as one word.
+ * A spaced run can spell the first words of a term that the following
+ * tokens finish ("k i l l yourself").
+ */
+function matchTerm(tokens, index, term) {
+  const token = tokens[index];
+  if (token.spaced) {
+    if (token.word.includes(term.joined)) {
+      return 1;
+    }
+    for (let count = term.words.length - 1; count > 0; count--) {
+      const start = collapse(term.words.slice(0, count).join(''));
+      const rest = matchWords(tokens, index + 1, term.words.slice(count));
+      if (token.word.endsWith(start) && rest) {
+        return 1 + rest;
+      }
+    }
+    return 0;
+  }
+  if (term.words.length > 1 && sameWord(token.word, term.joined)) {
+    return 1;
+  }
+  return matchWords(tokens, index, term.words);
+}
+
+/**
+ * Number of tokens from index that spell words one by one (0 for no match)
+ */
+function matchWords(tokens, index, words) {
+  for (let offset = 0; offset < words.length; offset++) {
+    const candidate = tokens[index + offset];
+    const last = offset === words.length - 1;
+    if (!candidate || !(last ? sameWord(candidate.word, words[offset]) : candidate.word === words[offset])) {
+      return 0;
+    }
+  }
+  return words.length;
+}
+
+// Repeated letters become one (traaash -> trash)
+function collapse(word) {
+  return word.replace(/(.)\1+/g, '$1');
+}
+
+function sameWord(word, termWord) {
+  return word === termWord || word === `${termWord}s` || word === `${termWord}es`;
+}
+
+/**
+ * A context rule applies when one of its phrases appears within `window`
+ * tokens before the match and none of its exceptions does
+ */
+function ruleApplies(rule, tokens, index) {
+  const preceding = tokens.slice(Math.max(0, index - rule.window), index).map(token => token.word);
+  const contains = phrase => preceding.some((word, start) => phrase.every((part, offset) => preceding[start + offset] === part));
+  return rule.phrases.some(contains) && !rule.exceptions.some(contains);
+}
+
+module.exports = {
+  ModerationEngine,
+  evaluateCorpus,
+  loadCorpus,
+  tokenize,
+  ACTION_STEPS,
+  DEFAULT_CORPUS_PATH
+};
@@ -0,0 +1,154 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { getStateDir, readJson, writeJsonAtomic } = require('./state_store');
+
+/**
+ * Bulk Invite Job Store
+ * Persists bulk invitation jobs with per-guest status so an interrupted run
+ * can be resumed without sending duplicate invitations
+ */
+
+const GUEST_STATUS = {
+  PENDING: 'pending',
+  INVITED: 'invited',
+  ALREADY_INVITED: 'already_invited',
+  FAILED: 'failed',
+  WAITLISTED: 'waitlisted' // held back by the capacity policy until released
+};
+
+const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  INTERRUPTED: 'interrupted', // stopped by an error; resume it with resumeBulkInviteJob
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors'
+};
+
+const DONE_STATUSES = [GUEST_STATUS.INVITED, GUEST_STATUS.ALREADY_INVITED];
+
+class BulkInviteJobStore {
+  constructor(directory) {
+    this.directory = directory || path.join(getStateDir(), 'jobs');
+    this.writes = new Map(); // jobId -> pending write chain
+  }
+
+  /**
+   * Create and persist a job; guests are deduplicated by case-insensitive email.
+   * options.waitlist lists emails to hold back; options.capacity is the
+   * capacity assessment kept with the job.
+   */
+  async create(spaceId, guestList, options = {}) {
+    const waitlist = new Set((options.waitlist || []).map(email => String(email).trim().toLowerCase()));
+    const seen = new Set();
+    const guests = [];
+
+    for (const guest of guestList) {
+      const email = String(guest.email || '').trim().toLowerCase();
+      if (seen.has(email)) {
+        continue;
+      }
+      seen.add(email);
+      const status = waitlist.has(email) ? GUEST_STATUS.WAITLISTED : GUEST_STATUS.PENDING;
+      guests.push({ email, guest: { ...guest, email }, status, attempts: 0, error: null, guestId: null });
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: options.jobId || `job_${uuidv4()}`,
+      spaceId,
+      status: JOB_STATUS.PENDING,
+      createdAt: now,
+      updatedAt: now,
+      capacity: options.capacity || null,
+      error: null,
+      guests
+    };
+
+    await this.save(job);
+    return job;
+  }
+
+  /**
+   * Load a job by ID
+   */
+  async load(jobId) {
+    const job = await readJson(this.jobPath(jobId));
+    if (!job) {
+      throw new Error(`Bulk invite job not found: ${jobId}`);
+    }
+    return job;
+  }
+
+  /**
+   * List persisted jobs, newest first
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const jobs = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.load(path.basename(file, '.json'))));
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Persist a job; writes for the same job are serialized and atomic
+   */
+  save(job) {
+    job.updatedAt = new Date().toISOString();
+    const snapshot = JSON.parse(JSON.stringify(job));
+    const previous = this.writes.get(job.id) || Promise.resolve();
+
+    const write = previous.then(() => writeJsonAtomic(this.jobPath(job.id), snapshot));
+
+    this.writes.set(job.id, write.catch(() => {}));
+    return write;
+  }
+
+  jobPath(jobId) {
+    if (!/^[\w-]+$/.test(jobId)) {
+      throw new Error(`Invalid job ID: ${jobId}`);
+    }
+    return path.join(this.directory, `${jobId}.json`);
+  }
+}
+
+/**
+ * Summarize per-guest status counts for a job
+ */
+function getJobProgress(job) {
+  const count = status => job.guests.filter(entry => entry.status === status).length;
+  const total = job.guests.length;
+  const done = job.guests.filter(entry => DONE_STATUSES.includes(entry.status)).length;
+  // Waitlisted guests are not part of the work until they are released
+  const waitlisted = count(GUEST_STATUS.WAITLISTED);
+
+  return {
+    jobId: job.id,
+    spaceId: job.spaceId,
+    status: job.status,
+    total,
+    invited: count(GUEST_STATUS.INVITED),
+    alreadyInvited: count(GUEST_STATUS.ALREADY_INVITED),
+    failed: count(GUEST_STATUS.FAILED),
+    pending: count(GUEST_STATUS.PENDING),
+    waitlisted,
+    percentComplete: total === waitlisted ? 100 : Math.round((done / (total - waitlisted)) * 100),
+    updatedAt: job.updatedAt
+  };
+}
+
+module.exports = {
+  BulkInviteJobStore,
+  GUEST_STATUS,
+  JOB_STATUS,
+  DONE_STATUSES,
+  getJobProgress
+};
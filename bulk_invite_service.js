@@ -0,0 +1,253 @@
+const { ConflictError } = require('./gather_api_client');
+const { fitWithinLimit } = require('./capacity_planner');
+const {
+  GUEST_STATUS,
+  JOB_STATUS,
+  DONE_STATUSES,
+  getJobProgress
+} = require('./bulk_invite_jobs');
+const { createLogger, withCorrelationId } = require('./logger');
+
+const logger = createLogger('bulk-invite');
+
+/**
+ * Bulk Invite Service
+ * Invites guest lists as persisted jobs (bulk_invite_jobs.js) in batches,
+ * after the capacity guard has decided who fits. Interrupted jobs resume
+ * where they stopped and waitlisted guests are released once they fit.
+ */
+
+class BulkInviteService {
+  constructor({ gatherApi, jobStore, roles, messenger, capacity, expiryScheduler, metrics }) {
+    this.gatherApi = gatherApi;
+    this.jobStore = jobStore;
+    this.roles = roles;
+    this.messenger = messenger;
+    this.capacity = capacity;
+    this.expiryScheduler = expiryScheduler;
+    this.activeJobs = new Map();
+    this.metrics = defineMetrics(metrics, this.activeJobs);
+  }
+
+  /**
+   * Bulk invite management for larger guest lists
+   * Runs as a persisted job; see runBulkInviteJob for resume semantics.
+   * The capacity policy (options.capacityPolicy, default FC_CAPACITY_POLICY)
+   * may block the job or waitlist part of it; see releaseWaitlist.
+   */
+  async bulkInviteGuests(spaceId, guestList, options = {}) {
+    logger.info(`📬 Processing bulk invitations for ${guestList.length} guests...`);
+
+    const { waitlist, capacity } = await this.capacity.applyCapacityPolicy(spaceId, guestList, options.capacityPolicy);
+    const job = await this.jobStore.create(spaceId, guestList, { ...options, waitlist, capacity });
+    logger.info(`🗂️ Bulk invite job ${job.id} created`);
+    if (waitlist.length > 0) {
+      this.metrics.guests.inc({ outcome: GUEST_STATUS.WAITLISTED }, waitlist.length);
+    }
+
+    const finished = await this.runBulkInviteJob(job.id, options);
+    return finished.guests.map((entry) => {
+      if (DONE_STATUSES.includes(entry.status)) {
+        return { guest: entry.email, status: entry.status, guestId: entry.guestId };
+      }
+      if (entry.status === GUEST_STATUS.WAITLISTED) {
+        return { guest: entry.email, status: entry.status };
+      }
+      return { error: entry.error, guest: entry.email };
+    });
+  }
+
+  /**
+   * Invite a job's waitlisted guests who now fit within the capacity limit,
+   * in the order they were waitlisted; the rest stay on the waitlist.
+   * force: true releases everyone.
+   */
+  async releaseWaitlist(jobId, options = {}) {
+    if (this.activeJobs.has(jobId)) {
+      throw new Error(`Bulk invite job ${jobId} is running; release its waitlist when it has finished`);
+    }
+    const job = await this.jobStore.load(jobId);
+    const waiting = job.guests.filter(entry => entry.status === GUEST_STATUS.WAITLISTED);
+
+    let released = waiting;
+    if (!options.force && waiting.length > 0) {
+      const { plan, existingGuests } = await this.capacity.assessCapacity(job.spaceId, []);
+      this.capacity.requireLimit(plan);
+      const { accepted } = fitWithinLimit(existingGuests, waiting.map(entry => entry.guest),
+        plan.limit, this.capacity.attendanceRates);
+      released = waiting.slice(0, accepted.length);
+    }
+
+    if (released.length === 0) {
+      logger.info(`⏸️ No waitlisted guests of job ${jobId} fit yet (${waiting.length} waiting)`);
+      return getJobProgress(job);
+    }
+
+    released.forEach((entry) => { entry.status = GUEST_STATUS.PENDING; });
+    await this.jobStore.save(job);
+    logger.info(`▶️ Releasing ${released.length} of ${waiting.length} waitlisted guests of job ${jobId}...`);
+    return getJobProgress(await this.runBulkInviteJob(jobId, options));
+  }
+
+  /**
+   * Process every guest in a job that is not yet done. Safe to call again after
+   * a crash: invited guests are skipped and 409 conflicts count as done.
+   */
+  async runBulkInviteJob(jobId, options = {}) {
+    // Every log line of the job, including API calls, carries the job ID
+    return await withCorrelationId(jobId, () => this.processBulkInviteJob(jobId, options));
+  }
+
+  async processBulkInviteJob(jobId, options = {}) {
+    const batchSize = options.batchSize || 10; // Process 10 guests at a time
+    const job = await this.jobStore.load(jobId);
+    this.activeJobs.set(job.id, job);
+
+    const remaining = job.guests.filter(entry => !DONE_STATUSES.includes(entry.status) && entry.status !== GUEST_STATUS.WAITLISTED);
+    const messageContext = { spaceUrl: remaining.length > 0 ? await this.messenger.getSpaceUrl(job.spaceId) : null };
+    job.status = JOB_STATUS.RUNNING;
+    job.error = null;
+    await this.jobStore.save(job);
+
+    // Split into batches; pacing is handled by the client's shared rate limiter
+    const batches = chunkArray(remaining, batchSize);
+    const startedAt = Date.now();
+
+    try {
+      for (let i = 0; i < batches.length; i++) {
+        logger.debug(`Processing batch ${i + 1}/${batches.length} of job ${job.id}...`, { batch: i + 1, batches: batches.length });
+
+        await Promise.all(batches[i].map(entry => this.inviteJobGuest(job, entry, messageContext)));
+
+        if (options.onProgress) {
+          options.onProgress(getJobProgress(job));
+        }
+      }
+
+      const progress = getJobProgress(job);
+      job.status = progress.failed > 0 ? JOB_STATUS.COMPLETED_WITH_ERRORS : JOB_STATUS.COMPLETED;
+      await this.jobStore.save(job);
+      this.recordBulkInviteRun(job, remaining.length, startedAt);
+
+      logger.info(`📊 Bulk invitation complete: ${progress.invited + progress.alreadyInvited} successful, ${progress.failed} failed`, {
+        jobId: job.id,
+        invited: progress.invited,
+        alreadyInvited: progress.alreadyInvited,
+        failed: progress.failed
+      });
+      return job;
+    } catch (error) {
+      // Persisted so the job no longer reads as running; the guests keep the status they reached
+      job.status = JOB_STATUS.INTERRUPTED;
+      job.error = error.message;
+      try {
+        await this.jobStore.save(job);
+      } catch (saveError) {
+        logger.error(`❌ Could not record that bulk invite job ${job.id} was interrupted: ${saveError.message}`, { jobId: job.id });
+      }
+      this.recordBulkInviteRun(job, remaining.length, startedAt);
+      logger.error(`❌ Bulk invite job ${job.id} interrupted: ${error.message}; resume it with resumeBulkInviteJob`, { jobId: job.id, error });
+      throw error;
+    } finally {
+      this.activeJobs.delete(job.id);
+    }
+  }
+
+  recordBulkInviteRun(job, processed, startedAt) {
+    const seconds = (Date.now() - startedAt) / 1000;
+    this.metrics.jobs.inc({ status: job.status });
+    this.metrics.duration.observe({}, seconds);
+    if (processed > 0 && seconds > 0) {
+      this.metrics.throughput.set({}, Math.round((processed / seconds) * 100) / 100);
+    }
+  }
+
+  /**
+   * Resume an interrupted bulk invite job
+   */
+  async resumeBulkInviteJob(jobId, options = {}) {
+    logger.info(`▶️ Resuming bulk invite job ${jobId}...`);
+    return await this.runBulkInviteJob(jobId, options);
+  }
+
+  /**
+   * Current progress of a job, live if it is running in this process
+   */
+  async getBulkInviteJobProgress(jobId) {
+    const job = this.activeJobs.get(jobId) || await this.jobStore.load(jobId);
+    return getJobProgress(job);
+  }
+
+  /**
+   * Invite one job guest and persist its outcome
+   */
+  async inviteJobGuest(job, entry, messageContext = {}) {
+    entry.attempts += 1;
+
+    try {
+      const guest = this.roles.resolveGuest(entry.guest);
+      const result = await this.gatherApi.addGuest(job.spaceId, {
+        ...guest,
+        ...this.messenger.guestInvitationFields(guest, messageContext)
+      });
+      entry.status = GUEST_STATUS.INVITED;
+      entry.guestId = result?.guests?.[0]?.id || null;
+      entry.error = null;
+
+      if (entry.guest.expiresAt && entry.guestId) {
+        await this.expiryScheduler.schedule({
+          spaceId: job.spaceId,
+          guestId: entry.guestId,
+          email: entry.email,
+          name: entry.guest.name || null,
+          locale: entry.guest.locale || null,
+          expiresAt: entry.guest.expiresAt,
+          action: entry.guest.onExpiry || 'revoke'
+        });
+      }
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        entry.status = GUEST_STATUS.ALREADY_INVITED;
+        entry.error = null;
+      } else {
+        entry.status = GUEST_STATUS.FAILED;
+        entry.error = error.message;
+        logger.warn(`⚠️ Invitation for ${entry.email} failed: ${error.message}`, { spaceId: job.spaceId, error });
+      }
+    }
+    this.metrics.guests.inc({ outcome: entry.status });
+
+    await this.jobStore.save(job);
+  }
+}
+
+/**
+ * Bulk invite metrics, registered on the shared MetricsRegistry
+ */
+function defineMetrics(metrics, activeJobs) {
+  const active = metrics.gauge('fc_bulk_invite_jobs_active', 'Bulk invite jobs running in this process');
+  metrics.onCollect(() => active.set({}, activeJobs.size));
+  return {
+    guests: metrics.counter('fc_bulk_invite_guests_total',
+      'Bulk invite guests processed, by outcome', ['outcome']),
+    jobs: metrics.counter('fc_bulk_invite_jobs_total',
+      'Bulk invite job runs, by final status', ['status']),
+    duration: metrics.histogram('fc_bulk_invite_job_duration_seconds',
+      'Bulk invite job run time', [], [1, 5, 15, 30, 60, 300, 900, 1800, 3600]),
+    throughput: metrics.gauge('fc_bulk_invite_throughput_guests_per_second',
+      'Guests processed per second in the last bulk invite job run')
+  };
+}
+
+/**
+ * Utility: Split array into chunks
+ */
+function chunkArray(array, size) {
+  const chunks = [];
+  for (let i = 0; i < array.length; i += size) {
+    chunks.push(array.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = { BulkInviteService, chunkArray };
@@ -0,0 +1,152 @@
+const {
+  validateSpaceCapacity,
+  projectConcurrency,
+  fitWithinLimit,
+  CapacityError
+} = require('./capacity_planner');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('capacity');
+
+/**
+ * Capacity Guard
+ * Applies capacity_planner.js to live spaces: checks area capacities before
+ * a space is created or updated, and checks guest lists against a space's
+ * limit under the capacity policy (FC_CAPACITY_POLICY) before they are
+ * invited.
+ */
+
+class CapacityGuard {
+  constructor({ gatherApi, policy = 'warn', threshold = 1, attendanceRates = {} }) {
+    this.gatherApi = gatherApi;
+    this.policy = policy;
+    this.threshold = threshold;
+    this.attendanceRates = attendanceRates;
+  }
+
+  /**
+   * Throw a CapacityError when an area cannot fit in the space; log the
+   * mismatches that are only suspicious
+   */
+  checkSpaceCapacity(spaceConfig) {
+    const check = validateSpaceCapacity(spaceConfig);
+    const name = spaceConfig.name || spaceConfig.id;
+    if (check.errors.length > 0) {
+      throw new CapacityError(`Space "${name}" does not fit its capacity: ${check.errors.join('; ')}`, check);
+    }
+    check.warnings.forEach(warning => logger.warn(`⚠️ Space "${name}": ${warning}`));
+    return check;
+  }
+
+  /**
+   * Check a guest list against the space's capacity limit under a capacity
+   * policy: { waitlist: emails to hold back, capacity: the plan, or null when
+   * not checked }
+   */
+  async applyCapacityPolicy(spaceId, guestList, policy = this.policy) {
+    if (policy === 'off') {
+      return { waitlist: [], capacity: null };
+    }
+
+    let assessment;
+    try {
+      assessment = await this.assessCapacity(spaceId, guestList, policy);
+    } catch (error) {
+      // A warning is all the default policy would give, so it should not stop invitations
+      if (policy !== 'warn') throw error;
+      logger.warn(`⚠️ Capacity check skipped: ${error.message}`, { spaceId, error });
+      return { waitlist: [], capacity: null };
+    }
+
+    const { plan, existingGuests, candidates } = assessment;
+    if (plan.limit === null) {
+      // Without a usable capacity there is no limit to hold block or waitlist to
+      if (policy !== 'warn') this.requireLimit(plan);
+      logger.warn(`⚠️ Capacity check skipped: ${describeMissingLimit(plan)}`, { spaceId });
+      return { waitlist: [], capacity: plan };
+    }
+    if (!plan.overLimit) {
+      return { waitlist: [], capacity: plan };
+    }
+
+    const message = `Projected peak of ${plan.projected.peak} guests exceeds the limit of ${plan.limit} ` +
+      `for space ${spaceId} (capacity ${plan.capacity}, threshold ${plan.threshold})`;
+    if (policy === 'block') {
+      throw new CapacityError(`${message}; no invitations sent`, plan);
+    }
+    if (policy !== 'waitlist') {
+      logger.warn(`⚠️ ${message}`, { spaceId });
+      return { waitlist: [], capacity: plan };
+    }
+
+    const { accepted, waitlisted } = fitWithinLimit(existingGuests, candidates, plan.limit, this.attendanceRates);
+    logger.warn(`⚠️ ${message}; waitlisting ${waitlisted.length} of ${candidates.length} guests`, { spaceId });
+    return {
+      waitlist: waitlisted.map(guest => guest.email),
+      capacity: { ...plan, accepted: accepted.length, waitlisted: waitlisted.length }
+    };
+  }
+
+  /**
+   * Concurrency projection for a space: its current guests, and with
+   * newGuests added (guests already in the space count once). The limit is
+   * the capacity times FC_CAPACITY_THRESHOLD.
+   */
+  async planCapacity(spaceId, newGuests = []) {
+    const { plan } = await this.assessCapacity(spaceId, newGuests);
+    return plan;
+  }
+
+  /**
+   * Throw a CapacityError when a plan has no limit to check guests against
+   */
+  requireLimit(plan) {
+    if (plan.limit === null) {
+      throw new CapacityError(`Cannot check guests against the capacity of space ${plan.spaceId}: ` +
+        `${describeMissingLimit(plan)}; no invitations sent`, plan);
+    }
+  }
+
+  async assessCapacity(spaceId, newGuests, policy = this.policy) {
+    const [space, existingGuests] = await Promise.all([
+      this.gatherApi.getSpace(spaceId),
+      this.gatherApi.listAllGuests(spaceId)
+    ]);
+
+    const seen = new Set(existingGuests.map(guest => String(guest.email).toLowerCase()));
+    const candidates = newGuests.filter((guest) => {
+      const email = String(guest.email || '').trim().toLowerCase();
+      if (!email || seen.has(email)) return false;
+      seen.add(email);
+      return true;
+    });
+
+    const layout = validateSpaceCapacity(space);
+    const capacity = layout.errors.length === 0 ? space.capacity : null;
+    const limit = capacity ? Math.floor(capacity * this.threshold) : null;
+    const options = { capacity, rates: this.attendanceRates };
+    const projected = projectConcurrency([...existingGuests, ...candidates], options);
+
+    const plan = {
+      spaceId,
+      policy,
+      capacity,
+      threshold: this.threshold,
+      limit,
+      layout,
+      newGuests: candidates.length,
+      current: projectConcurrency(existingGuests, options),
+      projected,
+      overLimit: limit !== null && projected.peak > limit
+    };
+    return { plan, existingGuests, candidates };
+  }
+}
+
+function describeMissingLimit(plan) {
+  return plan.layout.errors.length > 0
+    ? `its layout does not fit its capacity (${plan.layout.errors.join('; ')})`
+    : 'it has no capacity';
+}
+
+module.exports = { CapacityGuard };
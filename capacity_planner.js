@@ -0,0 +1,197 @@
+const { CAPACITY_POLICIES } = require('./config_schema');
+
+/**
+ * Capacity Planning
+ * Checks that a space's areas fit its total capacity, and projects how many
+ * invited guests are likely to be in the space at the same time.
+ *
+ * Not everyone who is invited shows up at once, so each guest counts with
+ * the attendance rate of their role. The projected peak is the 95th
+ * percentile of that sum: the expected attendance plus 1.645 standard
+ * deviations, treating each guest as an independent yes/no.
+ *
+ * Bulk invitations compare the projected peak with the space capacity times
+ * FC_CAPACITY_THRESHOLD. Above that limit, FC_CAPACITY_POLICY decides what
+ * happens:
+ *   warn      invite everyone and log a warning (default)
+ *   block     invite nobody
+ *   waitlist  invite in list order while the peak stays within the limit;
+ *             everyone after the first guest who does not fit is waitlisted
+ *   off       skip the check (no extra API calls)
+ */
+
+// Share of invited guests per role expected to be present at peak times
+const DEFAULT_ATTENDANCE_RATES = {
+  moderator: 0.9,
+  facilitator: 0.8,
+  member: 0.6,
+  visitor: 0.4
+};
+const FALLBACK_ATTENDANCE_RATE = 0.5; // custom roles
+
+const PEAK_Z = 1.645; // one-sided 95%
+
+// Guests in these states no longer take up room
+const INACTIVE_STATUSES = ['removed', 'revoked', 'expired'];
+
+/**
+ * Compare area capacities with the space capacity:
+ * { capacity, workAreas, privateRooms, total, errors, warnings }
+ * errors: an area larger than the whole space. warnings: work areas that
+ * together offer more or fewer places than the space holds, and work areas
+ * plus private rooms holding more than the space.
+ */
+function validateSpaceCapacity(spaceConfig) {
+  const capacity = spaceConfig.capacity;
+  const layout = spaceConfig.customization?.layout || {};
+  const workAreas = layout.workAreas || [];
+  const privateRooms = layout.privateRooms || [];
+  const errors = [];
+  const warnings = [];
+
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    errors.push(`capacity must be a positive whole number (got ${JSON.stringify(capacity)})`);
+    return { capacity, workAreas: null, privateRooms: null, total: null, errors, warnings };
+  }
+
+  [...workAreas, ...privateRooms]
+    .filter(area => area.capacity > capacity)
+    .forEach(area => errors.push(`"${area.name}" holds ${area.capacity}, more than the space's capacity of ${capacity}`));
+
+  const workTotal = sumCapacity(workAreas);
+  const roomTotal = sumCapacity(privateRooms);
+  if (workAreas.length > 0 && workTotal > capacity) {
+    warnings.push(`work areas hold ${workTotal} together, more than the space's capacity of ${capacity}; they can never all be full`);
+  }
+  if (workAreas.length > 0 && workTotal < capacity) {
+    warnings.push(`work areas hold ${workTotal} together; ${capacity - workTotal} of the space's ${capacity} places have no work area`);
+  }
+  if (roomTotal > capacity) {
+    warnings.push(`private rooms hold ${roomTotal} together, more than the space's capacity of ${capacity}`);
+  }
+  // Only worth saying when neither kind of area overflows on its own
+  const total = workTotal + roomTotal;
+  if (total > capacity && workTotal <= capacity && roomTotal <= capacity) {
+    warnings.push(`work areas and private rooms hold ${total} together (${workTotal} + ${roomTotal}), more than the space's capacity of ${capacity}; they can never all be full`);
+  }
+
+  return { capacity, workAreas: workTotal, privateRooms: roomTotal, total, errors, warnings };
+}
+
+function sumCapacity(areas) {
+  return areas.reduce((total, area) => total + (Number(area.capacity) || 0), 0);
+}
+
+/**
+ * Expected and peak concurrency for a guest list:
+ * { guests, expected, peak, capacity, utilization, byRole: { role: { guests, expected } } }
+ */
+function projectConcurrency(guests, { capacity = null, rates = DEFAULT_ATTENDANCE_RATES } = {}) {
+  const active = guests.filter(guest => !INACTIVE_STATUSES.includes(guest.status));
+  const totals = createTotals();
+  const byRole = {};
+
+  active.forEach((guest) => {
+    const role = guest.role || 'member';
+    const rate = attendanceRate(role, rates);
+    addGuest(totals, rate);
+    byRole[role] = byRole[role] || { guests: 0, expected: 0 };
+    byRole[role].guests += 1;
+    byRole[role].expected = round(byRole[role].expected + rate);
+  });
+
+  const peak = peakOf(totals);
+  return {
+    guests: active.length,
+    expected: round(totals.mean),
+    peak,
+    capacity,
+    utilization: capacity ? round(peak / capacity) : null,
+    byRole
+  };
+}
+
+/**
+ * Split candidates into those who can be invited without the projected peak
+ * (together with existingGuests) passing limit, and the waitlist. First come,
+ * first served: nobody jumps ahead of a waitlisted guest.
+ */
+function fitWithinLimit(existingGuests, candidates, limit, rates = DEFAULT_ATTENDANCE_RATES) {
+  const totals = createTotals();
+  existingGuests
+    .filter(guest => !INACTIVE_STATUSES.includes(guest.status))
+    .forEach(guest => addGuest(totals, attendanceRate(guest.role || 'member', rates)));
+
+  const accepted = [];
+  const waitlisted = [];
+  candidates.forEach((guest) => {
+    if (waitlisted.length === 0) {
+      const rate = attendanceRate(guest.role || 'member', rates);
+      const next = { mean: totals.mean + rate, variance: totals.variance + rate * (1 - rate), count: totals.count + 1 };
+      if (peakOf(next) <= limit) {
+        Object.assign(totals, next);
+        accepted.push(guest);
+        return;
+      }
+    }
+    waitlisted.push(guest);
+  });
+  return { accepted, waitlisted };
+}
+
+function createTotals() {
+  return { mean: 0, variance: 0, count: 0 };
+}
+
+function addGuest(totals, rate) {
+  totals.mean += rate;
+  totals.variance += rate * (1 - rate);
+  totals.count += 1;
+}
+
+function peakOf({ mean, variance, count }) {
+  return Math.min(count, Math.ceil(mean + PEAK_Z * Math.sqrt(variance) - 1e-9));
+}
+
+function attendanceRate(role, rates) {
+  return rates[role] ?? FALLBACK_ATTENDANCE_RATE;
+}
+
+/**
+ * Attendance rates from "member=0.5,visitor=0.3" (FC_ATTENDANCE_RATES),
+ * over the defaults
+ */
+function parseAttendanceRates(value) {
+  const rates = { ...DEFAULT_ATTENDANCE_RATES };
+  String(value || '').split(',').map(pair => pair.trim()).filter(Boolean).forEach((pair) => {
+    const [role, raw] = pair.split('=').map(part => part && part.trim());
+    const rate = Number(raw);
+    if (!role || raw === undefined || raw === '' || !(rate >= 0 && rate <= 1)) {
+      throw new CapacityError(`Invalid attendance rate "${pair}" (use role=0.6, a share between 0 and 1)`);
+    }
+    rates[role] = rate;
+  });
+  return rates;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+class CapacityError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'CapacityError';
+    this.details = details;
+  }
+}
+
+module.exports = {
+  validateSpaceCapacity,
+  projectConcurrency,
+  fitWithinLimit,
+  parseAttendanceRates,
+  CapacityError,
+  CAPACITY_POLICIES,
+  DEFAULT_ATTENDANCE_RATES
+};
@@ -0,0 +1,220 @@
+const fs = require('fs');
+const { evaluateCorpus, loadCorpus, ModerationEngine } = require('./auto_moderation');
+const { listProfiles, resolveProfile, describeProfile } = require('./organization_profiles');
+const { resolveConfig, describeConfig, ConfigError } = require('./config_schema');
+const {
+  actorName,
+  auditFilter,
+  optionalString,
+  requireArg,
+  readApiKey,
+  UsageError,
+  AuditTamperedError
+} = require('./cli_helpers');
+
+/**
+ * fc_guests.js commands that work on local state and settings: moderation,
+ * audit, incidents, email, profiles, config, credentials and messages
+ */
+
+const ADMIN_COMMANDS = {
+  moderation: {
+    async check(manager, words, flags) {
+      const text = optionalString(flags.text) || words.join(' ');
+      return manager.moderation.evaluate(requireArg(text, '<text>'));
+    },
+    async eval(manager, args, flags) {
+      const engine = typeof flags.rules === 'string' ? new ModerationEngine({ rulesFile: flags.rules }) : manager.moderation;
+      const report = evaluateCorpus(engine, loadCorpus(optionalString(flags.corpus)));
+      return {
+        total: report.total,
+        correct: report.correct,
+        accuracy: report.accuracy,
+        precision: report.precision,
+        recall: report.recall,
+        mismatches: report.mismatches.map(({ text, expected, verdict, score }) => ({ text, expected, verdict, score }))
+      };
+    }
+  },
+
+  audit: {
+    async query(manager, args, flags) {
+      return await manager.auditLog.query(auditFilter(flags));
+    },
+    async verify(manager) {
+      const result = await manager.auditLog.verify();
+      if (!result.valid) {
+        throw new AuditTamperedError(`Audit log chain broken at line ${result.error.line}: ${result.error.reason}`);
+      }
+      return `✅ Audit log intact: ${result.entries} entries`;
+    },
+    async export(manager, args, flags) {
+      const format = optionalString(flags.format) || 'json';
+      const output = await manager.auditLog.export(format, auditFilter(flags));
+      if (typeof flags.out === 'string') {
+        fs.writeFileSync(flags.out, `${output}\n`);
+        return `📄 Audit log exported to ${flags.out}`;
+      }
+      // With --json the entries themselves are the result; other formats come back as one string
+      return flags.json && format === 'json' ? JSON.parse(output) : output;
+    }
+  },
+
+  incidents: {
+    async list(manager, args, flags) {
+      return await manager.incidents.list({
+        status: optionalString(flags.status),
+        severity: optionalString(flags.severity),
+        spaceId: optionalString(flags.space),
+        breached: Boolean(flags.breached)
+      });
+    },
+    async show(manager, [id]) {
+      return await manager.incidents.get(requireArg(id, '<incidentId>'));
+    },
+    async report(manager, args, flags) {
+      if (flags.anonymous && typeof flags.reporter === 'string') {
+        throw new UsageError('--anonymous and --reporter cannot be combined');
+      }
+      return await manager.incidents.intake({
+        spaceId: optionalString(flags.space),
+        category: requireArg(flags.category, '--category'),
+        description: optionalString(flags.description),
+        anonymous: Boolean(flags.anonymous),
+        reporterEmail: optionalString(flags.reporter),
+        emergency: Boolean(flags.emergency),
+        severity: optionalString(flags.severity),
+        source: 'cli'
+      });
+    },
+    async ack(manager, [id], flags) {
+      return await manager.incidents.acknowledge(requireArg(id, '<incidentId>'), actorName(manager, flags));
+    },
+    async note(manager, [id], flags) {
+      return await manager.incidents.addNote(requireArg(id, '<incidentId>'), actorName(manager, flags),
+        requireArg(flags.text, '--text'));
+    },
+    async resolve(manager, [id], flags) {
+      return await manager.incidents.resolve(requireArg(id, '<incidentId>'), actorName(manager, flags),
+        requireArg(flags.resolution, '--resolution'));
+    },
+    async check(manager) {
+      return await manager.incidents.checkSlas();
+    },
+    async summary(manager) {
+      return await manager.incidents.summary();
+    }
+  },
+
+  email: {
+    async log(manager, args, flags) {
+      return await manager.emailDelivery.listDeliveries({
+        status: optionalString(flags.status),
+        email: optionalString(flags.email)
+      });
+    },
+    async bounces(manager) {
+      return await manager.emailDelivery.listBounces();
+    },
+    async unbounce(manager, [email]) {
+      const cleared = await manager.emailDelivery.clearBounce(requireArg(email, '<email>'));
+      return { email, cleared };
+    }
+  },
+
+  profiles: {
+    async list() {
+      return listProfiles();
+    },
+    async show(manager, [name], flags) {
+      const profile = resolveProfile(optionalString(name) || optionalString(flags.profile));
+      if (!profile) {
+        return 'No profile active; configuration comes from the environment (.env)';
+      }
+      return describeProfile(profile);
+    }
+  },
+
+  config: {
+    async check(manager, args, flags) {
+      const profile = resolveProfile(optionalString(flags.profile));
+      const resolved = resolveConfig(process.env, { profile });
+      const report = {
+        valid: resolved.errors.length === 0,
+        profile: profile ? profile.name : null,
+        settings: describeConfig(resolved),
+        skipped: resolved.skipped,
+        warnings: resolved.warnings,
+        errors: resolved.errors
+      };
+      const result = flags.json ? report : formatConfigReport(report);
+      if (!report.valid) {
+        // The resolved values still help while fixing the errors, so they go out with the error
+        const error = new ConfigError(resolved.errors);
+        error.result = result;
+        throw error;
+      }
+      return result;
+    }
+  },
+
+  credentials: {
+    async status(manager) {
+      return await manager.apiKeys.describeCredentials();
+    },
+    async store(manager, [slot], flags) {
+      return await manager.apiKeys.storeApiKey(requireArg(slot, '<primary|secondary>'), await readApiKey(flags));
+    },
+    async rotate(manager, args, flags) {
+      return await manager.apiKeys.rotateApiKey(await readApiKey(flags));
+    }
+  },
+
+  messages: {
+    async list(manager) {
+      return manager.messages.locales().map(locale => ({ locale, templates: manager.messages.names(locale) }));
+    },
+    async preview(manager, [name], flags) {
+      const message = manager.messenger.renderMessage(requireArg(name, '<template>'), {
+        name: optionalString(flags.name),
+        pronouns: optionalString(flags.pronouns),
+        role: optionalString(flags.role) || (name === 'moderator_welcome' ? 'moderator' : undefined),
+        locale: optionalString(flags.locale)
+      }, { spaceUrl: optionalString(flags['space-url']) || 'https://gather.town/app/example-space' });
+
+      message.missing.forEach(key => console.warn(`⚠️ Unknown placeholder {{${key}}} in ${name} (${message.locale})`));
+      if (flags.json) {
+        return message;
+      }
+      return `Subject: ${message.subject || '(none)'}\nLocale: ${message.locale}\n\n${flags.html ? message.html : message.text}`;
+    }
+  }
+};
+
+/**
+ * config check as text: one line per setting, grouped, defaults marked.
+ * Errors are left to the ConfigError that follows.
+ */
+function formatConfigReport(report) {
+  const width = Math.max(...Object.values(report.settings).flatMap(Object.keys).map(key => key.length));
+  const lines = [];
+  if (report.profile) {
+    lines.push(`Profile "${report.profile}" supplies ${report.skipped.join(', ')}`, '');
+  }
+  Object.entries(report.settings).forEach(([group, settings]) => {
+    lines.push(`[${group}]`);
+    Object.entries(settings).forEach(([key, { value, source }]) => {
+      const shown = value === null ? '-' : Array.isArray(value) ? value.join(',') || '-' : String(value);
+      const note = source === 'invalid' ? '  (invalid value ignored, default used)' : source === 'default' && value !== null ? '  (default)' : '';
+      lines.push(`  ${key.padEnd(width)}  ${shown}${note}`);
+    });
+    lines.push('');
+  });
+  report.warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+  if (report.valid) {
+    lines.push('✅ Configuration is valid');
+  }
+  return lines.join('\n').trim();
+}
+
+module.exports = { ADMIN_COMMANDS };
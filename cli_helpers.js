@@ -0,0 +1,210 @@
+const fs = require('fs');
+const readline = require('readline');
+const { ValidationError } = require('./gather_api_client');
+
+/**
+ * Argument parsing, prompts and errors shared by the fc_guests.js command
+ * modules (cli_space_commands.js, cli_admin_commands.js)
+ */
+
+/**
+ * Parse argv into positionals and --flags; repeatable flags collect into arrays
+ */
+function parseArgs(argv) {
+  const repeatable = ['var', 'set'];
+  const booleans = ['json', 'yes', 'help', 'apply', 'html', 'anonymous', 'emergency', 'breached', 'once'];
+  const positionals = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    const next = argv[i + 1];
+    let value = true;
+    if (inline !== undefined) {
+      value = inline;
+    } else if (!booleans.includes(key) && next !== undefined && !next.startsWith('--')) {
+      value = next;
+      i++;
+    }
+
+    if (repeatable.includes(key)) {
+      flags[key] = [...(flags[key] || []), value];
+    } else {
+      flags[key] = value;
+    }
+  }
+
+  return { positionals, flags };
+}
+
+/**
+ * Turn ["a.b=1", "c=text"] into { a: { b: 1 }, c: 'text' }
+ */
+function parseAssignments(assignments = []) {
+  const result = {};
+  for (const assignment of assignments) {
+    const index = String(assignment).indexOf('=');
+    if (index <= 0) {
+      throw new UsageError(`Expected key=value, got "${assignment}"`);
+    }
+    const keys = assignment.slice(0, index).split('.');
+    const raw = assignment.slice(index + 1);
+    let value;
+    try {
+      value = JSON.parse(raw);
+    } catch (error) {
+      value = raw;
+    }
+
+    let target = result;
+    keys.slice(0, -1).forEach((key) => {
+      target[key] = target[key] || {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  }
+  return result;
+}
+
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+/**
+ * Emails are stored lowercase (as guest_list_importer.js does), so
+ * Ana@x.org and ana@x.org are one guest
+ */
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : email;
+}
+
+/**
+ * Who is acting: --actor, otherwise the audit log's default actor
+ */
+function actorName(manager, flags) {
+  return optionalString(flags.actor) || manager.auditLog.actor;
+}
+
+function auditFilter(flags) {
+  return {
+    email: optionalString(flags.email),
+    guestId: optionalString(flags.guest),
+    spaceId: optionalString(flags.space),
+    action: optionalString(flags.action),
+    actor: optionalString(flags.actor),
+    from: optionalString(flags.from),
+    to: optionalString(flags.to)
+  };
+}
+
+function optionalString(value) {
+  return typeof value === 'string' ? value : undefined;
+}
+
+function requireArg(value, name) {
+  if (value === undefined || value === true || value === '') {
+    throw new UsageError(`Missing required ${name}`);
+  }
+  return value;
+}
+
+/**
+ * Find a guest by ID or (case-insensitive) email
+ */
+async function findGuest(manager, spaceId, idOrEmail) {
+  // Emails are looked up with the server-side filter instead of paging through everyone
+  const needle = normalizeEmail(idOrEmail);
+  const filters = idOrEmail.includes('@') ? { email: needle } : {};
+  const guests = await manager.gatherApi.listAllGuests(spaceId, filters);
+  const guest = guests.find(candidate =>
+    candidate.id === idOrEmail || (candidate.email || '').toLowerCase() === needle);
+
+  if (!guest) {
+    throw new ValidationError(`Guest not found in ${spaceId}: ${idOrEmail}`, { idOrEmail });
+  }
+  return guest;
+}
+
+/**
+ * An API key from --key-file, piped stdin or a prompt
+ */
+async function readApiKey(flags) {
+  const keyFile = optionalString(flags['key-file']);
+  if (keyFile) {
+    return fs.readFileSync(keyFile, 'utf8').trim();
+  }
+  if (!process.stdin.isTTY) {
+    let input = '';
+    for await (const chunk of process.stdin) input += chunk;
+    return input.trim();
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise(resolve => rl.question('API key: ', resolve));
+  rl.close();
+  return answer.trim();
+}
+
+/**
+ * Ask before destructive actions unless --yes was given
+ */
+async function confirm(question, flags) {
+  if (flags.yes) {
+    return;
+  }
+  if (!process.stdin.isTTY) {
+    throw new AbortedError(`${question} Re-run with --yes to confirm non-interactively.`);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  const answer = await new Promise(resolve => rl.question(`${question} [y/N] `, resolve));
+  rl.close();
+
+  if (!/^y(es)?$/i.test(answer.trim())) {
+    throw new AbortedError('Aborted');
+  }
+}
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+class AuditTamperedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuditTamperedError';
+  }
+}
+
+class AbortedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AbortedError';
+  }
+}
+
+module.exports = {
+  parseArgs,
+  parseAssignments,
+  splitList,
+  normalizeEmail,
+  actorName,
+  auditFilter,
+  optionalString,
+  requireArg,
+  findGuest,
+  readApiKey,
+  confirm,
+  UsageError,
+  AuditTamperedError,
+  AbortedError
+};
@@ -0,0 +1,254 @@
+const { readSetting } = require('./config_schema');
+const { SpaceRegistryError } = require('./space_registry');
+const { checkWebhookSecret } = require('./webhook_receiver');
+const { formatImportReport } = require('./guest_list_importer');
+const {
+  parseAssignments,
+  splitList,
+  normalizeEmail,
+  optionalString,
+  requireArg,
+  findGuest,
+  confirm,
+  UsageError
+} = require('./cli_helpers');
+
+/**
+ * fc_guests.js commands that act on spaces and their guests: space, capacity,
+ * spaces (the registry), guests, expiry, invite and webhooks
+ */
+
+const SPACE_COMMANDS = {
+  space: {
+    async create(manager, args, flags) {
+      const template = optionalString(flags.template);
+      return await manager.createFCRemoteOffice(template, parseAssignments(flags.var), splitList(flags.label));
+    },
+    async show(manager, [spaceId]) {
+      return await manager.gatherApi.getSpace(requireArg(spaceId, '<spaceId>'));
+    },
+    async update(manager, [spaceId], flags) {
+      const updates = parseAssignments(flags.set);
+      if (Object.keys(updates).length === 0) {
+        throw new UsageError('Nothing to update; pass --set path=value');
+      }
+      return await manager.updateSpace(requireArg(spaceId, '<spaceId>'), updates);
+    }
+  },
+
+  capacity: {
+    async check(manager, [spaceId], flags) {
+      const plan = await manager.capacity.planCapacity(requireArg(spaceId, '<spaceId>'));
+      return flags.json ? plan : formatCapacityPlan(plan);
+    },
+    async release(manager, [jobId], flags) {
+      return await manager.bulkInvites.releaseWaitlist(requireArg(jobId, '<jobId>'), { force: Boolean(flags.force) });
+    }
+  },
+
+  spaces: {
+    async list(manager, args, flags) {
+      return await manager.spaces.list({ labels: splitList(flags.label) });
+    },
+    async register(manager, [spaceId], flags) {
+      const space = await manager.gatherApi.getSpace(requireArg(spaceId, '<spaceId>'));
+      return await manager.spaces.register({ ...space, id: space.id || spaceId }, splitList(flags.label));
+    },
+    async unregister(manager, [spaceId]) {
+      const removed = await manager.spaces.unregister(requireArg(spaceId, '<spaceId>'));
+      if (!removed) {
+        throw new SpaceRegistryError(`Space not registered: ${spaceId}`);
+      }
+      return `🗂️ ${spaceId} removed from the registry (the space itself is unchanged)`;
+    },
+    async label(manager, [spaceId], flags) {
+      return await manager.spaces.label(requireArg(spaceId, '<spaceId>'), {
+        add: splitList(flags.add),
+        remove: splitList(flags.remove)
+      });
+    },
+    async 'add-guest'(manager, args, flags) {
+      return await manager.crossSpace.addGuestToSpaces(splitList(flags.label), {
+        email: normalizeEmail(requireArg(flags.email, '--email')),
+        name: optionalString(flags.name),
+        role: optionalString(flags.role) || 'member',
+        permissions: splitList(flags.permissions)
+      });
+    },
+    async access(manager, [email], flags) {
+      return await manager.crossSpace.findGuestAccess(normalizeEmail(requireArg(email, '<email>')), splitList(flags.label));
+    },
+    async 'remove-guest'(manager, [input], flags) {
+      const email = normalizeEmail(requireArg(input, '<email>'));
+      const spaces = await manager.spaces.list({ labels: splitList(flags.label) });
+      await confirm(`Remove ${email} from ${spaces.length} registered space(s)?`, flags);
+      return await manager.crossSpace.removeGuestEverywhere(email, splitList(flags.label));
+    }
+  },
+
+  guests: {
+    async list(manager, [spaceId], flags) {
+      return await manager.gatherApi.listAllGuests(requireArg(spaceId, '<spaceId>'), {
+        role: optionalString(flags.role),
+        status: optionalString(flags.status),
+        email: normalizeEmail(optionalString(flags.email))
+      });
+    },
+    async add(manager, [spaceId], flags) {
+      requireArg(spaceId, '<spaceId>');
+      const guest = manager.roles.resolveGuest({
+        email: normalizeEmail(requireArg(flags.email, '--email')),
+        name: typeof flags.name === 'string' ? flags.name : undefined,
+        role: typeof flags.role === 'string' ? flags.role : 'member',
+        permissions: splitList(flags.permissions),
+        pronouns: optionalString(flags.pronouns),
+        locale: optionalString(flags.locale)
+      });
+
+      if (typeof flags.expires === 'string') {
+        return await manager.guestLists.addTimeLimitedGuest(spaceId, guest, { expiresAt: flags.expires });
+      }
+      return await manager.gatherApi.addGuest(spaceId, {
+        ...guest,
+        ...manager.messenger.guestInvitationFields(guest, { spaceUrl: await manager.messenger.getSpaceUrl(spaceId) })
+      });
+    },
+    async update(manager, [spaceId, idOrEmail], flags) {
+      const guest = await findGuest(manager, requireArg(spaceId, '<spaceId>'), requireArg(idOrEmail, '<guestId|email>'));
+      const updates = {};
+      if (typeof flags.role === 'string') {
+        // A new role brings its own permissions unless --permissions overrides them
+        const current = manager.roles.effectivePermissions(guest);
+        const resolved = manager.roles.resolveGuest({ email: guest.email, role: flags.role, permissions: splitList(flags.permissions) });
+        if (typeof flags.permissions !== 'string' && current.extra.length > 0) {
+          console.warn(`⚠️ ${guest.email} loses permissions beyond the ${guest.role} role: ${current.extra.join(', ')} ` +
+            '(pass --permissions to keep them)');
+        }
+        updates.role = resolved.role;
+        updates.permissions = resolved.permissions;
+      } else if (typeof flags.permissions === 'string') {
+        updates.permissions = manager.roles.validatePermissions(splitList(flags.permissions), guest.email);
+      }
+      if (Object.keys(updates).length === 0) {
+        throw new UsageError('Nothing to update; pass --role and/or --permissions');
+      }
+      return await manager.gatherApi.updateGuest(spaceId, guest.id, updates, { before: guest });
+    },
+    async remove(manager, [spaceId, idOrEmail], flags) {
+      const guest = await findGuest(manager, requireArg(spaceId, '<spaceId>'), requireArg(idOrEmail, '<guestId|email>'));
+      await confirm(`Remove ${guest.email} (${guest.role}) from ${spaceId}?`, flags);
+      await manager.gatherApi.removeGuest(spaceId, guest.id, { before: guest });
+      await manager.expiryScheduler.cancel(spaceId, guest.email);
+      return { removed: guest.email, guestId: guest.id };
+    },
+    async import(manager, [spaceId, file], flags) {
+      requireArg(spaceId, '<spaceId>');
+      requireArg(file, '<file>');
+      const preview = await manager.guestLists.importGuestList(spaceId, file, { dryRun: true });
+      if (!flags.json) {
+        console.log(formatImportReport(preview.report));
+      }
+
+      if (!flags.apply || preview.report.summary.accepted === 0) {
+        return flags.json ? preview : formatImportPreview(preview);
+      }
+      await confirm(`Invite ${preview.report.summary.accepted} guests to ${spaceId}?`, flags);
+      return await manager.guestLists.importGuestList(spaceId, file, { dryRun: false });
+    }
+  },
+
+  expiry: {
+    async list(manager, args, flags) {
+      return await manager.expiryScheduler.list(optionalString(flags.space));
+    },
+    async run(manager, args, flags) {
+      if (flags.once) {
+        return await manager.expiryScheduler.tick();
+      }
+      const intervalSeconds = Number(optionalString(flags.interval) || 60);
+      if (!Number.isFinite(intervalSeconds) || intervalSeconds < 1) {
+        throw new UsageError(`--interval must be a number of seconds, got "${flags.interval}"`);
+      }
+
+      // This process exists for the scheduler, so its timer keeps it alive until a signal arrives
+      manager.expiryScheduler.start(intervalSeconds * 1000, { keepAlive: true });
+      console.log(`⏰ Checking guest expiry every ${intervalSeconds}s; stop with Ctrl+C`);
+      const signal = await new Promise((resolve) => {
+        process.once('SIGINT', () => resolve('SIGINT'));
+        process.once('SIGTERM', () => resolve('SIGTERM'));
+      });
+      manager.expiryScheduler.stop();
+      await manager.expiryScheduler.running;
+      return `⏹️ Expiry scheduler stopped (${signal})`;
+    }
+  },
+
+  invite: {
+    async send(manager, [spaceId], flags) {
+      const recipients = splitList(requireArg(flags.to, '--to')).map(normalizeEmail);
+      requireArg(spaceId, '<spaceId>');
+      const message = manager.messenger.renderMessage('guest_invitation', { locale: optionalString(flags.locale) }, {
+        spaceUrl: await manager.messenger.getSpaceUrl(spaceId)
+      });
+
+      return await manager.messenger.deliverInvitation({
+        spaceId,
+        recipients,
+        template: 'custom',
+        subject: optionalString(flags.subject) || message.subject,
+        message: optionalString(flags.message) || message.text,
+        htmlMessage: typeof flags.message === 'string' ? undefined : message.html,
+        includeCalendarEvent: false
+      });
+    }
+  },
+
+  webhooks: {
+    async create(manager, [spaceId], flags) {
+      return await manager.gatherApi.createWebhook({
+        spaceId: requireArg(spaceId, '<spaceId>'),
+        url: requireArg(flags.url, '--url'),
+        events: splitList(flags.events) || undefined,
+        secret: checkWebhookSecret(typeof flags.secret === 'string' ? flags.secret : readSetting('GATHER_WEBHOOK_SECRET'))
+      });
+    }
+  }
+};
+
+/**
+ * guests import without --apply as text (the rows are printed before it)
+ */
+function formatImportPreview({ capacity }) {
+  const lines = [];
+  if (capacity?.limit) {
+    lines.push(`📈 Projected peak with the new guests: ${capacity.projected.peak} of ${capacity.limit} allowed ` +
+      `(${capacity.current.peak} now; policy ${capacity.policy})`);
+  }
+  lines.push('🔍 Dry run: no invitations sent (pass --apply to invite the accepted rows)');
+  return lines.join('\n');
+}
+
+/**
+ * capacity check as text: the layout check, then current guests by role
+ */
+function formatCapacityPlan(plan) {
+  const { layout, current } = plan;
+  const lines = [];
+  if (layout.errors.length === 0) {
+    lines.push(`Capacity ${plan.capacity}: work areas ${layout.workAreas}, private rooms ${layout.privateRooms}`);
+  }
+  layout.errors.forEach(error => lines.push(`❌ ${error}`));
+  layout.warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+  lines.push('', `Guests: ${current.guests}, expected at once: ${current.expected}, projected peak: ${current.peak}`);
+  Object.entries(current.byRole).forEach(([role, { guests, expected }]) => {
+    lines.push(`  ${role.padEnd(12)} ${String(guests).padStart(4)} guests  ${expected} expected`);
+  });
+  if (plan.limit !== null) {
+    const room = plan.limit - current.peak;
+    lines.push('', `Limit ${plan.limit} (capacity × ${plan.threshold}, policy ${plan.policy}): ` +
+      (room >= 0 ? `room for a peak of ${room} more` : `${-room} over`));
+  }
+  return lines.join('\n');
+}
+
+module.exports = { SPACE_COMMANDS };
@@ -0,0 +1,318 @@
+const path = require('path');
+
+/**
+ * Configuration Schema
+ * Every environment setting the tools read, with its type, default and
+ * constraints. Resolving the schema coerces each value, applies defaults and
+ * collects every problem at once instead of stopping at the first, so a
+ * misconfigured .env is fixed in one pass.
+ *
+ * Modules read their settings through readSetting(), so `fc_guests.js
+ * config check` shows exactly what they use. An invalid value is never
+ * replaced by its default: readSetting throws for it, and FCGuestManager
+ * refuses to start with any invalid setting. The .env file is loaded by the
+ * entry points (fc_guests.js, poc_executor.js, ...), not here.
+ */
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+
+// Allowed values, shared with the modules that act on them (which depend on
+// this module, not the other way round)
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+const DELIVERY_MODES = ['fallback', 'always', 'off'];
+const MODERATION_ACTIONS = ['mute_and_report', 'remove_and_report', 'mute', 'report', 'flag'];
+const CAPACITY_POLICIES = ['off', 'warn', 'block', 'waitlist'];
+
+// Settings an organization profile supplies itself; they are not used while one is active
+const PROFILE_GROUPS = ['credentials', 'organization'];
+
+// role=rate pairs, each rate between 0 and 1
+const ATTENDANCE_RATE = '\\s*[\\w-]+\\s*=\\s*(0(\\.\\d+)?|1(\\.0+)?|\\.\\d+)\\s*';
+const ATTENDANCE_RATES_PATTERN = new RegExp(`^${ATTENDANCE_RATE}(,${ATTENDANCE_RATE})*$`);
+
+const SCHEMA = {
+  // Gather.Town API
+  GATHER_BASE_URL: { group: 'gather', type: 'url', default: 'https://gather.town/api/v2' },
+  GATHER_RATE_LIMIT_TIER: { group: 'gather', type: 'enum', values: ['standard', 'premium', 'burst'], default: 'standard' },
+  GATHER_TIMEOUT_MS: { group: 'gather', type: 'integer', min: 0, default: 30000 },
+  GATHER_PAGE_SIZE: { group: 'gather', type: 'integer', min: 1, default: 100 },
+  GATHER_WEBHOOK_SECRET: { group: 'gather', type: 'string', secret: true },
+
+  // API keys (see credentials.js)
+  GATHER_API_KEY: { group: 'credentials', type: 'string', secret: true },
+  GATHER_API_KEY_FILE: { group: 'credentials', type: 'path' },
+  GATHER_API_KEY_SECONDARY: { group: 'credentials', type: 'string', secret: true },
+  GATHER_API_KEY_SECONDARY_FILE: { group: 'credentials', type: 'path' },
+  FC_KEYSTORE_PASSPHRASE: { group: 'credentials', type: 'string', secret: true },
+
+  // Organization profiles
+  FC_PROFILES_FILE: { group: 'profiles', type: 'path', default: path.join(__dirname, 'fc_profiles.json') },
+  FC_PROFILE: { group: 'profiles', type: 'string', pattern: NAME, hint: 'a profile name' },
+
+  // Organization branding and contacts
+  FC_ORGANIZATION_NAME: { group: 'organization', type: 'string', default: 'First Contact' },
+  FC_CONTACT_EMAIL: { group: 'organization', type: 'email', default: 'contact@firstcontact.lgbt' },
+  FC_BRAND_COLOR: { group: 'organization', type: 'string', pattern: /^#[0-9a-f]{6}$/i, hint: 'a hex color such as #FF6B35', default: '#FF6B35' },
+  FC_LOGO_URL: { group: 'organization', type: 'url', default: 'https://firstcontact.lgbt/assets/logo.png' },
+  FC_SUPPORT_EMAIL: { group: 'organization', type: 'email', default: 'support@firstcontact.lgbt' },
+  FC_TECH_SUPPORT_EMAIL: { group: 'organization', type: 'email', default: 'tech-support@firstcontact.lgbt' },
+  FC_SAFETY_EMAIL: { group: 'organization', type: 'email', default: 'safety@firstcontact.lgbt' },
+
+  // Spaces
+  FC_SPACE_TEMPLATE: { group: 'space', type: 'string', pattern: NAME, hint: 'a template name', default: 'office' },
+  FC_TEMPLATE_DIR: { group: 'space', type: 'path' },
+  SPACE_NAME: { group: 'space', type: 'string' },
+  SPACE_DESCRIPTION: { group: 'space', type: 'string' },
+  SPACE_CAPACITY: { group: 'space', type: 'integer', min: 1 },
+  SPACE_TEMPLATE: { group: 'space', type: 'string' },
+  FC_CAPACITY_POLICY: { group: 'space', type: 'enum', values: CAPACITY_POLICIES, default: 'warn' },
+  FC_CAPACITY_THRESHOLD: { group: 'space', type: 'number', min: 0.01, default: 1 },
+  FC_ATTENDANCE_RATES: { group: 'space', type: 'string', pattern: ATTENDANCE_RATES_PATTERN, hint: 'role=rate pairs such as member=0.6,visitor=0.3' },
+
+  // Messages and roles
+  FC_DEFAULT_LOCALE: { group: 'messages', type: 'string', pattern: /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i, hint: 'a locale such as en or pt-BR', default: 'en' },
+  FC_MESSAGES_DIR: { group: 'messages', type: 'path' },
+  FC_ROLES_FILE: { group: 'messages', type: 'path' },
+
+  // Email delivery
+  SMTP_HOST: { group: 'email', type: 'string', pattern: /^[a-z0-9.-]+$/i, hint: 'a host name or IP address' },
+  SMTP_PORT: { group: 'email', type: 'port', default: 587 },
+  SMTP_USER: { group: 'email', type: 'string' },
+  SMTP_PASS: { group: 'email', type: 'string', secret: true },
+  SMTP_FROM: { group: 'email', type: 'string', pattern: /^([^<>]*<[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+>|[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+)$/, hint: 'an address or "Name <address>"' },
+  SMTP_SECURE: { group: 'email', type: 'boolean', default: values => values.SMTP_PORT === 465 },
+  SMTP_REQUIRE_TLS: { group: 'email', type: 'boolean', default: true },
+  SMTP_MAX_RETRIES: { group: 'email', type: 'integer', min: 0, default: 3 },
+  EMAIL_DELIVERY_MODE: { group: 'email', type: 'enum', values: DELIVERY_MODES, default: values => (values.SMTP_HOST ? 'fallback' : 'off') },
+
+  // Logging
+  DEBUG_MODE: { group: 'logging', type: 'boolean', default: false },
+  LOG_LEVEL: { group: 'logging', type: 'enum', values: LOG_LEVELS, lowercase: true, default: values => (values.DEBUG_MODE ? 'debug' : 'info') },
+  LOG_FORMAT: { group: 'logging', type: 'enum', values: ['text', 'json'], default: 'text' },
+  LOG_TO_FILE: { group: 'logging', type: 'boolean', default: false },
+  LOG_FILE: { group: 'logging', type: 'path', default: path.join(__dirname, 'logs', 'fc.log') },
+  LOG_MAX_SIZE_MB: { group: 'logging', type: 'number', min: 0.001, default: 10 },
+  LOG_MAX_FILES: { group: 'logging', type: 'integer', min: 1, default: 5 },
+  LOG_REDACT: { group: 'logging', type: 'boolean', default: true },
+
+  // Auto-moderation (the action defaults to the rules file's own)
+  FC_MODERATION_RULES: { group: 'moderation', type: 'path' },
+  FC_MODERATION_ALLOWLIST: { group: 'moderation', type: 'list', default: [] },
+  FC_AUTO_MODERATION_ACTION: { group: 'moderation', type: 'enum', values: MODERATION_ACTIONS },
+
+  // Audit log
+  AUDIT_LOG_FILE: { group: 'audit', type: 'path', relativeTo: 'FC_STATE_DIR' },
+  FC_AUDIT_ACTOR: { group: 'audit', type: 'string' },
+  AUDIT_LOG_HMAC_KEY: { group: 'audit', type: 'string', secret: true },
+
+  // Local state, metrics and development
+  FC_STATE_DIR: { group: 'runtime', type: 'path', default: path.join(__dirname, '.fc_state') },
+  FC_EXPIRY_WARNING_HOURS: { group: 'runtime', type: 'number', min: 0.001, default: 24 },
+  FC_METRICS_PORT: { group: 'runtime', type: 'port', default: 0 },
+  FC_METRICS_HOST: { group: 'runtime', type: 'string', pattern: /^[a-z0-9.:-]+$/i, hint: 'a host name or IP address', default: '127.0.0.1' },
+  NODE_ENV: { group: 'runtime', type: 'string', default: 'development' },
+  MOCK_GATHER_PORT: { group: 'runtime', type: 'port', default: 4040 },
+  MOCK_SMTP_PORT: { group: 'runtime', type: 'port', default: 2525 }
+};
+
+/**
+ * Coercers by type: return the typed value or throw a message saying what
+ * was expected
+ */
+const TYPES = {
+  string: (raw, definition) => {
+    if (definition.pattern && !definition.pattern.test(raw)) throw new Error(`must be ${definition.hint}`);
+    return raw;
+  },
+  // Paths with relativeTo are resolved against that setting once it is known
+  path: (raw, definition) => (definition.relativeTo ? raw : path.resolve(raw)),
+  integer: (raw, definition) => {
+    if (!/^[-+]?\d+$/.test(raw)) throw new Error('must be a whole number');
+    return inRange(Number(raw), definition);
+  },
+  number: (raw, definition) => {
+    const value = Number(raw);
+    if (raw.trim() === '' || !Number.isFinite(value)) throw new Error('must be a number');
+    return inRange(value, definition);
+  },
+  port: (raw) => {
+    if (!/^\d+$/.test(raw) || Number(raw) > 65535) throw new Error('must be a port number (0-65535)');
+    return Number(raw);
+  },
+  // Only the exact words, as the modules compare against them
+  boolean: (raw) => {
+    if (raw !== 'true' && raw !== 'false') throw new Error('must be true or false');
+    return raw === 'true';
+  },
+  enum: (raw, definition) => {
+    const value = definition.lowercase ? raw.toLowerCase() : raw;
+    if (!definition.values.includes(value)) throw new Error(`must be one of ${definition.values.join(', ')}`);
+    return value;
+  },
+  email: (raw) => {
+    if (!EMAIL.test(raw)) throw new Error('must be an email address');
+    return raw;
+  },
+  url: (raw) => {
+    let url;
+    try {
+      url = new URL(raw);
+    } catch (error) {
+      throw new Error('must be an absolute URL');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('must be an http(s) URL');
+    return raw;
+  },
+  list: raw => raw.split(',').map(item => item.trim()).filter(Boolean)
+};
+
+function inRange(value, { min, max }) {
+  if (min !== undefined && value < min) throw new Error(`must be at least ${min}`);
+  if (max !== undefined && value > max) throw new Error(`must be at most ${max}`);
+  return value;
+}
+
+/**
+ * Resolve every setting from env:
+ * { values, sources, errors, warnings, skipped }
+ * values hold the typed value (the default where a value is invalid);
+ * sources say 'env', 'default' or 'invalid' per key. With a profile active, the
+ * settings it replaces are skipped rather than checked.
+ */
+function resolveConfig(env = process.env, { profile = null } = {}) {
+  const values = {};
+  const sources = {};
+  const errors = [];
+  const skipped = profile ? Object.keys(SCHEMA).filter(key => PROFILE_GROUPS.includes(SCHEMA[key].group)) : [];
+
+  Object.entries(SCHEMA).forEach(([key, definition]) => {
+    if (skipped.includes(key)) return;
+    const raw = env[key];
+    const fallback = typeof definition.default === 'function' ? definition.default(values) : definition.default ?? null;
+
+    if (raw === undefined || raw.trim() === '') {
+      values[key] = fallback;
+      sources[key] = 'default';
+      return;
+    }
+    try {
+      values[key] = TYPES[definition.type](raw.trim(), definition);
+      sources[key] = 'env';
+    } catch (error) {
+      errors.push(`${key} ${error.message} (got ${definition.secret ? 'a hidden value' : JSON.stringify(raw)})`);
+      values[key] = fallback;
+      sources[key] = 'invalid';
+    }
+  });
+  Object.entries(SCHEMA)
+    .filter(([key, definition]) => definition.relativeTo && sources[key] === 'env')
+    .forEach(([key, definition]) => { values[key] = path.resolve(values[definition.relativeTo] || '', values[key]); });
+
+  return { values, sources, errors: [...errors, ...checkCombinations(values, sources, skipped)], warnings: warningsFor(values, skipped), skipped };
+}
+
+/**
+ * Problems no single setting shows
+ */
+function checkCombinations(values, sources, skipped) {
+  const errors = [];
+  if (sources.EMAIL_DELIVERY_MODE === 'env' && values.EMAIL_DELIVERY_MODE !== 'off' && !values.SMTP_HOST) {
+    errors.push(`EMAIL_DELIVERY_MODE=${values.EMAIL_DELIVERY_MODE} needs SMTP_HOST`);
+  }
+  if (values.SMTP_USER && !values.SMTP_PASS) {
+    errors.push('SMTP_USER is set without SMTP_PASS');
+  }
+  if (!skipped.includes('GATHER_API_KEY') && values.GATHER_API_KEY && values.GATHER_API_KEY_SECONDARY &&
+    values.GATHER_API_KEY === values.GATHER_API_KEY_SECONDARY) {
+    errors.push('GATHER_API_KEY_SECONDARY is the same key as GATHER_API_KEY');
+  }
+  return errors;
+}
+
+function warningsFor(values, skipped) {
+  const warnings = [];
+  [['GATHER_API_KEY', 'GATHER_API_KEY_FILE'], ['GATHER_API_KEY_SECONDARY', 'GATHER_API_KEY_SECONDARY_FILE']]
+    .filter(([key, file]) => !skipped.includes(key) && values[key] && values[file])
+    .forEach(([key, file]) => warnings.push(`${key} and ${file} are both set; ${key} is used`));
+  if (values.GATHER_BASE_URL && values.GATHER_BASE_URL.startsWith('http:') && !/\/\/(127\.0\.0\.1|localhost)[:/]/.test(values.GATHER_BASE_URL)) {
+    warnings.push('GATHER_BASE_URL is not HTTPS; the API key would be sent unencrypted');
+  }
+  if (!values.SMTP_REQUIRE_TLS && values.SMTP_USER && !/^(127\.0\.0\.1|localhost)$/.test(values.SMTP_HOST || '')) {
+    warnings.push('SMTP_REQUIRE_TLS=false; SMTP_PASS would be sent unencrypted to a server without STARTTLS');
+  }
+  return warnings;
+}
+
+// The last resolved config, reused until one of its raw values changes
+let cached = null;
+
+/**
+ * One setting as the modules use it: typed, with its default when it is
+ * unset. An invalid value throws a ConfigError naming the setting. The
+ * environment is resolved once and only again when a setting in it changes.
+ */
+function readSetting(key, env = process.env) {
+  if (!SCHEMA[key]) {
+    throw new Error(`Unknown setting ${key}`);
+  }
+  const { values, sources, errors } = cachedConfig(env);
+  if (sources[key] === 'invalid') {
+    throw new ConfigError(errors.filter(error => error.startsWith(`${key} `)));
+  }
+  return values[key];
+}
+
+function cachedConfig(env) {
+  const raw = JSON.stringify(Object.keys(SCHEMA).map(key => env[key]));
+  if (!cached || cached.env !== env || cached.raw !== raw) {
+    cached = { env, raw, resolved: resolveConfig(env) };
+  }
+  return cached.resolved;
+}
+
+/**
+ * Resolve and throw one ConfigError listing every problem
+ */
+function loadConfig(env = process.env, options = {}) {
+  const resolved = resolveConfig(env, options);
+  if (resolved.errors.length > 0) {
+    throw new ConfigError(resolved.errors);
+  }
+  return resolved.values;
+}
+
+/**
+ * A resolved config that is safe to print, grouped:
+ * { group: { KEY: { value, source } } }; secrets only say that they are set
+ */
+function describeConfig({ values, sources }) {
+  const groups = {};
+  Object.entries(SCHEMA).forEach(([key, definition]) => {
+    if (!(key in values)) return;
+    const value = definition.secret && values[key] ? '(set)' : values[key];
+    groups[definition.group] = { ...groups[definition.group], [key]: { value, source: sources[key] } };
+  });
+  return groups;
+}
+
+class ConfigError extends Error {
+  constructor(errors) {
+    super(`Invalid configuration (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n  • ${errors.join('\n  • ')}`);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  SCHEMA,
+  LOG_LEVELS,
+  DELIVERY_MODES,
+  MODERATION_ACTIONS,
+  CAPACITY_POLICIES,
+  readSetting,
+  resolveConfig,
+  loadConfig,
+  describeConfig,
+  ConfigError
+};
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getStateDir, readJson, writeJsonAtomic } = require('./state_store');
+const { createLogger } = require('./logger');
+const { readSetting } = require('./config_schema');
+
+const logger = createLogger('credentials');
+
+/**
+ * Credentials
+ * Where the Gather.Town API keys come from. There are two slots: the primary
+ * key every request uses, and an optional secondary key the client switches
+ * to when the primary is rejected (revoked, or rotated elsewhere).
+ *
+ * Each slot is filled from the first source that has a key:
+ *   1. an environment variable (GATHER_API_KEY, GATHER_API_KEY_SECONDARY),
+ *      or the profile's apiKey / apiKeyEnv / secondaryApiKey / secondaryApiKeyEnv
+ *   2. a file holding only the key (GATHER_API_KEY_FILE,
+ *      GATHER_API_KEY_SECONDARY_FILE, or the profile's apiKeyFile / secondaryApiKeyFile)
+ *   3. the encrypted keystore (keystore.json in FC_STATE_DIR, or in the
+ *      profile's state directory), unlocked with FC_KEYSTORE_PASSPHRASE
+ *
+ * Key rotation writes to the keystore, so it only takes effect for slots
+ * that no environment variable or file fills.
+ */
+
+const SLOTS = ['primary', 'secondary'];
+
+const KEYSTORE_VERSION = 1;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+
+/**
+ * Encrypted keystore: the keys are sealed with AES-256-GCM under a key
+ * derived from FC_KEYSTORE_PASSPHRASE with scrypt. A wrong passphrase or an
+ * edited file fails to decrypt rather than yielding a wrong key.
+ */
+class KeyStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || path.join(getStateDir(), 'keystore.json');
+    this.passphrase = options.passphrase ?? readSetting('FC_KEYSTORE_PASSPHRASE');
+    this.lock = Promise.resolve();
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  /**
+   * Decrypted entries ({ primary, secondary, updatedAt, rotatedAt }), {} when
+   * there is no keystore yet. Synchronous because API clients resolve their
+   * keys when they are constructed.
+   */
+  readSync() {
+    if (!this.exists()) {
+      return {};
+    }
+    return this.decrypt(JSON.parse(fs.readFileSync(this.filePath, 'utf8')));
+  }
+
+  /**
+   * Save a key in one slot
+   */
+  async store(slot, key) {
+    checkSlot(slot);
+    checkKey(key);
+    return await this.exclusive(async (entries) => {
+      entries[slot] = key;
+      entries.updatedAt = new Date().toISOString();
+      return describeEntries(entries);
+    });
+  }
+
+  /**
+   * Make key the primary and secondary the fallback, so requests still
+   * succeed until the old key is revoked. secondary defaults to the stored
+   * primary; null stores none.
+   */
+  async promote(key, secondary = undefined) {
+    checkKey(key);
+    return await this.exclusive(async (entries) => {
+      const fallback = secondary === undefined ? entries.primary : secondary;
+      const now = new Date().toISOString();
+      entries.secondary = fallback && fallback !== key ? fallback : null;
+      entries.primary = key;
+      entries.rotatedAt = now;
+      entries.updatedAt = now;
+      return describeEntries(entries);
+    });
+  }
+
+  /**
+   * Remove the key in one slot; resolves with whether there was one
+   */
+  async remove(slot) {
+    checkSlot(slot);
+    return await this.exclusive(async (entries) => {
+      const had = Boolean(entries[slot]);
+      delete entries[slot];
+      entries.updatedAt = new Date().toISOString();
+      return had;
+    });
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the keystore; nothing is written
+   * when the task throws
+   */
+  exclusive(task) {
+    const run = this.lock.then(async () => {
+      const entries = await this.load();
+      const result = await task(entries);
+      await writeJsonAtomic(this.filePath, this.encrypt(entries));
+      await fs.promises.chmod(this.filePath, 0o600);
+      return result;
+    });
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    const envelope = await readJson(this.filePath, null);
+    return envelope ? this.decrypt(envelope) : {};
+  }
+
+  encrypt(entries) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt, SCRYPT_PARAMS), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(entries), 'utf8'), cipher.final()]);
+    return {
+      version: KEYSTORE_VERSION,
+      cipher: 'aes-256-gcm',
+      kdf: { name: 'scrypt', salt: salt.toString('base64'), ...SCRYPT_PARAMS },
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt(envelope) {
+    if (!envelope || envelope.version !== KEYSTORE_VERSION || envelope.cipher !== 'aes-256-gcm') {
+      throw new CredentialError(`Unsupported keystore format in ${this.filePath}`);
+    }
+    const { salt, N, r, p } = envelope.kdf || {};
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm',
+        this.deriveKey(Buffer.from(salt, 'base64'), { N, r, p }), Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      const text = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+      return JSON.parse(text);
+    } catch (error) {
+      if (error instanceof CredentialError) throw error;
+      throw new CredentialError(`Cannot decrypt ${this.filePath}: wrong FC_KEYSTORE_PASSPHRASE or a damaged file`);
+    }
+  }
+
+  deriveKey(salt, params) {
+    if (!this.passphrase) {
+      throw new CredentialError(`FC_KEYSTORE_PASSPHRASE is required to use the keystore (${this.filePath})`);
+    }
+    return crypto.scryptSync(this.passphrase, salt, 32, { ...params, maxmem: 64 * 1024 * 1024 });
+  }
+}
+
+/**
+ * Keystore location for a profile (its own state directory), or the
+ * installation's when none is active
+ */
+function keystorePathFor(profile = null) {
+  return path.join(profile ? profile.stateDir : getStateDir(), 'keystore.json');
+}
+
+/**
+ * Resolve both slots: { primary: { key, source } | null, secondary: { key, source } | null }.
+ * A profile's settings replace the GATHER_API_KEY* variables entirely.
+ */
+function loadCredentials({ profile = null, env = process.env, keystore = new KeyStore({ filePath: keystorePathFor(profile) }) } = {}) {
+  const configured = profile ? {
+    primary: { key: profile.apiKey, source: profile.apiKeySource, file: profile.apiKeyFile },
+    secondary: { key: profile.secondaryApiKey, source: profile.secondaryApiKeySource, file: profile.secondaryApiKeyFile }
+  } : {
+    primary: { key: env.GATHER_API_KEY, source: 'env:GATHER_API_KEY', file: env.GATHER_API_KEY_FILE },
+    secondary: { key: env.GATHER_API_KEY_SECONDARY, source: 'env:GATHER_API_KEY_SECONDARY', file: env.GATHER_API_KEY_SECONDARY_FILE }
+  };
+
+  const credentials = {};
+  SLOTS.forEach((slot) => {
+    const { key, source, file } = configured[slot];
+    if (key) {
+      credentials[slot] = { key, source };
+    } else if (file) {
+      credentials[slot] = { key: readKeyFile(file), source: `file:${file}` };
+    } else {
+      credentials[slot] = null;
+    }
+  });
+
+  if (SLOTS.some(slot => !credentials[slot]) && keystore.exists()) {
+    try {
+      const stored = keystore.readSync();
+      SLOTS.filter(slot => !credentials[slot] && stored[slot]).forEach((slot) => {
+        credentials[slot] = { key: stored[slot], source: `keystore:${keystore.filePath}` };
+      });
+    } catch (error) {
+      // Without a primary key from elsewhere the keystore problem is the whole story
+      if (!credentials.primary) throw error;
+      logger.warn(`⚠️ Ignoring the keystore: ${error.message}`);
+    }
+  }
+
+  // The same key twice is no fallback
+  if (credentials.secondary && credentials.primary && credentials.secondary.key === credentials.primary.key) {
+    credentials.secondary = null;
+  }
+  return credentials;
+}
+
+/**
+ * Read a key file (Docker/Kubernetes secret style): the whole file, trimmed
+ */
+function readKeyFile(filePath) {
+  let key;
+  try {
+    key = fs.readFileSync(filePath, 'utf8').trim();
+  } catch (error) {
+    throw new CredentialError(`Cannot read API key file ${filePath}: ${error.message}`);
+  }
+  if (!key) {
+    throw new CredentialError(`API key file ${filePath} is empty`);
+  }
+  return key;
+}
+
+/**
+ * Show enough of a key to tell keys apart without revealing it
+ */
+function maskKey(key) {
+  if (!key) return null;
+  return key.length > 8 ? `…${key.slice(-4)}` : '…';
+}
+
+function describeEntries(entries) {
+  return {
+    primary: maskKey(entries.primary),
+    secondary: maskKey(entries.secondary),
+    updatedAt: entries.updatedAt || null,
+    rotatedAt: entries.rotatedAt || null
+  };
+}
+
+function checkSlot(slot) {
+  if (!SLOTS.includes(slot)) {
+    throw new CredentialError(`Unknown key slot "${slot}" (use ${SLOTS.join(' or ')})`);
+  }
+}
+
+function checkKey(key) {
+  if (typeof key !== 'string' || !key || /\s/.test(key)) {
+    throw new CredentialError('An API key must be a non-empty string without whitespace');
+  }
+}
+
+class CredentialError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CredentialError';
+  }
+}
+
+module.exports = {
+  KeyStore,
+  loadCredentials,
+  keystorePathFor,
+  maskKey,
+  CredentialError,
+  SLOTS
+};
@@ -0,0 +1,118 @@
+const { ConflictError } = require('./gather_api_client');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('cross-space');
+
+/**
+ * Cross-Space Guests
+ * Guest operations over every registered space carrying a set of labels
+ * (space_registry.js): add a moderator to every chapter space, find where
+ * someone has access, remove someone everywhere. One space failing never
+ * stops the others.
+ */
+
+class CrossSpaceGuests {
+  constructor({ gatherApi, spaces, roles, messenger, expiryScheduler }) {
+    this.gatherApi = gatherApi;
+    this.spaces = spaces;
+    this.roles = roles;
+    this.messenger = messenger;
+    this.expiryScheduler = expiryScheduler;
+  }
+
+  /**
+   * Run fn(space) for every registered space carrying all of labels, one
+   * space at a time. A failure in one space does not stop the others:
+   * [{ spaceId, name, labels, status: 'ok' | 'failed', result, error }]
+   */
+  async forEachSpace(labels, fn) {
+    const spaces = await this.spaces.list({ labels });
+    const results = [];
+
+    for (const space of spaces) {
+      const outcome = { spaceId: space.id, name: space.name, labels: space.labels };
+      try {
+        results.push({ ...outcome, status: 'ok', result: await fn(space), error: null });
+      } catch (error) {
+        logger.warn(`⚠️ ${space.id}: ${error.message}`, { spaceId: space.id, error });
+        results.push({ ...outcome, status: 'failed', result: null, error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Invite one guest to every registered space carrying all of labels
+   * ("add this moderator to every chapter space"). Spaces where they are
+   * already a guest count as done.
+   */
+  async addGuestToSpaces(labels, guestInput) {
+    const guest = this.roles.resolveGuest(guestInput);
+    const results = await this.forEachSpace(labels, async (space) => {
+      try {
+        const result = await this.gatherApi.addGuest(space.id, {
+          ...guest,
+          ...this.messenger.guestInvitationFields(guest, { spaceUrl: space.url || await this.messenger.getSpaceUrl(space.id) })
+        });
+        return { action: 'invited', guestId: result?.guests?.[0]?.id || null };
+      } catch (error) {
+        if (error instanceof ConflictError) {
+          return { action: 'already_invited', guestId: null };
+        }
+        throw error;
+      }
+    });
+
+    logger.info(`📬 ${guest.email} added to ${results.filter(result => result.status === 'ok').length}/${results.length} spaces`);
+    return results;
+  }
+
+  /**
+   * Every registered space the email can access, with the guest's role there
+   * Spaces that could not be checked are listed under failed, so a partial
+   * answer is never mistaken for a complete one.
+   */
+  async findGuestAccess(email, labels = []) {
+    const results = await this.forEachSpace(labels, async (space) => {
+      const [guest] = await this.gatherApi.listAllGuests(space.id, { email });
+      return guest || null;
+    });
+
+    return {
+      email,
+      spacesChecked: results.length,
+      access: results.filter(result => result.status === 'ok' && result.result).map(({ spaceId, name, labels: spaceLabels, result: guest }) => ({
+        spaceId,
+        name,
+        labels: spaceLabels,
+        guestId: guest.id,
+        role: guest.role,
+        status: guest.status || null,
+        expiresAt: guest.expiresAt || null
+      })),
+      failed: results.filter(result => result.status === 'failed').map(({ spaceId, error }) => ({ spaceId, error }))
+    };
+  }
+
+  /**
+   * Remove the email from every registered space carrying all of labels
+   * ("remove this person everywhere"), cancelling any scheduled expiry
+   */
+  async removeGuestEverywhere(email, labels = []) {
+    const results = await this.forEachSpace(labels, async (space) => {
+      const [guest] = await this.gatherApi.listAllGuests(space.id, { email });
+      if (!guest) {
+        return { action: 'not_a_guest', guestId: null };
+      }
+      await this.gatherApi.removeGuest(space.id, guest.id, { before: guest });
+      await this.expiryScheduler.cancel(space.id, email);
+      return { action: 'removed', guestId: guest.id };
+    });
+
+    const removed = results.filter(result => result.result?.action === 'removed').length;
+    logger.info(`🚪 ${email} removed from ${removed} space(s)`, { removed, failed: results.filter(result => result.status === 'failed').length });
+    return results;
+  }
+}
+
+module.exports = { CrossSpaceGuests };
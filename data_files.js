@@ -0,0 +1,43 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Structured data file loading (JSON, and YAML when js-yaml is installed)
+ */
+
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+/**
+ * Read and parse a JSON or YAML file based on its extension
+ */
+async function loadDataFile(filePath) {
+  const content = await fs.readFile(filePath, 'utf8');
+  return parseDataFile(content, filePath);
+}
+
+function parseDataFile(content, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  try {
+    if (YAML_EXTENSIONS.includes(extension)) {
+      return loadYamlParser().load(content);
+    }
+    return JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Failed to parse ${filePath}: ${error.message}`);
+  }
+}
+
+function loadYamlParser() {
+  try {
+    return require('js-yaml');
+  } catch (error) {
+    throw new Error('YAML files require the js-yaml package (npm install js-yaml)');
+  }
+}
+
+module.exports = {
+  loadDataFile,
+  parseDataFile,
+  YAML_EXTENSIONS
+};
@@ -0,0 +1,255 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { SmtpClient } = require('./smtp_client');
+const { getStateDir, readJson, writeJsonAtomic } = require('./state_store');
+const { createLogger } = require('./logger');
+const { DELIVERY_MODES, readSetting } = require('./config_schema');
+
+const logger = createLogger('email');
+
+/**
+ * Email Delivery
+ * Sends invitations and welcome messages by SMTP, either as a fallback when
+ * the platform invitation fails or always. Every attempt is logged, transient
+ * SMTP failures are retried, and hard-bounced addresses are suppressed until
+ * cleared.
+ *
+ * Modes (EMAIL_DELIVERY_MODE):
+ *   fallback  platform first, SMTP when it fails (default when SMTP_HOST is set)
+ *   always    SMTP only; the platform invitation is skipped
+ *   off       platform only (default without SMTP_HOST)
+ */
+
+const DELIVERY_STATUS = {
+  SENT: 'sent',
+  PARTIAL: 'partial', // some recipients bounced
+  FAILED: 'failed',
+  SKIPPED: 'skipped' // every recipient is suppressed
+};
+
+class EmailDelivery {
+  constructor(options = {}) {
+    this.mode = options.mode || readSetting('EMAIL_DELIVERY_MODE');
+    if (!DELIVERY_MODES.includes(this.mode)) {
+      throw new Error(`Unknown EMAIL_DELIVERY_MODE: ${this.mode} (expected ${DELIVERY_MODES.join(', ')})`);
+    }
+
+    this.smtp = options.smtp || null;
+    this.smtpOptions = options.smtpOptions || {};
+    this.maxRetries = options.maxRetries ?? readSetting('SMTP_MAX_RETRIES');
+    this.retryDelayMs = options.retryDelayMs ?? 2000;
+    this.logPath = options.logPath || path.join(getStateDir(), 'email_deliveries.json');
+    this.lock = Promise.resolve();
+  }
+
+  get enabled() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Created on first use so a missing SMTP_HOST only matters when mail is sent
+   */
+  getSmtpClient() {
+    if (!this.smtp) {
+      this.smtp = new SmtpClient(this.smtpOptions);
+    }
+    return this.smtp;
+  }
+
+  /**
+   * Deliver a message through the platform and/or SMTP according to the mode
+   * Resolves with { channel: 'platform' | 'smtp', result, platformError }
+   */
+  async deliver({ platformSend, ...message }) {
+    let platformError = null;
+
+    if (this.mode !== 'always' && platformSend) {
+      try {
+        return { channel: 'platform', result: await platformSend(), platformError };
+      } catch (error) {
+        if (!this.enabled) {
+          throw error;
+        }
+        platformError = error.message;
+        logger.warn(`⚠️ Platform invitation failed (${error.message}); falling back to SMTP`, { error });
+      }
+    }
+
+    const result = await this.sendEmail({ ...message, context: { ...message.context, platformError } });
+    return { channel: 'smtp', result, platformError };
+  }
+
+  /**
+   * Send by SMTP with retries; resolves with the logged delivery record
+   * Throws EmailDeliveryError when no recipient could be reached
+   */
+  async sendEmail({ recipients, subject, text, html, context = {} }) {
+    if (!this.enabled) {
+      throw new EmailDeliveryError('SMTP delivery is off (set SMTP_HOST or EMAIL_DELIVERY_MODE)');
+    }
+
+    const suppressed = await this.bouncedAddresses();
+    const targets = recipients.filter(email => !suppressed.has(email.toLowerCase()));
+    const now = new Date().toISOString();
+    const record = {
+      id: `email_${uuidv4()}`,
+      recipients,
+      subject,
+      context,
+      status: DELIVERY_STATUS.SKIPPED,
+      attempts: 0,
+      accepted: [],
+      bounced: [],
+      suppressed: recipients.filter(email => !targets.includes(email)),
+      messageId: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    if (record.suppressed.length > 0) {
+      logger.warn(`⚠️ Not emailing previously bounced address(es): ${record.suppressed.join(', ')}`);
+    }
+
+    while (targets.length > 0 && record.attempts <= this.maxRetries) {
+      record.attempts += 1;
+      try {
+        const sent = await this.getSmtpClient().sendMail({ to: targets, subject, text, html });
+        Object.assign(record, {
+          status: sent.rejected.length > 0 ? DELIVERY_STATUS.PARTIAL : DELIVERY_STATUS.SENT,
+          accepted: sent.accepted,
+          bounced: sent.rejected,
+          messageId: sent.messageId,
+          error: null
+        });
+        break;
+      } catch (error) {
+        record.status = DELIVERY_STATUS.FAILED;
+        record.error = error.message;
+        record.bounced = error.rejected || [];
+
+        if (error.permanent || record.attempts > this.maxRetries) {
+          break;
+        }
+        const delayMs = this.retryDelayMs * Math.pow(2, record.attempts - 1);
+        logger.info(`🔄 SMTP attempt ${record.attempts} failed (${error.message}); retrying in ${delayMs}ms`, {
+          deliveryId: record.id,
+          attempt: record.attempts,
+          smtpCode: error.code
+        });
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+      }
+    }
+
+    record.updatedAt = new Date().toISOString();
+    await this.log(record);
+
+    if (record.status === DELIVERY_STATUS.FAILED) {
+      logger.error(`❌ Email to ${recipients.join(', ')} failed after ${record.attempts} attempt(s): ${record.error}`, {
+        deliveryId: record.id
+      });
+      throw new EmailDeliveryError(`Email delivery failed: ${record.error}`, record);
+    }
+    if (record.accepted.length > 0) {
+      logger.info(`📧 Email sent via SMTP to ${record.accepted.join(', ')}`, { deliveryId: record.id, messageId: record.messageId });
+    }
+    return record;
+  }
+
+  /**
+   * Mark an address as bounced (e.g. from a bounce notification received later)
+   */
+  recordBounce(email, details = {}) {
+    return this.exclusive(async (state) => {
+      addBounce(state, { email, code: details.code || null, message: details.message || 'Reported bounce' });
+      return state.bounces[email.toLowerCase()];
+    });
+  }
+
+  /**
+   * Allow mail to a previously bounced address again
+   */
+  clearBounce(email) {
+    return this.exclusive(async (state) => {
+      const existed = Boolean(state.bounces[email.toLowerCase()]);
+      delete state.bounces[email.toLowerCase()];
+      return existed;
+    });
+  }
+
+  /**
+   * Logged deliveries, newest first, optionally filtered by status or recipient
+   */
+  async listDeliveries({ status, email } = {}) {
+    const state = await this.load();
+    return state.deliveries
+      .filter(record => !status || record.status === status)
+      .filter(record => !email || record.recipients.some(recipient => recipient.toLowerCase() === email.toLowerCase()))
+      .reverse();
+  }
+
+  /**
+   * Bounced addresses with the most recent reason
+   */
+  async listBounces() {
+    const state = await this.load();
+    return Object.entries(state.bounces).map(([email, bounce]) => ({ email, ...bounce }));
+  }
+
+  async bouncedAddresses() {
+    const state = await this.load();
+    return new Set(Object.keys(state.bounces));
+  }
+
+  log(record) {
+    return this.exclusive(async (state) => {
+      state.deliveries.push(record);
+      record.bounced.forEach(bounce => addBounce(state, bounce));
+    });
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the delivery log
+   */
+  exclusive(task) {
+    const run = this.lock.then(async () => {
+      const state = await this.load();
+      const result = await task(state);
+      await writeJsonAtomic(this.logPath, state);
+      return result;
+    });
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    const state = await readJson(this.logPath, {});
+    return { deliveries: state.deliveries || [], bounces: state.bounces || {} };
+  }
+}
+
+function addBounce(state, { email, code, message }) {
+  const key = email.toLowerCase();
+  const previous = state.bounces[key];
+  state.bounces[key] = {
+    code,
+    message,
+    count: (previous ? previous.count : 0) + 1,
+    lastBouncedAt: new Date().toISOString()
+  };
+}
+
+class EmailDeliveryError extends Error {
+  constructor(message, record = null) {
+    super(message);
+    this.name = 'EmailDeliveryError';
+    this.record = record;
+  }
+}
+
+module.exports = {
+  EmailDelivery,
+  EmailDeliveryError,
+  DELIVERY_MODES,
+  DELIVERY_STATUS
+};
@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+/**
+ * fc-guests: command-line tool for FC space and guest list management
+ *
+ * Usage: fc_guests.js <group> <command> [args] [--json] [--yes]
+ * Run with --help for the full command list. The commands themselves live in
+ * cli_space_commands.js and cli_admin_commands.js.
+ */
+
+require('dotenv').config();
+const FCGuestManager = require('./fc_guest_manager');
+const {
+  APIError,
+  ValidationError,
+  PermissionError,
+  ConflictError,
+  RateLimitError,
+  TimeoutError
+} = require('./gather_api_client');
+const { RoleValidationError } = require('./roles');
+const { TemplateError } = require('./space_templates');
+const { MessageTemplateError } = require('./message_templates');
+const { EmailDeliveryError } = require('./email_delivery');
+const { withActor } = require('./audit_log');
+const { IncidentError } = require('./safety_incidents');
+const { SpaceRegistryError } = require('./space_registry');
+const { ProfileError } = require('./organization_profiles');
+const { CredentialError } = require('./credentials');
+const { ConfigError } = require('./config_schema');
+const { CapacityError } = require('./capacity_planner');
+const { parseArgs, optionalString, UsageError, AuditTamperedError, AbortedError } = require('./cli_helpers');
+const { SPACE_COMMANDS } = require('./cli_space_commands');
+const { ADMIN_COMMANDS } = require('./cli_admin_commands');
+
+const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1,
+  USAGE: 2,
+  VALIDATION: 3,
+  PERMISSION: 4,
+  CONFLICT: 5,
+  RATE_LIMIT: 6,
+  API: 7,
+  ABORTED: 8,
+  EMAIL: 9,
+  AUDIT: 10
+};
+
+// Command groups that work from local state, so they run without an API key
+// (incident escalations then go out by SMTP, or are retried by `incidents check`)
+const OFFLINE_GROUPS = ['messages', 'email', 'audit', 'incidents', 'moderation'];
+// Single commands that only touch local state in otherwise online groups
+const OFFLINE_COMMANDS = ['spaces list', 'spaces label', 'spaces unregister', 'credentials status', 'credentials store'];
+// Commands that run without a manager (and so without a usable profile)
+const STANDALONE_GROUPS = ['profiles', 'config'];
+
+const HELP = `
+fc-guests - First Contact space and guest list management
+
+USAGE
+  fc_guests.js <group> <command> [arguments] [options]
+
+SPACES
+  space create [--template office] [--var key=value ...] [--label chapter,west]
+  space show <spaceId>
+  space update <spaceId> --set path=value [--set ...]
+                                     Changes to capacity or customization are checked first
+
+CAPACITY (FC_CAPACITY_POLICY: warn, block, waitlist or off)
+  capacity check <spaceId>           Area capacities, and the projected peak of the current guests
+  capacity release <jobId> [--force] Invite a bulk job's waitlisted guests who now fit (--force: all)
+  guests import (without --apply) also shows the projected peak with the new guests.
+
+SPACE REGISTRY (--label a,b selects spaces carrying all of the labels; none selects every space)
+  spaces list [--label chapter]
+  spaces register <spaceId> [--label chapter,west]
+  spaces unregister <spaceId>
+  spaces label <spaceId> [--add event] [--remove draft]
+  spaces add-guest --email <email> [--label chapter] [--name n] [--role moderator] [--permissions a,b]
+  spaces access <email> [--label chapter]       Every registered space the email can access
+  spaces remove-guest <email> [--label chapter]
+
+GUESTS
+  guests list <spaceId> [--role moderator] [--status invited] [--email e]
+  guests add <spaceId> --email <email> [--name n] [--role r] [--permissions a,b]
+                      [--pronouns p] [--locale es] [--expires <date>]
+  guests update <spaceId> <guestId|email> [--role r] [--permissions a,b]
+                      A new role brings its permissions unless --permissions is given
+  guests remove <spaceId> <guestId|email>
+  guests import <spaceId> <file.csv|file.json> [--apply]
+
+TIME-LIMITED ACCESS (guests added with --expires, or an expiresAt in an import)
+  expiry list [--space id]
+  expiry run [--interval 60] [--once]
+                                     Warn, then revoke or downgrade guests as access ends; keeps running
+                                     until Ctrl+C or SIGTERM (--once: one check, then exit)
+
+INVITATIONS & WEBHOOKS
+  invite send <spaceId> --to a@x.org,b@x.org [--locale es] [--subject s] [--message m]
+  webhooks create <spaceId> --url <url> [--events guest.joined,report.filed] [--secret s]
+
+SAFETY INCIDENTS
+  incidents list [--status open|acknowledged|resolved] [--severity s] [--space id] [--breached]
+  incidents show <incidentId>
+  incidents report --category <c> [--description d] [--space id] [--anonymous | --reporter email]
+                   [--emergency] [--severity critical|high|medium|low]
+  incidents ack <incidentId>
+  incidents note <incidentId> --text <note>
+  incidents resolve <incidentId> --resolution <summary>
+  incidents check      Record missed SLAs and re-escalate
+  incidents summary
+
+AUTO-MODERATION
+  moderation check <text...>        Score a message with the local rules
+  moderation eval [--corpus file] [--rules file]
+
+AUDIT LOG
+  audit query [--email e] [--guest id] [--space id] [--action a] [--actor a] [--from date] [--to date]
+  audit verify
+  audit export [--format json|jsonl|csv] [--out file] [same filters as query]
+
+EMAIL (SMTP delivery log)
+  email log [--status sent|partial|failed|skipped] [--email a@x.org]
+  email bounces
+  email unbounce <email>
+
+ORGANIZATION PROFILES (FC_PROFILES_FILE, default fc_profiles.json)
+  profiles list
+  profiles show [name]               Resolved profile, secrets masked (default: the active profile)
+
+CONFIGURATION
+  config check                       Every setting as resolved (defaults applied, secrets masked);
+                                     exits 3 listing all invalid settings
+
+API KEYS (primary, plus a secondary used when Gather refuses the primary)
+  credentials status                 Which key is in use and where each comes from (masked)
+  credentials store <primary|secondary> [--key-file f]
+                                     Save a key in the encrypted keystore (FC_KEYSTORE_PASSPHRASE)
+  credentials rotate [--key-file f]  Check a new key against the registered spaces, then make it the
+                                     primary; the key in use becomes the secondary
+  Without --key-file the key is read from stdin, so it stays out of the shell history.
+
+MESSAGES
+  messages list
+  messages preview <guest_invitation|moderator_welcome> [--locale es] [--name n]
+                   [--pronouns p] [--role r] [--space-url url] [--html]
+
+OPTIONS
+  --json     Print machine-readable JSON on stdout (logs go to stderr)
+  --yes      Skip confirmation for destructive actions
+  --actor    Name recorded in the audit log and on incidents (default FC_AUDIT_ACTOR or user@host)
+  --profile  Organization profile to act as (default FC_PROFILE, then the profiles file's default)
+  --help     Show this help
+
+EXIT CODES
+  0 success, 1 unexpected error, 2 usage error, 3 invalid input,
+  4 permission denied, 5 conflict, 6 rate limited, 7 other API error,
+  8 aborted at confirmation, 9 email delivery failed, 10 audit log tampered
+`.trim();
+
+const COMMANDS = { ...SPACE_COMMANDS, ...ADMIN_COMMANDS };
+
+/**
+ * Map an error to the CLI's exit code
+ */
+function exitCodeFor(error) {
+  if (error instanceof UsageError) return EXIT_CODES.USAGE;
+  if (error instanceof AbortedError) return EXIT_CODES.ABORTED;
+  if (error instanceof ValidationError || error instanceof RoleValidationError || error instanceof TemplateError ||
+    error instanceof MessageTemplateError || error instanceof IncidentError || error instanceof SpaceRegistryError ||
+    error instanceof ProfileError || error instanceof CredentialError || error instanceof ConfigError ||
+    error instanceof CapacityError) {
+    return EXIT_CODES.VALIDATION;
+  }
+  if (error instanceof PermissionError || error.status === 401 || error.status === 403) return EXIT_CODES.PERMISSION;
+  if (error instanceof ConflictError) return EXIT_CODES.CONFLICT;
+  if (error instanceof RateLimitError || error.status === 429) return EXIT_CODES.RATE_LIMIT;
+  if (error instanceof APIError || error instanceof TimeoutError) return EXIT_CODES.API;
+  if (error instanceof EmailDeliveryError) return EXIT_CODES.EMAIL;
+  if (error instanceof AuditTamperedError) return EXIT_CODES.AUDIT;
+  return EXIT_CODES.ERROR;
+}
+
+/**
+ * Run the CLI; resolves with the exit code
+ */
+async function run(argv, createManager = (apiKey, options) => new FCGuestManager(apiKey, options)) {
+  const { positionals, flags } = parseArgs(argv);
+  const [group, command, ...args] = positionals;
+
+  if (flags.help || !group) {
+    console.log(HELP);
+    return flags.help ? EXIT_CODES.SUCCESS : EXIT_CODES.USAGE;
+  }
+
+  // Keep stdout clean for JSON consumers; progress logs go to stderr
+  const originalLog = console.log;
+  if (flags.json) {
+    console.log = console.error;
+  }
+
+  try {
+    const handler = COMMANDS[group] && COMMANDS[group][command];
+    if (!handler) {
+      throw new UsageError(`Unknown command: ${[group, command].filter(Boolean).join(' ')} (see --help)`);
+    }
+
+    // Message previews never call the API, so they work without a configured key
+    const offline = OFFLINE_GROUPS.includes(group) || OFFLINE_COMMANDS.includes(`${group} ${command}`);
+    const manager = STANDALONE_GROUPS.includes(group)
+      ? null
+      : createManager(undefined, { profile: optionalString(flags.profile), offline });
+    const actor = optionalString(flags.actor);
+    const result = actor
+      ? await withActor(actor, () => handler(manager, args, flags))
+      : await handler(manager, args, flags);
+
+    if (flags.json) {
+      process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+    } else if (result !== undefined) {
+      console.log(formatResult(result));
+    }
+    return EXIT_CODES.SUCCESS;
+  } catch (error) {
+    const code = exitCodeFor(error);
+    // A command may fail with a result (error.result) that is still worth showing, e.g. config check
+    if (flags.json) {
+      const failure = { error: { name: error.name, message: error.message, status: error.status, exitCode: code } };
+      process.stdout.write(error.result !== undefined
+        ? `${JSON.stringify({ ...error.result, ...failure }, null, 2)}\n`
+        : `${JSON.stringify(failure)}\n`);
+    } else {
+      if (error.result !== undefined) {
+        console.log(formatResult(error.result));
+      }
+      console.error(`❌ ${error.message}`);
+    }
+    return code;
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+function formatResult(result) {
+  if (typeof result === 'string') {
+    return result;
+  }
+  if (Array.isArray(result) && result.length > 0 && result.every(item => item && item.id && item.severity)) {
+    return result.map(incident =>
+      `${incident.id}\t${incident.severity}\t${incident.status}\t${incident.category}\t${incident.receivedAt}`).join('\n');
+  }
+  if (Array.isArray(result) && result.length > 0 && result.every(item => item && item.id && Array.isArray(item.labels))) {
+    return result.map(space => `${space.id}\t${space.labels.join(',') || '-'}\t${space.name || ''}`).join('\n');
+  }
+  if (Array.isArray(result) && result.length > 0 && result.every(item => item && item.spaceId && item.status)) {
+    return result.map(outcome => `${outcome.spaceId}\t${outcome.status === 'ok' ? outcome.result.action : `failed: ${outcome.error}`}`)
+      .join('\n');
+  }
+  if (Array.isArray(result) && result.every(item => item && item.id && item.email)) {
+    return result.map(guest => `${guest.id}\t${guest.email}\t${guest.role || ''}\t${guest.status || ''}`).join('\n') ||
+      '(none)';
+  }
+  return JSON.stringify(result, null, 2);
+}
+
+// Execute if run directly
+if (require.main === module) {
+  run(process.argv.slice(2)).then(code => process.exit(code));
+}
+
+module.exports = {
+  run,
+  parseArgs,
+  EXIT_CODES
+};
@@ -1,69 +1,38 @@
-const fetch = require('node-fetch');
-require('dotenv').config();
+const { createLogger } = require('./logger');
+const { CredentialError } = require('./credentials');
+const { readSetting } = require('./config_schema');
+const { GatherHttpClient } = require('./gather_http_client');
+const { RateLimitManager } = require('./rate_limit_manager');
+const {
+  APIError,
+  AuthenticationError,
+  ValidationError,
+  PermissionError,
+  ConflictError,
+  TimeoutError,
+  RateLimitError
+} = require('./gather_api_errors');
+
+const logger = createLogger('gather-api');
 
 /**
  * Gather.Town API Client
- * Handles all interactions with the Gather.Town HTTP API
+ * Handles all interactions with the Gather.Town HTTP API: the space, guest,
+ * invitation and webhook endpoints, and the audit log entry for every change.
+ * Transport (keys, rate limiting, retries, interceptors) is GatherHttpClient's.
+ *
+ * Without an explicit apiKey the keys come from loadCredentials() (env var,
+ * key file or keystore); options.credentials passes already resolved ones and
+ * options.secondaryApiKey adds a fallback to an explicit key.
  */
-class GatherAPIClient {
-  constructor(apiKey) {
-    this.apiKey = apiKey || process.env.GATHER_API_KEY;
-    this.baseUrl = process.env.GATHER_BASE_URL || 'https://gather.town/api/v2';
-    this.retryConfig = {
-      maxRetries: 3,
-      backoffMs: 1000,
-      retryCondition: (error) => error.status >= 500 || error.status === 429
-    };
-
-    if (!this.apiKey) {
-      throw new Error('Gather.Town API key is required');
-    }
+class GatherAPIClient extends GatherHttpClient {
+  constructor(apiKey, options = {}) {
+    super(apiKey, options);
+    // Optional AuditLog; when set, every guest, space and invitation change is recorded
+    this.auditLog = options.auditLog || null;
+    this.pageSize = options.pageSize ?? readSetting('GATHER_PAGE_SIZE');
   }
 
-  /**
-   * Make HTTP request to Gather.Town API with retry logic
-   */
-  async makeRequest(endpoint, options = {}) {
-    const url = `${this.baseUrl}${endpoint}`;
-    const defaultOptions = {
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'FC-GuestList-POC/1.0'
-      }
-    };
-
-    const requestOptions = { ...defaultOptions, ...options };
-
-    for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
-      try {
-        console.log(`🔄 API Request: ${options.method || 'GET'} ${endpoint} (attempt ${attempt + 1})`);
-        
-        const response = await fetch(url, requestOptions);
-        const responseData = await response.json();
-        
-        if (!response.ok) {
-          throw new APIError(response.status, responseData.message || response.statusText);
-        }
-        
-        console.log(`✅ API Success: ${endpoint}`);
-        return responseData;
-        
-      } catch (error) {
-        console.log(`❌ API Error: ${error.message}`);
-        
-        if (attempt === this.retryConfig.maxRetries || 
-            !this.retryConfig.retryCondition(error)) {
-          throw error;
-        }
-        
-        // Exponential backoff
-        const backoffTime = this.retryConfig.backoffMs * Math.pow(2, attempt);
-        console.log(`⏳ Retrying in ${backoffTime}ms...`);
-        await this.delay(backoffTime);
-      }
-    }
-  }
 
   /**
    * Create a new Gather.Town space
@@ -86,9 +55,13 @@ class GatherAPIClient {
    * Update space configuration
    */
   async updateSpace(spaceId, updates) {
-    return await this.makeRequest(`/spaces/${spaceId}`, {
+    const changedKeys = Object.keys(updates);
+    return await this.audited('updateSpace', { spaceId }, () => this.makeRequest(`/spaces/${spaceId}`, {
       method: 'PUT',
       body: JSON.stringify(updates)
+    }), {
+      before: async () => pick(await this.getSpace(spaceId), changedKeys),
+      after: space => pick(space, changedKeys)
     });
   }
 
@@ -96,13 +69,18 @@ class GatherAPIClient {
    * Add guest to space
    */
   async addGuest(spaceId, guestConfig) {
+    const guests = Array.isArray(guestConfig) ? guestConfig : [guestConfig];
+    const target = { spaceId, emails: guests.map(guest => String(guest.email || '').toLowerCase()) };
+
     try {
-      return await this.makeRequest(`/spaces/${spaceId}/guests`, {
+      return await this.audited('addGuest', target, () => this.makeRequest(`/spaces/${spaceId}/guests`, {
         method: 'POST',
         body: JSON.stringify({
-          guests: Array.isArray(guestConfig) ? guestConfig : [guestConfig],
+          guests,
           sendInvitation: true
         })
+      }), {
+        after: result => (result?.guests || []).map(guestAccess)
       });
     } catch (error) {
       // Enhanced error handling for common scenarios
@@ -118,28 +96,104 @@ class GatherAPIClient {
   }
 
   /**
-   * Get guest list for space
+   * Get the complete guest list for space as { spaceId, guests }, following
+   * every page. filters ({ role, email, status }) are sent to the server.
+   */
+  async getGuestList(spaceId, filters = {}) {
+    return { spaceId, guests: await this.listAllGuests(spaceId, filters) };
+  }
+
+  /**
+   * Every guest matching filters, as an array
+   */
+  async listAllGuests(spaceId, filters = {}) {
+    const guests = [];
+    for await (const guest of this.iterateGuests(spaceId, filters)) {
+      guests.push(guest);
+    }
+
+    // Only an unfiltered list is the whole space
+    if (this.metrics && !Object.values(filters).some(Boolean)) {
+      this.metrics.recordGuests(spaceId, guests);
+    }
+    return guests;
+  }
+
+  /**
+   * Iterate guests page by page: for await (const guest of client.iterateGuests(spaceId, { role: 'member' }))
+   * Stops early without fetching further pages when the loop breaks.
+   */
+  async *iterateGuests(spaceId, filters = {}) {
+    const seenCursors = new Set();
+    let cursor = null;
+
+    do {
+      const page = await this.getGuestPage(spaceId, { ...filters, cursor });
+      // Filters are repeated locally in case the server ignores one
+      yield* page.guests.filter(guest => matchesGuestFilters(guest, filters));
+
+      cursor = page.nextCursor;
+      if (cursor && seenCursors.has(cursor)) {
+        throw new Error(`Guest list pagination for ${spaceId} returned a repeated cursor`);
+      }
+      seenCursors.add(cursor);
+    } while (cursor);
+  }
+
+  /**
+   * One page of guests: { guests, nextCursor } (nextCursor is null on the last page)
+   */
+  async getGuestPage(spaceId, { cursor = null, limit = this.pageSize, role, email, status } = {}) {
+    const query = new URLSearchParams();
+    Object.entries({ limit, cursor, role, email, status })
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .forEach(([key, value]) => query.set(key, String(value)));
+
+    const page = await this.makeRequest(`/spaces/${spaceId}/guests?${query}`);
+    return {
+      guests: page?.guests || [],
+      nextCursor: page?.nextCursor ?? page?.pagination?.nextCursor ?? null
+    };
+  }
+
+  /**
+   * One guest; null when the space has no such guest
    */
-  async getGuestList(spaceId) {
-    return await this.makeRequest(`/spaces/${spaceId}/guests`);
+  async getGuest(spaceId, guestId) {
+    try {
+      return await this.makeRequest(`/spaces/${spaceId}/guests/${guestId}`);
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    }
   }
 
   /**
    * Update guest permissions
+   * options.before: the guest as the caller already has it, which saves
+   * fetching it again for the audit log
    */
-  async updateGuest(spaceId, guestId, updates) {
-    return await this.makeRequest(`/spaces/${spaceId}/guests/${guestId}`, {
+  async updateGuest(spaceId, guestId, updates, options = {}) {
+    return await this.audited('updateGuest', { spaceId, guestId }, () => this.makeRequest(`/spaces/${spaceId}/guests/${guestId}`, {
       method: 'PUT',
       body: JSON.stringify(updates)
+    }), {
+      before: () => this.guestBeforeChange(spaceId, guestId, options.before),
+      after: guestAccess
     });
   }
 
   /**
-   * Remove guest from space
+   * Remove guest from space (options.before as for updateGuest)
    */
-  async removeGuest(spaceId, guestId) {
-    return await this.makeRequest(`/spaces/${spaceId}/guests/${guestId}`, {
+  async removeGuest(spaceId, guestId, options = {}) {
+    return await this.audited('removeGuest', { spaceId, guestId }, () => this.makeRequest(`/spaces/${spaceId}/guests/${guestId}`, {
       method: 'DELETE'
+    }), {
+      before: () => this.guestBeforeChange(spaceId, guestId, options.before),
+      after: () => null
     });
   }
 
@@ -147,9 +201,16 @@ class GatherAPIClient {
    * Send custom invitation
    */
   async sendInvitation(invitationConfig) {
-    return await this.makeRequest('/invitations', {
+    const target = {
+      spaceId: invitationConfig.spaceId,
+      emails: (invitationConfig.recipients || []).map(email => email.toLowerCase())
+    };
+    return await this.audited('sendInvitation', target, () => this.makeRequest('/invitations', {
       method: 'POST',
       body: JSON.stringify(invitationConfig)
+    }), {
+      // The subject identifies the message; bodies are not kept in the audit log
+      after: invitation => ({ invitationId: invitation?.id || null, subject: invitationConfig.subject || null })
     });
   }
 
@@ -164,97 +225,91 @@ class GatherAPIClient {
   }
 
   /**
-   * Utility: Delay function for rate limiting
+   * Run a change and append its outcome to the audit log (when configured).
+   * capture.before reads the prior state; if it fails the change still runs
+   * and the entry notes why the prior state is missing.
    */
-  delay(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-}
+  async audited(action, target, perform, capture = {}) {
+    if (!this.auditLog) {
+      return await perform();
+    }
 
-/**
- * Custom Error Classes
- */
-class APIError extends Error {
-  constructor(status, message) {
-    super(message);
-    this.status = status;
-    this.name = 'APIError';
-  }
-}
+    let before = null;
+    if (capture.before) {
+      try {
+        before = await capture.before();
+      } catch (error) {
+        before = { unavailable: error.message };
+      }
+    }
+    if (before && before.email && !target.emails) {
+      target = { ...target, emails: [before.email.toLowerCase()] };
+    }
 
-class ValidationError extends APIError {
-  constructor(message, data) {
-    super(400, message);
-    this.name = 'ValidationError';
-    this.data = data;
+    let result;
+    try {
+      result = await perform();
+    } catch (error) {
+      await this.writeAudit({ action, target, before, outcome: 'failure', error });
+      throw error;
+    }
+
+    await this.writeAudit({ action, target, before, after: capture.after ? capture.after(result) : null, outcome: 'success' });
+    return result;
   }
-}
 
-class PermissionError extends APIError {
-  constructor(message) {
-    super(403, message);
-    this.name = 'PermissionError';
+  async writeAudit(entry) {
+    try {
+      await this.auditLog.record(entry);
+    } catch (error) {
+      // The change already happened; failing it now would invite a duplicate retry
+      logger.error(`❌ Audit log write failed for ${entry.action}: ${error.message}`, { error });
+    }
   }
-}
 
-class ConflictError extends APIError {
-  constructor(message) {
-    super(409, message);
-    this.name = 'ConflictError';
+  /**
+   * A guest's access before a change, for the audit log
+   */
+  async guestBeforeChange(spaceId, guestId, known) {
+    const guest = known || await this.getGuest(spaceId, guestId);
+    return guest ? guestAccess(guest) : null;
   }
 }
 
 /**
- * Rate Limit Manager
+ * The access-relevant fields of a guest, as kept in the audit log
  */
-class RateLimitManager {
-  constructor() {
-    this.limits = {
-      standard: { requests: 1000, window: 3600 }, // 1000/hour
-      premium: { requests: 5000, window: 3600 },  // 5000/hour
-      burst: { requests: 100, window: 60 }        // 100/minute
-    };
-    this.usage = new Map();
-  }
+function guestAccess(guest) {
+  if (!guest) return null;
+  return {
+    id: guest.id,
+    email: guest.email,
+    role: guest.role,
+    permissions: guest.permissions,
+    status: guest.status,
+    expiresAt: guest.expiresAt ?? null
+  };
+}
 
-  async checkLimit(tier = 'standard') {
-    const now = Date.now();
-    const limit = this.limits[tier];
-    const windowStart = now - (limit.window * 1000);
-    
-    // Clean old entries
-    for (const [timestamp] of this.usage) {
-      if (timestamp < windowStart) {
-        this.usage.delete(timestamp);
-      }
-    }
-    
-    if (this.usage.size >= limit.requests) {
-      const oldestRequest = Math.min(...this.usage.keys());
-      const resetTime = oldestRequest + (limit.window * 1000);
-      const waitTime = resetTime - now;
-      
-      throw new RateLimitError(`Rate limit exceeded. Reset in ${waitTime}ms`);
-    }
-    
-    this.usage.set(now, true);
-    return true;
-  }
+function matchesGuestFilters(guest, { role, email, status } = {}) {
+  return (!role || guest.role === role) &&
+    (!email || String(guest.email || '').toLowerCase() === email.toLowerCase()) &&
+    (!status || guest.status === status);
 }
 
-class RateLimitError extends Error {
-  constructor(message) {
-    super(message);
-    this.name = 'RateLimitError';
-  }
+function pick(object, keys) {
+  return Object.fromEntries(keys.filter(key => object && key in object).map(key => [key, object[key]]));
 }
 
 module.exports = {
   GatherAPIClient,
   APIError,
+  AuthenticationError,
+  CredentialError,
   ValidationError,
   PermissionError,
   ConflictError,
   RateLimitManager,
-  RateLimitError
+  RateLimitError,
+  TimeoutError
 };
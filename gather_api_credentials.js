@@ -0,0 +1,80 @@
+const { createLogger, registerSecret } = require('./logger');
+const { maskKey, CredentialError } = require('./credentials');
+
+const logger = createLogger('gather-api');
+
+// Responses that mean the key itself was refused, so the secondary key is worth a try
+const AUTH_FAILURE_STATUSES = [401, 403];
+
+/**
+ * Gather.Town API Client Credentials
+ * The keys one GatherAPIClient sends: the primary and an optional secondary
+ * ({ key, source } each, from loadCredentials() in credentials.js), which
+ * slot is in use, and the switch to the secondary once Gather refuses the
+ * primary.
+ */
+class ClientCredentials {
+  /**
+   * options.metrics (ClientMetrics) counts failovers
+   */
+  constructor(credentials, { metrics = null } = {}) {
+    if (!credentials || !credentials.primary || !credentials.primary.key) {
+      throw new CredentialError('Gather.Town API key is required: set GATHER_API_KEY or GATHER_API_KEY_FILE, ' +
+        'or store one with "fc_guests.js credentials store primary"');
+    }
+    this.primary = credentials.primary;
+    this.secondary = credentials.secondary && credentials.secondary.key ? credentials.secondary : null;
+    this.activeSlot = 'primary';
+    this.failover = null;
+    this.metrics = metrics;
+    registerSecret(this.primary.key);
+    if (this.secondary) registerSecret(this.secondary.key);
+  }
+
+  /**
+   * The key in slot, by default the one requests are sent with
+   */
+  key(slot = this.activeSlot) {
+    return this[slot].key;
+  }
+
+  /**
+   * Which key is in use and where each came from, keys masked
+   */
+  status() {
+    const describe = credential => (credential ? { source: credential.source, key: maskKey(credential.key) } : null);
+    return {
+      active: this.activeSlot,
+      primary: describe(this.primary),
+      secondary: describe(this.secondary),
+      failover: this.failover
+    };
+  }
+
+  /**
+   * Called when a request sent with the key in slot was refused. Returns
+   * true when the request should be sent again with the secondary key:
+   * either this switches to it, or a concurrent request already did.
+   */
+  failOver(slot, status, method, endpoint) {
+    if (slot !== 'primary' || !this.secondary) {
+      return false;
+    }
+    if (this.activeSlot === 'primary') {
+      const { primary, secondary } = this;
+      this.activeSlot = 'secondary';
+      this.failover = { status, method, endpoint, at: new Date().toISOString() };
+      logger.error(`🚨🚨 PRIMARY GATHER API KEY REJECTED (${status} on ${method} ${endpoint}) 🚨🚨 ` +
+        `Switched to the secondary key from ${secondary.source}. Replace the primary key from ${primary.source} ` +
+        'and run "fc_guests.js credentials rotate" before the secondary is revoked too.',
+      { status, method, endpoint, primarySource: primary.source, secondarySource: secondary.source });
+      if (this.metrics) this.metrics.recordFailover(status);
+    }
+    return true;
+  }
+}
+
+module.exports = {
+  ClientCredentials,
+  AUTH_FAILURE_STATUSES
+};
@@ -0,0 +1,88 @@
+/**
+ * Gather.Town API Errors
+ * What GatherAPIClient throws. Every HTTP failure is an APIError carrying
+ * the status; the subclasses name the cases callers handle themselves.
+ */
+
+class APIError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+    this.name = 'APIError';
+  }
+}
+
+/**
+ * Gather refused the key itself (401), with no other key left to try
+ */
+class AuthenticationError extends APIError {
+  constructor(message, source, triedSecondary = false) {
+    super(401, `Gather.Town rejected the API key from ${source} (${message}). ` +
+      (triedSecondary
+        ? 'The secondary key was refused as well; '
+        : 'It may have been revoked or rotated; configure a secondary key (GATHER_API_KEY_SECONDARY) or ') +
+      'validate and promote a new one with "fc_guests.js credentials rotate".');
+    this.name = 'AuthenticationError';
+    this.source = source;
+  }
+}
+
+class ValidationError extends APIError {
+  constructor(message, data) {
+    super(400, message);
+    this.name = 'ValidationError';
+    this.data = data;
+  }
+}
+
+class PermissionError extends APIError {
+  constructor(message) {
+    super(403, message);
+    this.name = 'PermissionError';
+  }
+}
+
+class ConflictError extends APIError {
+  constructor(message) {
+    super(409, message);
+    this.name = 'ConflictError';
+  }
+}
+
+class TimeoutError extends Error {
+  constructor(message, timeoutMs) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+class RateLimitError extends Error {
+  constructor(message, retryAfterMs = null) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Error message from a JSON error body, or the status text for anything else
+ * (an HTML 502 page is not worth repeating in full)
+ */
+function errorMessage(data, statusText) {
+  if (data && typeof data === 'object' && data.message) {
+    return data.message;
+  }
+  return statusText || 'Request failed';
+}
+
+module.exports = {
+  APIError,
+  AuthenticationError,
+  ValidationError,
+  PermissionError,
+  ConflictError,
+  TimeoutError,
+  RateLimitError,
+  errorMessage
+};
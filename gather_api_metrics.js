@@ -0,0 +1,74 @@
+const { TimeoutError } = require('./gather_api_errors');
+
+/**
+ * Gather.Town API Client Metrics
+ * The instruments GatherAPIClient records into, registered on a shared
+ * MetricsRegistry (metrics.js), and what each request adds to them.
+ */
+
+class ClientMetrics {
+  constructor(registry) {
+    this.requests = registry.counter('gather_api_requests_total',
+      'Gather.Town API responses by route and status (timeout and network_error when none arrived)',
+      ['method', 'route', 'status']);
+    this.duration = registry.histogram('gather_api_request_duration_seconds',
+      'Gather.Town API request latency per attempt', ['method', 'route']);
+    this.retries = registry.counter('gather_api_retries_total',
+      'Retried Gather.Town API requests by the status or error that caused the retry', ['method', 'route', 'reason']);
+    this.backoff = registry.counter('gather_api_backoff_seconds_total',
+      'Time spent waiting between retries', ['method', 'route']);
+    this.credentialFailovers = registry.counter('gather_api_credential_failovers_total',
+      'Switches from the primary to the secondary API key, by the status that refused the primary', ['status']);
+    this.rateLimitWait = registry.counter('gather_api_rate_limit_wait_seconds_total',
+      'Time requests spent queued by the client-side rate limiter');
+    this.spaceGuests = registry.gauge('gather_space_guests',
+      'Guests per space and role, as of the last full guest list fetched', ['space_id', 'role']);
+  }
+
+  recordQueueWait(queuedAt) {
+    this.rateLimitWait.inc({}, (Date.now() - queuedAt) / 1000);
+  }
+
+  /**
+   * One attempt; status is the HTTP status, or 'timeout' / 'network_error'
+   */
+  recordRequest(method, endpoint, status, sentAt) {
+    const route = routeLabel(endpoint);
+    this.requests.inc({ method, route, status });
+    this.duration.observe({ method, route }, (Date.now() - sentAt) / 1000);
+  }
+
+  recordRetry(method, endpoint, error, backoffMs) {
+    const route = routeLabel(endpoint);
+    const reason = error instanceof TimeoutError ? 'timeout' : error.status || 'network_error';
+    this.retries.inc({ method, route, reason });
+    this.backoff.inc({ method, route }, backoffMs / 1000);
+  }
+
+  recordFailover(status) {
+    this.credentialFailovers.inc({ status });
+  }
+
+  /**
+   * Replace a space's guest counts with those of its complete guest list
+   */
+  recordGuests(spaceId, guests) {
+    this.spaceGuests.remove({ space_id: spaceId });
+    guests.forEach(guest => this.spaceGuests.inc({ space_id: spaceId, role: guest.role || 'unknown' }));
+  }
+}
+
+/**
+ * Endpoint as a route template, so IDs do not create a series per space or guest
+ * (/spaces/abc/guests?limit=100 -> /spaces/:id/guests)
+ */
+function routeLabel(endpoint) {
+  return endpoint.split('?')[0].split('/')
+    .map((segment, index) => (index > 0 && index % 2 === 0 && segment ? ':id' : segment))
+    .join('/');
+}
+
+module.exports = {
+  ClientMetrics,
+  routeLabel
+};
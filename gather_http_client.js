@@ -0,0 +1,306 @@
+const fetch = require('node-fetch');
+const { createLogger, registerSecret } = require('./logger');
+const { loadCredentials } = require('./credentials');
+const { resolveConfig } = require('./config_schema');
+const { RateLimitManager, parseRetryAfter } = require('./rate_limit_manager');
+const { ClientMetrics } = require('./gather_api_metrics');
+const { ClientCredentials, AUTH_FAILURE_STATUSES } = require('./gather_api_credentials');
+const { APIError, AuthenticationError, TimeoutError, errorMessage } = require('./gather_api_errors');
+
+const logger = createLogger('gather-api');
+
+// A timed-out POST may still have been applied, so only these are resent after a timeout
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+/**
+ * Gather.Town HTTP Client
+ * Sends requests to the Gather.Town HTTP API: authentication with key
+ * failover, rate limiting, timeouts, retries, interceptors and metrics.
+ * GatherAPIClient adds the endpoints on top.
+ *
+ * Without an explicit apiKey the keys come from loadCredentials() (env var,
+ * key file or keystore); options.credentials passes already resolved ones and
+ * options.secondaryApiKey adds a fallback to an explicit key.
+ */
+class GatherHttpClient {
+  constructor(apiKey, options = {}) {
+    // Optional MetricsRegistry; when set, request counts, latencies, retries and guest counts are recorded
+    this.metrics = options.metrics ? new ClientMetrics(options.metrics) : null;
+    this.setCredentials(apiKey ? {
+      primary: { key: apiKey, source: 'argument' },
+      secondary: options.secondaryApiKey ? { key: options.secondaryApiKey, source: 'argument' } : null
+    } : options.credentials || loadCredentials());
+    const { values } = resolveConfig();
+    this.baseUrl = options.baseUrl || values.GATHER_BASE_URL;
+    // One limiter per client so every call, including bulk invites, shares the same budget
+    this.rateLimiter = options.rateLimiter || new RateLimitManager({ tier: options.rateLimitTier });
+    // Any WHATWG-compatible fetch (global fetch, undici, a test double); node-fetch by default
+    this.fetch = options.fetch || fetch;
+    this.timeoutMs = options.timeoutMs ?? values.GATHER_TIMEOUT_MS;
+    this.interceptors = {
+      request: [...(options.interceptors?.request || [])],
+      response: [...(options.interceptors?.response || [])]
+    };
+    // Numbers each makeRequest call, so interceptors can tell retries of one request apart from new requests
+    this.requestCount = 0;
+    this.retryConfig = {
+      maxRetries: 3,
+      backoffMs: 1000,
+      retryCondition: (error, method) => error.status >= 500 || error.status === 429 ||
+        (error instanceof TimeoutError && IDEMPOTENT_METHODS.includes(method))
+    };
+  }
+
+  /**
+   * Use new keys ({ primary: { key, source }, secondary }) from the next request on,
+   * starting again with the primary
+   */
+  setCredentials(credentials) {
+    this.credentials = new ClientCredentials(credentials, { metrics: this.metrics });
+  }
+
+  /**
+   * The key requests are sent with
+   */
+  get apiKey() {
+    return this.credentials.key();
+  }
+
+  /**
+   * Which key is in use and where each came from, keys masked
+   */
+  credentialStatus() {
+    return this.credentials.status();
+  }
+
+  /**
+   * Check that Gather accepts key without switching to it: { valid, checks: [{ spaceId, status, ok }] }.
+   * With spaceIds the key must be able to read each of those spaces; without,
+   * only that it authenticates (a 404 for a nonexistent space still proves that).
+   */
+  async validateApiKey(key, { spaceIds = [] } = {}) {
+    registerSecret(key);
+    const probes = spaceIds.length > 0 ? spaceIds : [null];
+    const checks = [];
+    for (const spaceId of probes) {
+      let status;
+      try {
+        await this.makeRequest(`/spaces/${spaceId || 'credential-check'}`, { apiKey: key });
+        status = 200;
+      } catch (error) {
+        if (!error.status) throw error;
+        status = error.status;
+      }
+      checks.push({ spaceId, status, ok: spaceId ? status === 200 : !AUTH_FAILURE_STATUSES.includes(status) && status < 500 });
+    }
+    return { valid: checks.every(check => check.ok), checks };
+  }
+
+  /**
+   * Make HTTP request to Gather.Town API with retry logic
+   * options are passed to fetch, plus timeoutMs to override the client default
+   * and apiKey to send one specific key (no failover)
+   */
+  async makeRequest(endpoint, options = {}) {
+    const { timeoutMs = this.timeoutMs, apiKey: keyOverride, ...fetchOptions } = options;
+    const method = fetchOptions.method || 'GET';
+    const requestId = ++this.requestCount;
+    const requestOptions = {
+      ...fetchOptions,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'FC-GuestList-POC/1.0',
+        ...fetchOptions.headers
+      }
+    };
+
+    for (let attempt = 0; attempt <= this.retryConfig.maxRetries; attempt++) {
+      const startedAt = Date.now();
+      let sentAt = null;
+      let responded = false;
+      // Read per attempt: a failover during an earlier attempt or a concurrent request changes it
+      const slot = keyOverride ? null : this.credentials.activeSlot;
+      const key = keyOverride || this.credentials.key(slot);
+      try {
+        await this.rateLimiter.acquire();
+        this.metrics?.recordQueueWait(startedAt);
+        const request = await this.runRequestInterceptors({
+          url: `${this.baseUrl}${endpoint}`,
+          endpoint,
+          method,
+          options: { ...requestOptions, headers: { 'Authorization': `Bearer ${key}`, ...requestOptions.headers } },
+          requestId,
+          attempt: attempt + 1
+        });
+        logger.debug(`🔄 API Request: ${method} ${endpoint} (attempt ${attempt + 1})`, { method, endpoint, attempt: attempt + 1 });
+
+        sentAt = Date.now();
+        const response = await this.fetchWithTimeout(request, timeoutMs);
+        responded = true;
+        this.metrics?.recordRequest(method, endpoint, response.status, sentAt);
+        this.rateLimiter.updateFromHeaders(response.headers);
+        const data = await parseResponseBody(response);
+        const result = await this.runResponseInterceptors({
+          status: response.status,
+          ok: response.ok,
+          headers: response.headers,
+          data,
+          durationMs: Date.now() - startedAt
+        }, request);
+
+        if (!result.ok && AUTH_FAILURE_STATUSES.includes(result.status) && slot) {
+          if (this.credentials.failOver(slot, result.status, method, endpoint)) {
+            attempt -= 1; // resending with the secondary key is not a retry
+            continue;
+          }
+          if (result.status === 401) {
+            throw new AuthenticationError(errorMessage(result.data, response.statusText), this.credentials[slot].source,
+              slot === 'secondary');
+          }
+        }
+
+        if (!result.ok) {
+          const apiError = new APIError(result.status, errorMessage(result.data, response.statusText));
+          apiError.retryAfterMs = parseRetryAfter(result.headers.get('retry-after'));
+          throw apiError;
+        }
+
+        logger.debug(`✅ API Success: ${endpoint}`, { method, endpoint, status: result.status, durationMs: Date.now() - startedAt });
+        return result.data;
+
+      } catch (error) {
+        if (sentAt !== null && !responded) {
+          this.metrics?.recordRequest(method, endpoint, error instanceof TimeoutError ? 'timeout' : 'network_error', sentAt);
+        }
+        const retryable = attempt < this.retryConfig.maxRetries && this.retryConfig.retryCondition(error, method);
+        logger[retryable ? 'warn' : 'error'](`❌ API Error: ${method} ${endpoint}: ${error.message}`, {
+          method,
+          endpoint,
+          attempt: attempt + 1,
+          status: error.status,
+          durationMs: Date.now() - startedAt
+        });
+
+        if (!retryable) {
+          throw error;
+        }
+
+        // Honor the server's Retry-After, otherwise exponential backoff
+        const backoffTime = error.retryAfterMs ?? this.retryConfig.backoffMs * Math.pow(2, attempt);
+        logger.info(`⏳ Retrying in ${backoffTime}ms...`, { method, endpoint, backoffMs: backoffTime });
+        this.metrics?.recordRetry(method, endpoint, error, backoffTime);
+        await this.delay(backoffTime);
+      }
+    }
+  }
+
+  /**
+   * Send one attempt, aborting it after timeoutMs (0 disables the timeout).
+   * A caller's own options.signal still cancels the request, without retries.
+   */
+  async fetchWithTimeout(request, timeoutMs) {
+    const controller = new AbortController();
+    const callerSignal = request.options.signal;
+    const onCallerAbort = () => controller.abort();
+    let timedOut = false;
+
+    if (callerSignal) {
+      if (callerSignal.aborted) controller.abort();
+      callerSignal.addEventListener('abort', onCallerAbort);
+    }
+    const timer = timeoutMs > 0
+      ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs)
+      : null;
+
+    try {
+      return await this.fetch(request.url, { ...request.options, signal: controller.signal });
+    } catch (error) {
+      if (timedOut) {
+        throw new TimeoutError(`Request timed out after ${timeoutMs}ms`, timeoutMs);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (callerSignal) callerSignal.removeEventListener('abort', onCallerAbort);
+    }
+  }
+
+  /**
+   * Register a hook called before every attempt with
+   * { url, endpoint, method, options, requestId, attempt }. Every attempt of
+   * one request shares its requestId. It may change the request
+   * or return a replacement. Returns a function that removes the hook.
+   */
+  addRequestInterceptor(interceptor) {
+    return addHook(this.interceptors.request, interceptor);
+  }
+
+  /**
+   * Register a hook called after every response with
+   * ({ status, ok, headers, data, durationMs }, request). It may change the
+   * response or return a replacement. Returns a function that removes the hook.
+   */
+  addResponseInterceptor(interceptor) {
+    return addHook(this.interceptors.response, interceptor);
+  }
+
+  async runRequestInterceptors(request) {
+    let current = request;
+    for (const interceptor of this.interceptors.request) {
+      current = (await interceptor(current)) || current;
+    }
+    return current;
+  }
+
+  async runResponseInterceptors(response, request) {
+    let current = response;
+    for (const interceptor of this.interceptors.response) {
+      current = (await interceptor(current, request)) || current;
+    }
+    return current;
+  }
+
+  /**
+   * Utility: Delay function for rate limiting
+   */
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+}
+
+/**
+ * Parse a response body: null when empty (204, DELETE), JSON when declared
+ * or parseable, otherwise the raw text (e.g. a proxy's HTML error page)
+ */
+async function parseResponseBody(response) {
+  if (response.status === 204 || response.status === 205 || response.status === 304) {
+    return null;
+  }
+
+  const text = await response.text();
+  if (text.trim() === '') {
+    return null;
+  }
+
+  const contentType = (response.headers.get('content-type') || '').toLowerCase();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    if (contentType.includes('json') && response.ok) {
+      throw new APIError(response.status, `Malformed JSON in response: ${error.message}`);
+    }
+    return text;
+  }
+}
+
+function addHook(hooks, hook) {
+  hooks.push(hook);
+  return () => {
+    const index = hooks.indexOf(hook);
+    if (index !== -1) hooks.splice(index, 1);
+  };
+}
+
+module.exports = {
+  GatherHttpClient
+};
@@ -0,0 +1,301 @@
+const path = require('path');
+const { getStateDir, readJson, writeJsonAtomic } = require('./state_store');
+const { RoleRegistry } = require('./roles');
+const { withActor } = require('./audit_log');
+const { createLogger } = require('./logger');
+const { readSetting } = require('./config_schema');
+
+const logger = createLogger('guest-expiry');
+
+/**
+ * Guest Expiry Scheduler
+ * Tracks time-limited guest access, warns guests and moderators before it
+ * ends and revokes or downgrades guests once it has. Schedules are persisted
+ * so expiry survives process restarts.
+ *
+ * A revocation or downgrade that fails stays due and is tried again with a
+ * growing delay (EXPIRY_RETRY_MS, doubling each time). After
+ * MAX_EXPIRY_ATTEMPTS failures the entry is marked failed and an error is
+ * logged: the guest still has access and someone has to remove it by hand.
+ */
+
+const EXPIRY_ACTIONS = ['revoke', 'downgrade'];
+const DEFAULT_DOWNGRADE_ROLE = 'visitor';
+// A warning that could not be delivered is tried again after this long
+const WARNING_RETRY_MS = 15 * 60 * 1000;
+const EXPIRY_RETRY_MS = 5 * 60 * 1000;
+const MAX_EXPIRY_ATTEMPTS = 5;
+
+class GuestExpiryScheduler {
+  /**
+   * options.messenger (GuestMessenger) renders and delivers the warnings,
+   * so organization profiles and the SMTP fallback apply to them.
+   * options.roles (RoleRegistry) supplies the permissions of the role guests
+   * are downgraded to, so custom role definitions apply.
+   */
+  constructor(gatherApi, options = {}) {
+    if (!options.messenger) {
+      throw new Error('GuestExpiryScheduler needs options.messenger to send expiry warnings');
+    }
+    this.gatherApi = gatherApi;
+    this.messenger = options.messenger;
+    this.storePath = options.storePath || path.join(getStateDir(), 'guest_expiry.json');
+    this.warningLeadMs = options.warningLeadMs ?? readSetting('FC_EXPIRY_WARNING_HOURS') * 60 * 60 * 1000;
+    this.moderatorEmail = options.moderatorEmail || null;
+    this.roles = options.roles || new RoleRegistry();
+    this.maxAttempts = options.maxAttempts ?? MAX_EXPIRY_ATTEMPTS;
+    this.timer = null;
+    this.running = null;
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Register (or replace) the expiry schedule for a guest
+   */
+  schedule(options) {
+    return this.exclusive(() => this.addEntry(options));
+  }
+
+  async addEntry({ spaceId, guestId, email, name = null, locale = null, expiresAt, action = 'revoke', downgradeTo }) {
+    if (!EXPIRY_ACTIONS.includes(action)) {
+      throw new Error(`Unknown expiry action: ${action} (expected ${EXPIRY_ACTIONS.join(' or ')})`);
+    }
+    if (Number.isNaN(Date.parse(expiresAt))) {
+      throw new Error(`Invalid expiresAt for ${email}: ${expiresAt}`);
+    }
+
+    const entries = await this.load();
+    const remaining = entries.filter(entry => !sameGuest(entry, spaceId, email));
+    const entry = {
+      spaceId,
+      guestId,
+      email: email.toLowerCase(),
+      name,
+      locale,
+      expiresAt: new Date(expiresAt).toISOString(),
+      action,
+      downgradeTo: action === 'downgrade' ? this.downgradeTarget(downgradeTo) : null,
+      status: 'active',
+      warnedAt: null,
+      warningAttemptAt: null,
+      warningError: null,
+      processedAt: null,
+      attempts: 0,
+      nextAttemptAt: null,
+      error: null
+    };
+
+    await this.save([...remaining, entry]);
+    logger.info(`⏰ Access for ${entry.email} in ${spaceId} ends ${entry.expiresAt} (${action})`);
+    return entry;
+  }
+
+  /**
+   * The role and permissions a downgraded guest keeps. Permissions left out
+   * are the role's permissions in the role registry.
+   */
+  downgradeTarget({ role = DEFAULT_DOWNGRADE_ROLE, permissions } = {}) {
+    return { role, permissions: permissions || [...this.roles.getRole(role).permissions] };
+  }
+
+  /**
+   * Remove a guest's schedule; returns true when one existed
+   */
+  cancel(spaceId, email) {
+    return this.exclusive(async () => {
+      const entries = await this.load();
+      const remaining = entries.filter(entry => !sameGuest(entry, spaceId, email));
+      await this.save(remaining);
+      return remaining.length !== entries.length;
+    });
+  }
+
+  /**
+   * Persisted schedules, optionally filtered by space
+   */
+  async list(spaceId) {
+    const entries = await this.load();
+    return spaceId ? entries.filter(entry => entry.spaceId === spaceId) : entries;
+  }
+
+  /**
+   * Send due warnings and process expired guests
+   */
+  async tick(now = Date.now()) {
+    // Never let two ticks work on the same schedules
+    if (this.running) {
+      return this.running;
+    }
+
+    // Revocations and warnings show up in the audit log as done by the scheduler
+    this.running = this.exclusive(() => withActor('system:guest-expiry', () => this.processDue(now)))
+      .finally(() => { this.running = null; });
+    return this.running;
+  }
+
+  async processDue(now) {
+    const entries = await this.load();
+    const summary = { warned: 0, expired: 0, failed: 0 };
+
+    for (const entry of entries.filter(candidate => candidate.status === 'active')) {
+      const expiresAt = Date.parse(entry.expiresAt);
+
+      if (now >= expiresAt) {
+        if (entry.nextAttemptAt && now < Date.parse(entry.nextAttemptAt)) {
+          continue;
+        }
+        await this.expire(entry, now);
+        summary[entry.status === 'expired' ? 'expired' : 'failed']++;
+      } else if (!entry.warnedAt && now >= expiresAt - this.warningLeadMs && this.warningRetryDue(entry, now)) {
+        const sent = await this.warn(entry, now);
+        summary[sent ? 'warned' : 'failed']++;
+      } else {
+        continue;
+      }
+
+      await this.save(entries);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Revoke or downgrade an expired guest. On failure the entry stays active
+   * with nextAttemptAt set, until maxAttempts is reached.
+   */
+  async expire(entry, now = Date.now()) {
+    try {
+      if (entry.action === 'downgrade') {
+        await this.gatherApi.updateGuest(entry.spaceId, entry.guestId, { ...entry.downgradeTo, expiresAt: null });
+        logger.info(`⬇️ Access for ${entry.email} downgraded to ${entry.downgradeTo.role}`);
+      } else {
+        await this.gatherApi.removeGuest(entry.spaceId, entry.guestId);
+        logger.info(`🚪 Access for ${entry.email} revoked`);
+      }
+      entry.status = 'expired';
+      entry.error = null;
+      entry.nextAttemptAt = null;
+    } catch (error) {
+      if (error.status === 404 && entry.action === 'revoke') {
+        // Already gone; nothing left to revoke
+        entry.status = 'expired';
+        entry.nextAttemptAt = null;
+      } else {
+        this.recordFailedAttempt(entry, error, now);
+      }
+    }
+    entry.processedAt = new Date().toISOString();
+  }
+
+  recordFailedAttempt(entry, error, now) {
+    entry.attempts = (entry.attempts || 0) + 1;
+    entry.error = error.message;
+
+    if (entry.attempts >= this.maxAttempts) {
+      entry.status = 'failed';
+      entry.nextAttemptAt = null;
+      logger.error(`🚨 Gave up expiring access for ${entry.email} in ${entry.spaceId} after ${entry.attempts} attempts; ` +
+        `the guest still has access and must be ${entry.action === 'downgrade' ? 'downgraded' : 'removed'} by hand: ${error.message}`,
+        { spaceId: entry.spaceId, error });
+      return;
+    }
+
+    const delayMs = EXPIRY_RETRY_MS * 2 ** (entry.attempts - 1);
+    entry.nextAttemptAt = new Date(now + delayMs).toISOString();
+    logger.warn(`⚠️ Failed to expire access for ${entry.email} (attempt ${entry.attempts} of ${this.maxAttempts}), ` +
+      `retrying in ${delayMs / 60000} minutes: ${error.message}`, { spaceId: entry.spaceId, error });
+  }
+
+  warningRetryDue(entry, now) {
+    return !entry.warningAttemptAt || now - Date.parse(entry.warningAttemptAt) >= WARNING_RETRY_MS;
+  }
+
+  /**
+   * Notify the guest (and the moderator contact) that access is ending, with
+   * the access_expiring message template. Resolves true once delivered;
+   * warnedAt is only set then, so a failed warning is retried.
+   */
+  async warn(entry, now = Date.now()) {
+    const recipients = [entry.email, this.moderatorEmail].filter(Boolean);
+    entry.warningAttemptAt = new Date(now).toISOString();
+
+    try {
+      const message = this.messenger.renderMessage('access_expiring', { name: entry.name, locale: entry.locale }, {
+        expiresAt: new Date(entry.expiresAt).toUTCString(),
+        downgradeRole: entry.action === 'downgrade' ? entry.downgradeTo.role : null,
+        spaceUrl: await this.messenger.getSpaceUrl(entry.spaceId)
+      });
+      const delivery = await this.messenger.deliverInvitation({
+        spaceId: entry.spaceId,
+        recipients,
+        template: 'custom',
+        subject: message.subject,
+        message: message.text,
+        htmlMessage: message.html,
+        includeCalendarEvent: false
+      });
+      entry.warnedAt = new Date().toISOString();
+      entry.warningError = null;
+      logger.info(`📧 Expiry warning sent to ${recipients.join(', ')} (${delivery.channel})`);
+      return true;
+    } catch (error) {
+      entry.warningError = error.message;
+      logger.warn(`⚠️ Expiry warning for ${entry.email} failed, retrying in ${WARNING_RETRY_MS / 60000} minutes: ${error.message}`,
+        { spaceId: entry.spaceId, error });
+      return false;
+    }
+  }
+
+  /**
+   * Run tick() now (to catch up after a restart) and then every intervalMs.
+   * The timer does not keep the process alive unless keepAlive is set, so
+   * a process that only runs the scheduler (`fc_guests.js expiry run`)
+   * must pass it.
+   */
+  start(intervalMs = 60 * 1000, { keepAlive = false } = {}) {
+    this.stop();
+    const run = () => this.tick().catch(error => logger.error(`❌ Expiry check failed: ${error.message}`, { error }));
+    run();
+    this.timer = setInterval(run, intervalMs);
+    if (!keepAlive) {
+      this.timer.unref();
+    }
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the schedule file
+   */
+  exclusive(task) {
+    const run = this.lock.then(task);
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    const data = await readJson(this.storePath, { entries: [] });
+    return data.entries || [];
+  }
+
+  async save(entries) {
+    await writeJsonAtomic(this.storePath, { entries });
+  }
+}
+
+function sameGuest(entry, spaceId, email) {
+  return entry.spaceId === spaceId && entry.email === email.toLowerCase();
+}
+
+module.exports = {
+  GuestExpiryScheduler,
+  EXPIRY_ACTIONS,
+  WARNING_RETRY_MS,
+  EXPIRY_RETRY_MS,
+  MAX_EXPIRY_ATTEMPTS
+};
@@ -0,0 +1,252 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { RoleRegistry } = require('./roles');
+
+/**
+ * Guest List Importer
+ * Loads CSV/JSON guest lists, maps columns, validates rows and produces a
+ * per-row accept/reject report before any invitation is sent
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DEFAULT_ROLE = 'member';
+
+// Accepted header spellings for each guest field (compared case-insensitively)
+const DEFAULT_COLUMN_ALIASES = {
+  name: ['name', 'full name', 'display name', 'guest name'],
+  email: ['email', 'e-mail', 'email address', 'mail'],
+  role: ['role', 'access role'],
+  permissions: ['permissions', 'perms', 'access'],
+  pronouns: ['pronouns'],
+  locale: ['locale', 'language', 'lang']
+};
+
+class GuestListImporter {
+  constructor(options = {}) {
+    this.columnMap = options.columnMap || {}; // field -> exact header name
+    this.roles = options.roleRegistry || new RoleRegistry();
+    this.validRoles = options.validRoles || this.roles.names();
+    this.defaultRole = options.defaultRole || DEFAULT_ROLE;
+  }
+
+  /**
+   * Read and parse a CSV or JSON file into raw records
+   */
+  async load(filePath, format) {
+    const content = await fs.readFile(filePath, 'utf8');
+    const detected = format || path.extname(filePath).slice(1).toLowerCase();
+
+    if (detected === 'csv') {
+      return this.parseCsv(content);
+    }
+    if (detected === 'json') {
+      return this.parseJson(content);
+    }
+    throw new Error(`Unsupported guest list format: ${detected || 'unknown'} (expected csv or json)`);
+  }
+
+  /**
+   * Parse CSV text into records keyed by header; row numbers match spreadsheet lines
+   */
+  parseCsv(content) {
+    const lines = parseCsvRows(content.replace(/^\uFEFF/, ''));
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const headers = lines[0].cells.map(header => header.trim());
+    return lines.slice(1)
+      .filter(line => line.cells.some(cell => cell.trim() !== ''))
+      .map(line => ({
+        row: line.number,
+        fields: Object.fromEntries(headers.map((header, index) => [header, line.cells[index] ?? '']))
+      }));
+  }
+
+  /**
+   * Parse a JSON array (or { guests: [...] }) into records
+   */
+  parseJson(content) {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : data.guests;
+
+    if (!Array.isArray(list)) {
+      throw new Error('JSON guest list must be an array or an object with a "guests" array');
+    }
+
+    return list.map((fields, index) => ({ row: index + 1, fields: fields || {} }));
+  }
+
+  /**
+   * Map a raw record's columns onto guest fields
+   */
+  mapRecord(fields) {
+    const headers = Object.keys(fields);
+    const pick = (field) => {
+      const explicit = this.columnMap[field];
+      const header = explicit
+        ? headers.find(candidate => candidate === explicit)
+        : headers.find(candidate => DEFAULT_COLUMN_ALIASES[field].includes(candidate.trim().toLowerCase()));
+      return header === undefined ? undefined : fields[header];
+    };
+
+    const permissions = pick('permissions');
+    const pronouns = toText(pick('pronouns'));
+    const locale = toText(pick('locale'));
+    return {
+      name: toText(pick('name')),
+      ...(pronouns && { pronouns }),
+      ...(locale && { locale }),
+      email: toText(pick('email')).toLowerCase(),
+      role: toText(pick('role')).toLowerCase() || this.defaultRole,
+      permissions: Array.isArray(permissions)
+        ? permissions.map(toText).filter(Boolean)
+        : toText(permissions).split(/[;|,]/).map(permission => permission.trim()).filter(Boolean)
+    };
+  }
+
+  /**
+   * Validate records and classify each row as accept, reject or skip
+   */
+  validate(records, existingEmails = new Set()) {
+    const firstSeen = new Map(); // lowercased email -> row number
+
+    const rows = records.map(({ row, fields }) => {
+      const guest = this.mapRecord(fields);
+      const reasons = [];
+
+      if (!guest.email) {
+        reasons.push('Missing email');
+      } else if (!EMAIL_REGEX.test(guest.email)) {
+        reasons.push(`Invalid email: ${guest.email}`);
+      }
+
+      if (!this.validRoles.includes(guest.role)) {
+        reasons.push(`Unknown role: ${guest.role} (expected ${this.validRoles.join(', ')})`);
+      } else if (guest.permissions.length === 0) {
+        guest.permissions = this.roles.permissionsFor(guest.role);
+      }
+
+      const unknownPermissions = this.roles.unknownPermissions(guest.permissions);
+      if (unknownPermissions.length > 0) {
+        reasons.push(`Unknown permissions: ${unknownPermissions.join(', ')}`);
+      }
+
+      if (guest.email && firstSeen.has(guest.email)) {
+        reasons.push(`Duplicate of row ${firstSeen.get(guest.email)}`);
+      } else if (guest.email) {
+        firstSeen.set(guest.email, row);
+      }
+
+      if (reasons.length > 0) {
+        return { row, status: 'reject', guest, reasons };
+      }
+      if (existingEmails.has(guest.email)) {
+        return { row, status: 'skip', guest, reasons: ['Already on guest list'] };
+      }
+      return { row, status: 'accept', guest, reasons: [] };
+    });
+
+    return {
+      rows,
+      summary: {
+        total: rows.length,
+        accepted: rows.filter(row => row.status === 'accept').length,
+        rejected: rows.filter(row => row.status === 'reject').length,
+        skipped: rows.filter(row => row.status === 'skip').length
+      }
+    };
+  }
+
+  /**
+   * Guests from a report that are safe to invite
+   */
+  acceptedGuests(report) {
+    return report.rows.filter(row => row.status === 'accept').map(row => row.guest);
+  }
+
+  /**
+   * Render a report as plain text for review
+   */
+  formatReport(report) {
+    return formatImportReport(report);
+  }
+}
+
+/**
+ * One line per row, then the totals
+ */
+function formatImportReport(report) {
+  const icons = { accept: '✅', reject: '❌', skip: '⏭️' };
+  const lines = report.rows.map(row =>
+    `${icons[row.status]} row ${row.row}: ${row.guest.email || '(no email)'} [${row.guest.role}]` +
+    (row.reasons.length ? ` - ${row.reasons.join('; ')}` : '')
+  );
+  lines.push(formatImportSummary(report));
+  return lines.join('\n');
+}
+
+function formatImportSummary({ summary: { total, accepted, rejected, skipped } }) {
+  return `📊 ${total} rows: ${accepted} accepted, ${rejected} rejected, ${skipped} already invited`;
+}
+
+/**
+ * Split CSV text into rows of cells, honoring quoted fields and embedded newlines
+ */
+function parseCsvRows(content) {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowStart = 1;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      cells.push(cell);
+      rows.push({ number: rowStart, cells });
+      cells = [];
+      cell = '';
+      line++;
+      rowStart = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || cells.length > 0) {
+    cells.push(cell);
+    rows.push({ number: rowStart, cells });
+  }
+
+  return rows;
+}
+
+function toText(value) {
+  return value === undefined || value === null ? '' : String(value).trim();
+}
+
+module.exports = {
+  GuestListImporter,
+  formatImportReport,
+  formatImportSummary,
+  parseCsvRows
+};
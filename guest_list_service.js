@@ -0,0 +1,201 @@
+const { GuestListImporter, formatImportSummary } = require('./guest_list_importer');
+const { loadDesiredState, planReconciliation } = require('./guest_reconciler');
+const { GUEST_STATUS } = require('./bulk_invite_jobs');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('guest-lists');
+
+/**
+ * Guest List Service
+ * Guest list work on one space: importing CSV/JSON lists, reconciling the
+ * live list with a declarative file, time-limited guests and permission
+ * checks. Invitations go through the bulk invite service, so the capacity
+ * policy and job persistence apply to every path.
+ */
+
+class GuestListService {
+  constructor({ gatherApi, roles, messenger, capacity, bulkInvites, expiryScheduler, fcConfig }) {
+    this.gatherApi = gatherApi;
+    this.roles = roles;
+    this.messenger = messenger;
+    this.capacity = capacity;
+    this.bulkInvites = bulkInvites;
+    this.expiryScheduler = expiryScheduler;
+    this.fcConfig = fcConfig;
+  }
+
+  /**
+   * Import a CSV/JSON guest list; always returns the per-row report and only
+   * sends invitations for accepted rows when dryRun is false
+   */
+  async importGuestList(spaceId, filePath, options = {}) {
+    const { dryRun = true, format, ...importerOptions } = options;
+    const importer = new GuestListImporter({ roleRegistry: this.roles, ...importerOptions });
+
+    logger.info(`📥 Importing guest list from ${filePath}...`);
+    const records = await importer.load(filePath, format);
+
+    const existingGuests = await this.gatherApi.listAllGuests(spaceId);
+    const existingEmails = new Set(existingGuests.map(guest => guest.email.toLowerCase()));
+
+    // The rows are returned for the caller to show (formatImportReport renders them)
+    const report = importer.validate(records, existingEmails);
+    logger.info(formatImportSummary(report));
+
+    const accepted = importer.acceptedGuests(report);
+    if (dryRun) {
+      const capacity = this.capacity.policy === 'off' ? null : await this.capacity.planCapacity(spaceId, accepted);
+      if (capacity?.limit) {
+        logger.info(`📈 Projected peak ${capacity.projected.peak} of ${capacity.limit} allowed ` +
+          `(${capacity.current.peak} now; policy: ${capacity.policy})`);
+      }
+      logger.info('🔍 Dry run: no invitations sent');
+      return { report, results: [], capacity };
+    }
+
+    const results = accepted.length > 0 ? await this.bulkInvites.bulkInviteGuests(spaceId, accepted) : [];
+    return { report, results };
+  }
+
+  /**
+   * Diff a declarative guest list file against the live guest list
+   * The FC contact is never planned for removal. formatPlan() in
+   * guest_reconciler.js renders the returned plan for review.
+   */
+  async planGuestList(spaceId, filePath, options = {}) {
+    const desired = await loadDesiredState(filePath, this.roles);
+    const targetSpaceId = spaceId || desired.spaceId;
+
+    if (!targetSpaceId) {
+      throw new Error('A space ID is required (argument or "spaceId" in the guest list file)');
+    }
+
+    const liveGuests = await this.gatherApi.listAllGuests(targetSpaceId);
+    const plan = planReconciliation(targetSpaceId, desired, liveGuests, {
+      protectedEmails: [this.fcConfig.contactEmail, ...(options.protectedEmails || [])]
+    });
+
+    logger.info(`📝 Plan for ${targetSpaceId}: ${plan.adds.length} to add, ${plan.updates.length} to update, ` +
+      `${plan.removals.length} to remove`);
+    return plan;
+  }
+
+  /**
+   * Execute a reviewed plan. Removals only run with allowRemovals: true.
+   */
+  async applyGuestPlan(plan, options = {}) {
+    const { allowRemovals = false } = options;
+    const results = { added: [], waitlisted: [], updated: [], removed: [], skippedRemovals: [], errors: [] };
+
+    logger.info(`🛠️ Applying guest list plan for ${plan.spaceId}...`);
+
+    if (plan.adds.length > 0) {
+      const invited = await this.bulkInvites.bulkInviteGuests(plan.spaceId, plan.adds.map(add => add.guest));
+      invited.forEach((result) => {
+        if (result.error) {
+          results.errors.push({ action: 'add', email: result.guest, error: result.error });
+        } else if (result.status === GUEST_STATUS.WAITLISTED) {
+          results.waitlisted.push(result.guest);
+        } else {
+          results.added.push(result.guest);
+        }
+      });
+    }
+
+    for (const update of plan.updates) {
+      try {
+        await this.gatherApi.updateGuest(plan.spaceId, update.guestId, update.updates);
+        if (update.changes.expiresAt) {
+          await this.syncGuestExpiry(plan.spaceId, update.guestId, update.email, update.changes.expiresAt.to);
+        }
+        results.updated.push(update.email);
+      } catch (error) {
+        results.errors.push({ action: 'update', email: update.email, error: error.message });
+      }
+    }
+
+    for (const removal of plan.removals) {
+      if (!allowRemovals) {
+        results.skippedRemovals.push(removal.email);
+        continue;
+      }
+      try {
+        await this.gatherApi.removeGuest(plan.spaceId, removal.guestId);
+        await this.expiryScheduler.cancel(plan.spaceId, removal.email);
+        results.removed.push(removal.email);
+      } catch (error) {
+        results.errors.push({ action: 'remove', email: removal.email, error: error.message });
+      }
+    }
+
+    if (results.waitlisted.length > 0) {
+      logger.warn(`⚠️ ${results.waitlisted.length} guests waitlisted by the capacity policy`);
+    }
+    if (results.skippedRemovals.length > 0) {
+      logger.warn(`⚠️ ${results.skippedRemovals.length} removals skipped; re-run with allowRemovals to apply them`);
+    }
+    logger.info(`📊 Plan applied: ${results.added.length} added, ${results.updated.length} updated, ` +
+      `${results.removed.length} removed, ${results.errors.length} failed`);
+    return results;
+  }
+
+  /**
+   * Add a guest whose access ends automatically
+   * onExpiry: 'revoke' removes the guest, 'downgrade' applies downgradeTo
+   */
+  async addTimeLimitedGuest(spaceId, guest, { expiresAt, onExpiry = 'revoke', downgradeTo } = {}) {
+    if (!expiresAt || Number.isNaN(Date.parse(expiresAt))) {
+      throw new Error('A valid expiresAt is required for time-limited access');
+    }
+
+    const expiry = new Date(expiresAt).toISOString();
+    const resolved = this.roles.resolveGuest(guest);
+    const result = await this.gatherApi.addGuest(spaceId, {
+      ...resolved,
+      expiresAt: expiry,
+      ...this.messenger.guestInvitationFields(resolved, { spaceUrl: await this.messenger.getSpaceUrl(spaceId) })
+    });
+
+    const guestId = result?.guests?.[0]?.id;
+    await this.expiryScheduler.schedule({
+      spaceId,
+      guestId,
+      email: guest.email,
+      name: guest.name || null,
+      locale: guest.locale || null,
+      expiresAt: expiry,
+      action: onExpiry,
+      downgradeTo
+    });
+
+    return result;
+  }
+
+  /**
+   * Keep the expiry schedule in step with a guest's expiresAt
+   */
+  async syncGuestExpiry(spaceId, guestId, email, expiresAt) {
+    if (expiresAt) {
+      return await this.expiryScheduler.schedule({ spaceId, guestId, email, expiresAt });
+    }
+    await this.expiryScheduler.cancel(spaceId, email);
+    return null;
+  }
+
+  /**
+   * Compare each guest's effective permissions with what their role grants
+   */
+  async checkGuestPermissions(spaceId, email) {
+    const guests = await this.gatherApi.listAllGuests(spaceId, { email });
+
+    const results = guests.map(guest => this.roles.effectivePermissions(guest));
+    results.filter(result => !result.matchesRole).forEach((result) => {
+      logger.warn(`⚠️ ${result.email} (${result.role}): missing [${result.missing.join(', ')}], ` +
+        `extra [${result.extra.join(', ')}]${result.knownRole ? '' : ' - unknown role'}`);
+    });
+
+    return results;
+  }
+}
+
+module.exports = { GuestListService };
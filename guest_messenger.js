@@ -0,0 +1,84 @@
+/**
+ * Guest Messenger
+ * Renders message templates with the organization's branding and contacts
+ * and delivers them, through Gather.Town first and SMTP when configured (see
+ * email_delivery.js). Also remembers space URLs for the messages that link
+ * to a space.
+ */
+
+class GuestMessenger {
+  constructor({ gatherApi, messages, emailDelivery, fcConfig }) {
+    this.gatherApi = gatherApi;
+    this.messages = messages;
+    this.emailDelivery = emailDelivery;
+    this.fcConfig = fcConfig;
+    this.spaceUrls = new Map();
+  }
+
+  /**
+   * Render a message template for a recipient in their locale
+   * Variables: branding and support contacts, the recipient's name,
+   * pronouns and role, today's date, plus anything in context (e.g. spaceUrl)
+   */
+  renderMessage(name, recipient = {}, context = {}) {
+    const locale = recipient.locale || context.locale;
+    const variables = {
+      ...this.fcConfig,
+      name: recipient.name || null,
+      pronouns: recipient.pronouns || null,
+      role: recipient.role || 'member',
+      spaceUrl: null,
+      date: new Date().toLocaleDateString(locale || undefined),
+      ...context
+    };
+    return this.messages.render(name, variables, locale);
+  }
+
+  /**
+   * Send an invitation through Gather.Town, falling back to (or, with
+   * EMAIL_DELIVERY_MODE=always, replaced by) SMTP delivery
+   * Resolves with { channel: 'platform' | 'smtp', result, platformError }
+   */
+  async deliverInvitation(invitation) {
+    return await this.emailDelivery.deliver({
+      recipients: invitation.recipients,
+      subject: invitation.subject,
+      text: invitation.message,
+      html: invitation.htmlMessage,
+      context: { spaceId: invitation.spaceId, template: invitation.template },
+      platformSend: () => this.gatherApi.sendInvitation(invitation)
+    });
+  }
+
+  /**
+   * Invitation copy fields for addGuest
+   */
+  guestInvitationFields(guest, context = {}) {
+    const message = this.renderMessage('guest_invitation', guest, context);
+    return { customMessage: message.text, customMessageHtml: message.html };
+  }
+
+  /**
+   * Remember a space's URL (e.g. right after creating it)
+   */
+  rememberSpace(space) {
+    this.spaceUrls.set(space.id, space.url || null);
+  }
+
+  /**
+   * URL of a space for message templates; null when it cannot be looked up
+   */
+  async getSpaceUrl(spaceId) {
+    if (!this.spaceUrls.has(spaceId)) {
+      try {
+        const space = await this.gatherApi.getSpace(spaceId);
+        this.spaceUrls.set(spaceId, space.url || null);
+      } catch (error) {
+        return null;
+      }
+    }
+    return this.spaceUrls.get(spaceId);
+  }
+}
+
+module.exports = { GuestMessenger };
@@ -0,0 +1,191 @@
+const { loadDataFile } = require('./data_files');
+const { RoleRegistry } = require('./roles');
+
+/**
+ * Guest List Reconciler
+ * Diffs a declarative guest list file against the live guest list into a
+ * reviewable plan of adds, updates and removals
+ */
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Load and normalize a desired-state JSON/YAML file
+ * Format: { "spaceId": "...", "guests": [{ "email", "role", "permissions", "expiresAt" }] }
+ */
+async function loadDesiredState(filePath, roles) {
+  const data = await loadDataFile(filePath);
+  return normalizeDesiredState(data, filePath, roles);
+}
+
+/**
+ * Validate entries; guests without explicit permissions get their role's defaults
+ */
+function normalizeDesiredState(data, source = 'desired state', roles = new RoleRegistry()) {
+  const list = Array.isArray(data) ? data : data && data.guests;
+  if (!Array.isArray(list)) {
+    throw new Error(`${source}: expected a "guests" array`);
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const guests = list.map((entry, index) => {
+    const email = String(entry.email || '').trim().toLowerCase();
+
+    if (!EMAIL_REGEX.test(email)) {
+      errors.push(`guests[${index}]: invalid email "${entry.email || ''}"`);
+    } else if (seen.has(email)) {
+      errors.push(`guests[${index}]: duplicate email ${email}`);
+    }
+    seen.add(email);
+
+    if (entry.expiresAt && Number.isNaN(Date.parse(entry.expiresAt))) {
+      errors.push(`guests[${index}]: invalid expiresAt "${entry.expiresAt}"`);
+    }
+
+    const role = entry.role || 'member';
+    let permissions = normalizePermissions(entry.permissions);
+    if (!roles.has(role)) {
+      errors.push(`guests[${index}]: unknown role "${role}" (expected ${roles.names().join(', ')})`);
+    } else if (permissions.length === 0) {
+      permissions = normalizePermissions(roles.permissionsFor(role));
+    }
+
+    const unknownPermissions = roles.unknownPermissions(permissions);
+    if (unknownPermissions.length > 0) {
+      errors.push(`guests[${index}]: unknown permissions ${unknownPermissions.join(', ')}`);
+    }
+
+    return {
+      ...entry,
+      email,
+      role,
+      permissions,
+      expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null
+    };
+  });
+
+  if (errors.length > 0) {
+    throw new Error(`${source} is invalid:\n  ${errors.join('\n  ')}`);
+  }
+
+  return { spaceId: data.spaceId || null, guests };
+}
+
+/**
+ * Build a plan that turns the current guest list into the desired one
+ */
+function planReconciliation(spaceId, desired, currentGuests, options = {}) {
+  const protectedEmails = new Set((options.protectedEmails || []).map(email => email.toLowerCase()));
+  const current = new Map();
+  const plan = {
+    spaceId,
+    generatedAt: new Date().toISOString(),
+    adds: [],
+    updates: [],
+    removals: [],
+    // Live guests without an email cannot be matched to the file, so they are left alone
+    skipped: [],
+    unchanged: 0
+  };
+
+  for (const guest of currentGuests) {
+    const email = String(guest.email || '').toLowerCase();
+    if (email) {
+      current.set(email, guest);
+    } else {
+      plan.skipped.push({ guestId: guest.id, role: guest.role, reason: 'no email' });
+    }
+  }
+
+  for (const target of desired.guests) {
+    const existing = current.get(target.email);
+
+    if (!existing) {
+      plan.adds.push({ email: target.email, guest: target });
+      continue;
+    }
+
+    const changes = diffGuest(existing, target);
+    if (Object.keys(changes).length === 0) {
+      plan.unchanged++;
+    } else {
+      plan.updates.push({
+        guestId: existing.id,
+        email: target.email,
+        changes,
+        updates: Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]))
+      });
+    }
+  }
+
+  const desiredEmails = new Set(desired.guests.map(guest => guest.email));
+  for (const [email, guest] of current) {
+    if (!desiredEmails.has(email) && !protectedEmails.has(email)) {
+      plan.removals.push({ guestId: guest.id, email, role: guest.role });
+    }
+  }
+
+  return plan;
+}
+
+/**
+ * Field-level differences between a live guest and its desired state
+ */
+function diffGuest(existing, target) {
+  const changes = {};
+
+  if ((existing.role || 'member') !== target.role) {
+    changes.role = { from: existing.role || null, to: target.role };
+  }
+
+  const currentPermissions = normalizePermissions(existing.permissions);
+  if (currentPermissions.join(',') !== target.permissions.join(',')) {
+    changes.permissions = { from: currentPermissions, to: target.permissions };
+  }
+
+  const currentExpiry = existing.expiresAt ? new Date(existing.expiresAt).toISOString() : null;
+  if (currentExpiry !== target.expiresAt) {
+    changes.expiresAt = { from: currentExpiry, to: target.expiresAt };
+  }
+
+  return changes;
+}
+
+/**
+ * Render a plan for review
+ */
+function formatPlan(plan) {
+  const lines = [`Guest list plan for ${plan.spaceId}:`];
+
+  plan.adds.forEach(({ email, guest }) => {
+    lines.push(`  + ${email} (${guest.role}${guest.expiresAt ? `, expires ${guest.expiresAt}` : ''})`);
+  });
+  plan.updates.forEach(({ email, changes }) => {
+    const details = Object.entries(changes)
+      .map(([field, change]) => `${field}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`);
+    lines.push(`  ~ ${email} (${details.join('; ')})`);
+  });
+  plan.removals.forEach(({ email, role }) => {
+    lines.push(`  - ${email} (${role || 'member'})`);
+  });
+  plan.skipped.forEach(({ guestId, reason }) => {
+    lines.push(`  ? guest ${guestId} skipped (${reason})`);
+  });
+
+  lines.push(`Plan: ${plan.adds.length} to add, ${plan.updates.length} to update, ` +
+    `${plan.removals.length} to remove, ${plan.unchanged} unchanged` +
+    `${plan.skipped.length > 0 ? `, ${plan.skipped.length} skipped` : ''}.`);
+  return lines.join('\n');
+}
+
+function normalizePermissions(permissions) {
+  return [...new Set((permissions || []).map(String))].sort();
+}
+
+module.exports = {
+  loadDesiredState,
+  normalizeDesiredState,
+  planReconciliation,
+  formatPlan
+};
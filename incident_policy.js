@@ -0,0 +1,144 @@
+const { v4: uuidv4 } = require('uuid');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('incidents');
+
+/**
+ * Incident Policy
+ * Severities, categories and SLAs for safety incidents, and the rules that
+ * apply them: how a report becomes an incident, when deadlines are missed
+ * and how incidents are summarized. IncidentManager (safety_incidents.js)
+ * stores and escalates what these produce.
+ */
+
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const INCIDENT_STATUS = {
+  OPEN: 'open',
+  ACKNOWLEDGED: 'acknowledged',
+  RESOLVED: 'resolved'
+};
+
+// Matches the categories offered by configureSafetyFeatures()
+const CATEGORY_SEVERITY = {
+  harassment: 'high',
+  discrimination: 'high',
+  inappropriate_behavior: 'medium',
+  technical_issue: 'low',
+  other: 'medium'
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Time to acknowledge and to resolve, per severity
+const DEFAULT_SLA = {
+  critical: { acknowledgeMs: 5 * MINUTE, resolveMs: 4 * HOUR },
+  high: { acknowledgeMs: 15 * MINUTE, resolveMs: 24 * HOUR },
+  medium: { acknowledgeMs: 4 * HOUR, resolveMs: 72 * HOUR },
+  low: { acknowledgeMs: 24 * HOUR, resolveMs: 7 * 24 * HOUR }
+};
+
+const ESCALATE_SEVERITIES = ['critical', 'high'];
+
+/**
+ * Build a new incident from a report. Anonymous reports keep no reporter.
+ * policy: { categorySeverity, sla }
+ */
+function buildIncident(report, policy) {
+  const category = report.category in policy.categorySeverity ? report.category : 'other';
+  if (report.category && category !== report.category) {
+    logger.warn(`⚠️ Unknown report category "${report.category}", filed as "other"`);
+  }
+
+  const severity = report.emergency ? 'critical' : (report.severity || policy.categorySeverity[category]);
+  if (!SEVERITIES.includes(severity)) {
+    throw new IncidentError(`Unknown severity: ${severity} (expected ${SEVERITIES.join(', ')})`);
+  }
+
+  const anonymous = Boolean(report.anonymous);
+  const now = new Date();
+  const sla = policy.sla[severity];
+
+  return {
+    id: `inc_${uuidv4()}`,
+    reportId: report.reportId || null,
+    spaceId: report.spaceId || null,
+    source: report.source || 'manual',
+    category,
+    severity,
+    emergency: Boolean(report.emergency),
+    description: report.description || '',
+    subjectGuestId: report.subjectGuestId || null,
+    anonymous,
+    // Only ever set for reporters who chose to be identified
+    reporterEmail: anonymous ? null : (report.reporterEmail || null),
+    status: INCIDENT_STATUS.OPEN,
+    receivedAt: now.toISOString(),
+    acknowledgeBy: new Date(now.getTime() + sla.acknowledgeMs).toISOString(),
+    resolveBy: new Date(now.getTime() + sla.resolveMs).toISOString(),
+    escalatedAt: null,
+    acknowledgedAt: null,
+    acknowledgedBy: null,
+    resolvedAt: null,
+    resolvedBy: null,
+    resolution: null,
+    slaBreaches: [],
+    timeline: [{ at: now.toISOString(), type: 'received', by: report.source || 'manual' }]
+  };
+}
+
+/**
+ * SLA deadlines passed since the last check
+ */
+function dueBreaches(incident, now) {
+  const recorded = new Set(incident.slaBreaches.map(breach => breach.type));
+  const breaches = [];
+  if (!incident.acknowledgedAt && now > Date.parse(incident.acknowledgeBy) && !recorded.has('acknowledgement')) {
+    breaches.push('acknowledgement');
+  }
+  if (now > Date.parse(incident.resolveBy) && !recorded.has('resolution')) {
+    breaches.push('resolution');
+  }
+  return breaches;
+}
+
+/**
+ * Counts by status and severity plus SLA performance for resolved and
+ * acknowledged incidents
+ */
+function summarizeIncidents(incidents) {
+  const count = key => incidents.reduce((counts, incident) => {
+    counts[incident[key]] = (counts[incident[key]] || 0) + 1;
+    return counts;
+  }, {});
+  const acknowledged = incidents.filter(incident => incident.acknowledgedAt);
+
+  return {
+    total: incidents.length,
+    byStatus: count('status'),
+    bySeverity: count('severity'),
+    breached: incidents.filter(incident => incident.slaBreaches.length > 0).length,
+    meanTimeToAcknowledgeMs: acknowledged.length === 0 ? null : Math.round(acknowledged.reduce((total, incident) =>
+      total + (Date.parse(incident.acknowledgedAt) - Date.parse(incident.receivedAt)), 0) / acknowledged.length)
+  };
+}
+
+class IncidentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'IncidentError';
+  }
+}
+
+module.exports = {
+  buildIncident,
+  dueBreaches,
+  summarizeIncidents,
+  IncidentError,
+  SEVERITIES,
+  INCIDENT_STATUS,
+  CATEGORY_SEVERITY,
+  DEFAULT_SLA,
+  ESCALATE_SEVERITIES
+};
@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { resolveConfig } = require('./config_schema');
+
+/**
+ * Structured Logger
+ * Leveled logging with human-readable or JSON-lines console output, an
+ * optional rotating JSON-lines log file, correlation IDs that follow async
+ * work (a POC run, a bulk invite job) and automatic redaction of email
+ * addresses, bearer tokens and registered secrets.
+ *
+ * Environment:
+ *   LOG_LEVEL        debug | info | warn | error | silent (default info, debug with DEBUG_MODE=true)
+ *   LOG_FORMAT       text | json console output (default text)
+ *   LOG_TO_FILE      true to also write JSON lines to LOG_FILE (default logs/fc.log)
+ *   LOG_MAX_SIZE_MB  rotate the file at this size (default 10)
+ *   LOG_MAX_FILES    rotated files to keep (default 5)
+ *   LOG_REDACT       false to keep email addresses readable (local debugging only)
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+const SENSITIVE_KEYS = /^(authorization|api[-_]?key|apikey|token|secret|pass(word)?|smtp_pass)$/i;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,})/g;
+const BEARER_PATTERN = /(Bearer\s+)[^\s"',]+/gi;
+
+const correlationStorage = new AsyncLocalStorage();
+const secrets = new Set();
+let settings = null;
+let fileSink = null;
+
+class Logger {
+  constructor(component, fields = {}) {
+    this.component = component;
+    this.fields = fields;
+  }
+
+  /**
+   * Logger that adds fields to every record
+   */
+  child(fields) {
+    return new Logger(this.component, { ...this.fields, ...fields });
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  isLevelEnabled(level) {
+    return LEVELS[level] >= LEVELS[getSettings().level];
+  }
+
+  log(level, message, fields = {}) {
+    const config = getSettings();
+    const consoleEnabled = LEVELS[level] >= LEVELS[config.level];
+    const fileEnabled = config.toFile && LEVELS[level] >= LEVELS[config.fileLevel];
+    if (!consoleEnabled && !fileEnabled) {
+      return;
+    }
+
+    const record = redact({
+      timestamp: new Date().toISOString(),
+      level,
+      component: this.component,
+      message,
+      ...(correlationStorage.getStore() || {}),
+      ...this.fields,
+      ...serializeFields(fields)
+    }, config.redactEmails);
+
+    if (consoleEnabled) {
+      // Resolved per call so redirected console methods (e.g. CLI --json) are honored
+      const method = console[CONSOLE_METHODS[level]];
+      method(config.format === 'json' ? JSON.stringify(record) : record.message);
+    }
+    if (fileEnabled) {
+      getFileSink(config).write(record);
+    }
+  }
+}
+
+/**
+ * Logger for a component, e.g. createLogger('gather-api')
+ */
+function createLogger(component, fields) {
+  return new Logger(component, fields);
+}
+
+/**
+ * Run fn with a correlation ID attached to every record logged inside it,
+ * including from awaited calls. Nested IDs keep the outer one as parentCorrelationId.
+ */
+function withCorrelationId(correlationId, fn) {
+  const outer = correlationStorage.getStore();
+  const context = outer && outer.correlationId !== correlationId
+    ? { correlationId, parentCorrelationId: outer.correlationId }
+    : { correlationId };
+  return correlationStorage.run(context, fn);
+}
+
+function getCorrelationId() {
+  const store = correlationStorage.getStore();
+  return store ? store.correlationId : null;
+}
+
+/**
+ * Never log this value (API keys, passwords)
+ */
+function registerSecret(value) {
+  if (value && String(value).length >= 4) {
+    secrets.add(String(value));
+  }
+}
+
+/**
+ * Override environment settings (level, format, toFile, filePath, ...)
+ */
+function configureLogger(overrides = {}) {
+  settings = { ...getSettings(), ...overrides };
+  fileSink = null;
+  return settings;
+}
+
+function getSettings() {
+  if (!settings) {
+    const { values } = resolveConfig();
+    settings = {
+      level: values.LOG_LEVEL,
+      // DEBUG_MODE keeps full detail in the file even when the console is quieter
+      fileLevel: values.DEBUG_MODE ? 'debug' : values.LOG_LEVEL,
+      format: values.LOG_FORMAT,
+      toFile: values.LOG_TO_FILE,
+      filePath: values.LOG_FILE,
+      maxBytes: values.LOG_MAX_SIZE_MB * 1024 * 1024,
+      maxFiles: values.LOG_MAX_FILES,
+      redactEmails: values.LOG_REDACT
+    };
+  }
+  return settings;
+}
+
+function getFileSink(config) {
+  if (!fileSink) {
+    fileSink = new RotatingFileSink(config.filePath, config.maxBytes, config.maxFiles);
+  }
+  return fileSink;
+}
+
+/**
+ * Appends JSON lines; when the file would exceed maxBytes it is renamed to
+ * .1 (shifting older files up to .maxFiles) and a new file is started
+ */
+class RotatingFileSink {
+  constructor(filePath, maxBytes, maxFiles) {
+    this.filePath = filePath;
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.size = null;
+    this.failed = false;
+  }
+
+  write(record) {
+    if (this.failed) return;
+    const line = `${JSON.stringify(record)}\n`;
+
+    try {
+      if (this.size === null) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.size = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+      }
+      if (this.size > 0 && this.size + Buffer.byteLength(line) > this.maxBytes) {
+        this.rotate();
+      }
+      fs.appendFileSync(this.filePath, line);
+      this.size += Buffer.byteLength(line);
+    } catch (error) {
+      // Logging must never take the process down; report once and stop writing
+      this.failed = true;
+      console.error(`⚠️ Log file ${this.filePath} disabled: ${error.message}`);
+    }
+  }
+
+  rotate() {
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      const source = `${this.filePath}.${index}`;
+      if (fs.existsSync(source)) {
+        fs.renameSync(source, `${this.filePath}.${index + 1}`);
+      }
+    }
+    // The oldest file (.maxFiles) is overwritten by the shift above
+    fs.renameSync(this.filePath, `${this.filePath}.1`);
+    this.size = 0;
+  }
+}
+
+/**
+ * Errors become { name, message, status, code } so they survive JSON.stringify
+ */
+function serializeFields(fields) {
+  const result = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    result[key] = value instanceof Error
+      ? { name: value.name, message: value.message, status: value.status, code: value.code }
+      : value;
+  }
+  return result;
+}
+
+/**
+ * Mask email addresses (a***@example.org), bearer tokens, registered secrets
+ * and values under sensitive keys
+ */
+function redact(value, redactEmails = true, key = '') {
+  if (typeof value === 'string') {
+    if (SENSITIVE_KEYS.test(key)) {
+      return '[REDACTED]';
+    }
+    let result = value.replace(BEARER_PATTERN, '$1[REDACTED]');
+    secrets.forEach((secret) => { result = result.split(secret).join('[REDACTED]'); });
+    return redactEmails ? result.replace(EMAIL_PATTERN, '$1***@$2') : result;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, redactEmails, key));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(item, redactEmails, name)]));
+  }
+  return value;
+}
+
+module.exports = {
+  createLogger,
+  withCorrelationId,
+  getCorrelationId,
+  registerSecret,
+  configureLogger,
+  redact,
+  LEVELS
+};
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const { readSetting } = require('./config_schema');
+
+/**
+ * Message Templates
+ * Renders invitation and welcome copy from per-locale template files so the
+ * wording can be edited without touching code.
+ *
+ * Layout: messages/<locale>/<name>.txt, optional <name>.html and a
+ * subjects.json mapping names to subject lines. Placeholders:
+ *   {{key}}                 value (HTML-escaped in .html templates)
+ *   {{#key}}...{{/key}}     only rendered when key has a value
+ *   {{^key}}...{{/key}}     only rendered when key has no value
+ */
+
+const DEFAULT_MESSAGES_DIR = path.join(__dirname, 'messages');
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+class MessageTemplates {
+  constructor(options = {}) {
+    const messagesDir = readSetting('FC_MESSAGES_DIR');
+    const extraDirs = messagesDir ? [messagesDir] : [];
+    // Earlier directories win, so custom copy can shadow the built-in files
+    this.directories = options.directories || [...extraDirs, DEFAULT_MESSAGES_DIR];
+    this.defaultLocale = normalizeLocale(options.defaultLocale || readSetting('FC_DEFAULT_LOCALE'));
+  }
+
+  /**
+   * Locales that have at least one template
+   */
+  locales() {
+    const locales = new Set();
+    for (const directory of this.directories) {
+      if (!fs.existsSync(directory)) continue;
+      fs.readdirSync(directory, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => locales.add(normalizeLocale(entry.name)));
+    }
+    return [...locales].sort();
+  }
+
+  /**
+   * Template names available in a locale (default locale when omitted)
+   */
+  names(locale = this.defaultLocale) {
+    const names = new Set();
+    for (const directory of this.directories) {
+      const localeDir = path.join(directory, locale);
+      if (!fs.existsSync(localeDir)) continue;
+      fs.readdirSync(localeDir)
+        .filter(file => path.extname(file) === '.txt')
+        .forEach(file => names.add(path.basename(file, '.txt')));
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Pick the best locale for a template: exact ("pt-br"), then language ("pt"),
+   * then the default locale
+   */
+  resolveLocale(name, locale) {
+    const requested = locale ? normalizeLocale(locale) : null;
+    const candidates = [requested, requested && requested.split('-')[0], this.defaultLocale].filter(Boolean);
+
+    const found = candidates.find(candidate => this.findFile(candidate, `${name}.txt`));
+    if (!found) {
+      throw new MessageTemplateError(`Message template not found: ${name} (available: ${this.names().join(', ')})`);
+    }
+    return found;
+  }
+
+  /**
+   * Render a template's subject, plain text and HTML for a locale.
+   * `missing` lists placeholders with no variable, so previews can flag typos.
+   */
+  render(name, variables = {}, locale) {
+    const resolved = this.resolveLocale(name, locale);
+    const missing = new Set();
+
+    const text = renderTemplate(this.read(resolved, `${name}.txt`), variables, { missing });
+    const htmlSource = this.read(resolved, `${name}.html`);
+    const html = htmlSource !== null
+      ? renderTemplate(htmlSource, variables, { missing, escape: escapeHtml })
+      : textToHtml(text);
+
+    const subjects = this.subjects(resolved);
+    const subject = subjects[name] ? renderTemplate(subjects[name], variables, { missing }) : null;
+
+    return { name, locale: resolved, subject, text: text.trim(), html: html.trim(), missing: [...missing] };
+  }
+
+  /**
+   * Subject lines for a locale, falling back to the default locale per name
+   */
+  subjects(locale) {
+    const load = (candidate) => {
+      const content = this.read(candidate, 'subjects.json');
+      if (content === null) return {};
+      try {
+        return JSON.parse(content);
+      } catch (error) {
+        throw new MessageTemplateError(`Invalid subjects.json for locale ${candidate}: ${error.message}`);
+      }
+    };
+    return { ...load(this.defaultLocale), ...load(locale) };
+  }
+
+  findFile(locale, file) {
+    for (const directory of this.directories) {
+      const candidate = path.join(directory, locale, file);
+      if (fs.existsSync(candidate)) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  read(locale, file) {
+    const filePath = this.findFile(locale, file);
+    return filePath ? fs.readFileSync(filePath, 'utf8') : null;
+  }
+}
+
+/**
+ * Expand sections, then placeholders
+ */
+function renderTemplate(template, variables, { missing = new Set(), escape = value => value } = {}) {
+  let sections = template;
+  let previous;
+  // Repeat so sections nested inside a kept section are expanded too
+  do {
+    previous = sections;
+    sections = sections.replace(SECTION_PATTERN, (match, type, key, body) => {
+      if (!(key in variables)) missing.add(key);
+      return (type === '#') === hasValue(variables[key]) ? body : '';
+    });
+  } while (sections !== previous);
+
+  return sections.replace(VARIABLE_PATTERN, (match, key) => {
+    if (!(key in variables)) {
+      missing.add(key);
+      return '';
+    }
+    return hasValue(variables[key]) ? escape(String(variables[key])) : '';
+  });
+}
+
+function hasValue(value) {
+  return value !== undefined && value !== null && value !== '' && value !== false;
+}
+
+function escapeHtml(value) {
+  return value.replace(/[&<>"']/g, character => ({
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  })[character]);
+}
+
+/**
+ * Fallback HTML for templates that only ship a .txt file
+ */
+function textToHtml(text) {
+  return text.trim().split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>\n')}</p>`)
+    .join('\n');
+}
+
+function normalizeLocale(locale) {
+  return String(locale).trim().replace(/_/g, '-').toLowerCase();
+}
+
+class MessageTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MessageTemplateError';
+  }
+}
+
+module.exports = {
+  MessageTemplates,
+  MessageTemplateError,
+  renderTemplate,
+  DEFAULT_MESSAGES_DIR
+};
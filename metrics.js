@@ -0,0 +1,299 @@
+const http = require('http');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('metrics');
+
+/**
+ * Metrics
+ * In-process counters, gauges and histograms with labels, readable as a
+ * plain snapshot object or in the Prometheus text exposition format, which
+ * the optional local HTTP endpoint (GET /metrics) serves.
+ *
+ * Nothing is kept between runs; a scraper or the script reading the
+ * snapshot is expected to store what it needs.
+ */
+
+// Seconds; suits API calls from a few milliseconds up to the default 30s timeout
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    labelNames.forEach((label) => {
+      if (!LABEL_NAME.test(label) || label === 'le') {
+        throw new Error(`Invalid label name for ${name}: ${label}`);
+      }
+    });
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map(); // label key -> { labels, ...values }
+  }
+
+  /**
+   * Series for a label set, created on first use
+   */
+  seriesFor(labels = {}, create) {
+    const unknown = Object.keys(labels).filter(label => !this.labelNames.includes(label));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown label(s) for ${this.name}: ${unknown.join(', ')}`);
+    }
+    const values = this.labelNames.map(label => (labels[label] === undefined || labels[label] === null ? '' : String(labels[label])));
+    const key = JSON.stringify(values);
+
+    if (!this.series.has(key)) {
+      const normalized = Object.fromEntries(this.labelNames.map((label, index) => [label, values[index]]));
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop every series whose labels include match, e.g. remove({ space_id })
+   */
+  remove(match = {}) {
+    for (const [key, series] of this.series) {
+      if (Object.entries(match).every(([label, value]) => series.labels[label] === String(value))) {
+        this.series.delete(key);
+      }
+    }
+  }
+
+  reset() {
+    this.series.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    if (!(value >= 0)) {
+      throw new Error(`Counter ${this.name} can only increase (got ${value})`);
+    }
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  snapshotSeries(series) {
+    return { labels: series.labels, value: series.value };
+  }
+
+  renderSeries(series) {
+    return [sample(this.name, series.labels, series.value)];
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  snapshotSeries(series) {
+    return { labels: series.labels, value: series.value };
+  }
+
+  renderSeries(series) {
+    return [sample(this.name, series.labels, series.value)];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  snapshotSeries(series) {
+    const buckets = Object.fromEntries(this.buckets.map((bound, index) => [String(bound), series.counts[index]]));
+    return { labels: series.labels, count: series.count, sum: series.sum, buckets: { ...buckets, '+Inf': series.count } };
+  }
+
+  renderSeries(series) {
+    return [
+      ...this.buckets.map((bound, index) =>
+        sample(`${this.name}_bucket`, { ...series.labels, le: formatValue(bound) }, series.counts[index])),
+      sample(`${this.name}_bucket`, { ...series.labels, le: '+Inf' }, series.count),
+      sample(`${this.name}_sum`, series.labels, series.sum),
+      sample(`${this.name}_count`, series.labels, series.count)
+    ];
+  }
+}
+
+/**
+ * Registry of named metrics
+ * Asking for a metric that already exists returns it, so several clients can
+ * share one registry; asking with a different type is an error.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+    this.server = null;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.register(name, Counter, () => new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.register(name, Gauge, () => new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this.register(name, Histogram, () => new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(name, MetricClass, create) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.constructor !== MetricClass) {
+        throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+      }
+      return existing;
+    }
+    const metric = create();
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  /**
+   * Register a function called before every snapshot or scrape, for gauges
+   * that are cheaper to read on demand than to keep up to date.
+   * Returns a function that removes it.
+   */
+  onCollect(collector) {
+    this.collectors.push(collector);
+    return () => {
+      const index = this.collectors.indexOf(collector);
+      if (index !== -1) this.collectors.splice(index, 1);
+    };
+  }
+
+  collect() {
+    this.collectors.forEach((collector) => {
+      try {
+        collector();
+      } catch (error) {
+        logger.warn(`⚠️ Metrics collector failed: ${error.message}`, { error });
+      }
+    });
+    return [...this.metrics.values()];
+  }
+
+  /**
+   * Every metric as a plain object:
+   * { name: { type, help, series: [{ labels, value } | { labels, count, sum, buckets }] } }
+   */
+  snapshot() {
+    return Object.fromEntries(this.collect().map(metric => [metric.name, {
+      type: metric.type,
+      help: metric.help,
+      series: [...metric.series.values()].map(series => metric.snapshotSeries(series))
+    }]));
+  }
+
+  /**
+   * Every metric in the Prometheus text exposition format (version 0.0.4)
+   */
+  render() {
+    const lines = [];
+    this.collect().forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.series.forEach(series => lines.push(...metric.renderSeries(series)));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Serve GET /metrics on a local port; resolves with the scrape URL
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        logger.info(`📈 Metrics available at http://${host}:${address.port}/metrics`);
+        resolve(`http://${host}:${address.port}/metrics`);
+      });
+    });
+  }
+
+  handleRequest(req, res) {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      return res.end('Not found\n');
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', Allow: 'GET, HEAD' });
+      return res.end('Method not allowed\n');
+    }
+    const body = this.render();
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    return res.end(req.method === 'HEAD' ? undefined : body);
+  }
+
+  /**
+   * Stop the metrics endpoint
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+}
+
+function sample(name, labels, value) {
+  const pairs = Object.entries(labels)
+    .map(([label, labelValue]) => `${label}="${String(labelValue).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return `${name}${pairs.length > 0 ? `{${pairs.join(',')}}` : ''} ${formatValue(value)}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+module.exports = {
+  MetricsRegistry,
+  Counter,
+  Gauge,
+  Histogram,
+  DEFAULT_BUCKETS
+};
@@ -0,0 +1,311 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Gather.Town API Server
+ *
+ * Stateful local stand-in for the Gather.Town HTTP API. Point
+ * GATHER_BASE_URL at it to run GatherAPIClient, FCGuestManager and
+ * POCExecutor end-to-end without credentials or network access.
+ */
+
+const http = require('http');
+const { URL } = require('url');
+const { v4: uuidv4 } = require('uuid');
+const { signPayload } = require('./webhook_receiver');
+const { MockGatherState } = require('./mock_gather_state');
+const { readSetting } = require('./config_schema');
+
+const DEFAULT_BASE_PATH = '/api/v2';
+
+class MockGatherServer {
+  constructor(options = {}) {
+    this.basePath = options.basePath ?? DEFAULT_BASE_PATH;
+    this.apiKeys = options.apiKeys || null; // null accepts any bearer token
+    this.publicUrl = options.publicUrl || 'https://gather.town/app';
+    this.rateLimit = options.rateLimit || null; // { requests, windowMs } to simulate 429s
+    this.pageSize = options.pageSize; // guests per page when ?limit= is absent (default 50)
+    this.server = null;
+    this.baseUrl = null;
+    this.reset();
+  }
+
+  /**
+   * Clear all stored spaces, guests, invitations and webhooks
+   */
+  reset() {
+    this.state = new MockGatherState({ publicUrl: this.publicUrl, pageSize: this.pageSize });
+    this.requestLog = [];
+    this.rateLimitHits = [];
+    this.faults = [];
+  }
+
+  /**
+   * Answer the next request(s) with a canned failure instead of routing them:
+   * { status, body, contentType, delayMs, times, match }
+   * e.g. { status: 502, body: '<html>Bad Gateway</html>', contentType: 'text/html' }
+   * or { delayMs: 5000 } to answer normally but late (past the client timeout).
+   * match (optional) is a regular expression tested against "METHOD /path".
+   */
+  injectFault(fault) {
+    this.faults.push({ times: 1, ...fault });
+  }
+
+  /**
+   * Start listening; resolves with the base URL to use as GATHER_BASE_URL
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handle(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        this.baseUrl = `http://${host}:${address.port}${this.basePath}`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Route an incoming request
+   */
+  async handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    this.requestLog.push({ method: req.method, path: url.pathname, at: Date.now() });
+
+    if (!url.pathname.startsWith(this.basePath)) {
+      return this.send(res, 404, { message: 'Not found' });
+    }
+
+    if (!this.isAuthorized(req.headers.authorization)) {
+      return this.send(res, 401, { message: 'Invalid or missing API key' });
+    }
+
+    const fault = this.takeFault(`${req.method} ${url.pathname}`);
+    if (fault && fault.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, fault.delayMs));
+    }
+    if (res.destroyed) {
+      return undefined;
+    }
+    if (fault && fault.status) {
+      res.writeHead(fault.status, { 'Content-Type': fault.contentType || 'text/plain' });
+      return res.end(fault.body ?? '');
+    }
+
+    const limitHeaders = this.applyRateLimit();
+    if (limitHeaders && limitHeaders['Retry-After']) {
+      return this.send(res, 429, { message: 'Rate limit exceeded' }, limitHeaders);
+    }
+
+    let body;
+    try {
+      body = await this.readBody(req);
+    } catch (error) {
+      return this.send(res, 400, { message: 'Malformed JSON body' });
+    }
+
+    const segments = url.pathname.slice(this.basePath.length).split('/').filter(Boolean);
+    const route = this.matchRoute(req.method, segments);
+
+    if (!route) {
+      return this.send(res, 404, { message: `No route for ${req.method} ${url.pathname}` });
+    }
+
+    try {
+      const [status, payload] = route.handler(...route.params, body, url.searchParams);
+      return this.send(res, status, payload, limitHeaders);
+    } catch (error) {
+      return this.send(res, 500, { message: error.message });
+    }
+  }
+
+  /**
+   * Resolve method + path segments to a handler
+   */
+  matchRoute(method, segments) {
+    const [resource, id, sub, subId] = segments;
+
+    if (resource === 'spaces') {
+      if (segments.length === 1 && method === 'POST') return { handler: this.state.createSpace.bind(this.state), params: [] };
+      if (segments.length === 2 && method === 'GET') return { handler: this.state.getSpace.bind(this.state), params: [id] };
+      if (segments.length === 2 && method === 'PUT') return { handler: this.state.updateSpace.bind(this.state), params: [id] };
+      if (sub === 'guests' && segments.length === 3) {
+        if (method === 'GET') return { handler: this.state.listGuests.bind(this.state), params: [id] };
+        if (method === 'POST') return { handler: this.state.addGuests.bind(this.state), params: [id] };
+      }
+      if (sub === 'guests' && segments.length === 4) {
+        if (method === 'GET') return { handler: this.state.getGuest.bind(this.state), params: [id, subId] };
+        if (method === 'PUT') return { handler: this.state.updateGuest.bind(this.state), params: [id, subId] };
+        if (method === 'DELETE') return { handler: this.state.removeGuest.bind(this.state), params: [id, subId] };
+      }
+    }
+
+    if (resource === 'invitations' && segments.length === 1 && method === 'POST') {
+      return { handler: this.state.createInvitation.bind(this.state), params: [] };
+    }
+
+    if (resource === 'webhooks' && segments.length === 1 && method === 'POST') {
+      return { handler: this.state.createWebhook.bind(this.state), params: [] };
+    }
+
+    return null;
+  }
+
+  /**
+   * Deliver a signed event to every webhook registered for the space and event type
+   */
+  async deliverEvent(spaceId, type, data = {}) {
+    const payload = {
+      id: `evt_${uuidv4()}`,
+      type,
+      spaceId,
+      occurredAt: new Date().toISOString(),
+      data
+    };
+    const rawBody = JSON.stringify(payload);
+    const targets = this.state.webhooks.filter(webhook =>
+      (!webhook.spaceId || webhook.spaceId === spaceId) &&
+      (webhook.events.length === 0 || webhook.events.includes(type))
+    );
+
+    const deliveries = await Promise.all(targets.map((webhook) => {
+      const timestamp = Date.now();
+      const headers = { 'Content-Type': 'application/json' };
+      if (webhook.secret) {
+        headers['X-Gather-Timestamp'] = String(timestamp);
+        headers['X-Gather-Signature'] = signPayload(webhook.secret, timestamp, rawBody);
+      }
+      return postJson(webhook.url, rawBody, headers)
+        .then(status => ({ webhookId: webhook.id, status }))
+        .catch(error => ({ webhookId: webhook.id, error: error.message }));
+    }));
+
+    return { event: payload, deliveries };
+  }
+
+  /**
+   * Track simulated rate limit usage; returns X-RateLimit headers (plus Retry-After when exhausted)
+   */
+  applyRateLimit(now = Date.now()) {
+    if (!this.rateLimit) {
+      return null;
+    }
+
+    const { requests, windowMs } = this.rateLimit;
+    this.rateLimitHits = this.rateLimitHits.filter(hit => hit > now - windowMs);
+    const resetAt = (this.rateLimitHits[0] || now) + windowMs;
+    const headers = {
+      'X-RateLimit-Limit': String(requests),
+      'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000))
+    };
+
+    if (this.rateLimitHits.length >= requests) {
+      headers['X-RateLimit-Remaining'] = '0';
+      headers['Retry-After'] = String(Math.ceil((resetAt - now) / 1000));
+      return headers;
+    }
+
+    this.rateLimitHits.push(now);
+    headers['X-RateLimit-Remaining'] = String(requests - this.rateLimitHits.length);
+    return headers;
+  }
+
+  isAuthorized(header) {
+    const match = /^Bearer (.+)$/.exec(header || '');
+    if (!match) {
+      return false;
+    }
+    return !this.apiKeys || this.apiKeys.includes(match[1]);
+  }
+
+  readBody(req) {
+    return new Promise((resolve, reject) => {
+      let raw = '';
+      req.on('data', (chunk) => { raw += chunk; });
+      req.on('end', () => {
+        if (!raw) {
+          return resolve(null);
+        }
+        try {
+          resolve(JSON.parse(raw));
+        } catch (error) {
+          reject(error);
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  takeFault(requestLine) {
+    const index = this.faults.findIndex(fault => !fault.match || fault.match.test(requestLine));
+    if (index === -1) {
+      return null;
+    }
+    const fault = this.faults[index];
+    fault.times -= 1;
+    if (fault.times <= 0) {
+      this.faults.splice(index, 1);
+    }
+    return fault;
+  }
+
+  send(res, status, payload, headers = {}) {
+    if (payload === null || status === 204) {
+      res.writeHead(status, headers || {});
+      return res.end();
+    }
+    res.writeHead(status, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(payload));
+  }
+}
+
+function postJson(target, rawBody, headers) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(target, { method: 'POST', headers }, (res) => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    });
+    req.on('error', reject);
+    req.end(rawBody);
+  });
+}
+
+/**
+ * CLI execution
+ */
+async function main() {
+  const server = new MockGatherServer();
+  const port = readSetting('MOCK_GATHER_PORT');
+  const baseUrl = await server.start(port);
+
+  console.log('🧪 Mock Gather.Town API listening');
+  console.log(`   GATHER_BASE_URL=${baseUrl}`);
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Mock server failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = MockGatherServer;
@@ -0,0 +1,184 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Mock Gather.Town API State
+ * The spaces, guests, invitations and webhooks behind MockGatherServer, with
+ * one handler per API route. Handlers take the route parameters, the parsed
+ * JSON body and the query string, and return [status, payload].
+ */
+
+const MAX_PAGE_SIZE = 200;
+
+class MockGatherState {
+  constructor(options = {}) {
+    this.publicUrl = options.publicUrl || 'https://gather.town/app';
+    this.pageSize = options.pageSize || 50; // guests per page when ?limit= is absent
+    this.spaces = new Map();
+    this.guests = new Map(); // spaceId -> Map(guestId -> guest)
+    this.invitations = [];
+    this.webhooks = [];
+  }
+
+  createSpace(body) {
+    if (!body || !body.name) {
+      return [400, { message: 'Space name is required' }];
+    }
+
+    const id = `space_${uuidv4()}`;
+    const space = {
+      ...body,
+      id,
+      url: `${this.publicUrl}/${id}`,
+      capacity: body.capacity || 25,
+      isPrivate: body.isPrivate !== false,
+      createdAt: new Date().toISOString()
+    };
+
+    this.spaces.set(id, space);
+    this.guests.set(id, new Map());
+    return [201, space];
+  }
+
+  getSpace(spaceId) {
+    const space = this.spaces.get(spaceId);
+    return space ? [200, space] : [404, { message: 'Space not found' }];
+  }
+
+  updateSpace(spaceId, body) {
+    const space = this.spaces.get(spaceId);
+    if (!space) {
+      return [404, { message: 'Space not found' }];
+    }
+
+    const updated = { ...space, ...body, id: space.id, url: space.url, updatedAt: new Date().toISOString() };
+    this.spaces.set(spaceId, updated);
+    return [200, updated];
+  }
+
+  /**
+   * Cursor-paginated guest list; ?limit=&cursor= plus role, email and status filters
+   */
+  listGuests(spaceId, body, query = new URLSearchParams()) {
+    const guests = this.guests.get(spaceId);
+    if (!guests) {
+      return [404, { message: 'Space not found' }];
+    }
+
+    const limit = Math.min(parseInt(query.get('limit'), 10) || this.pageSize, MAX_PAGE_SIZE);
+    const offset = query.get('cursor') ? decodeCursor(query.get('cursor')) : 0;
+    if (offset === null) {
+      return [400, { message: 'Invalid cursor' }];
+    }
+
+    const role = query.get('role');
+    const email = (query.get('email') || '').toLowerCase();
+    const status = query.get('status');
+    const matching = [...guests.values()].filter(guest =>
+      (!role || guest.role === role) &&
+      (!email || guest.email.toLowerCase() === email) &&
+      (!status || guest.status === status));
+
+    const page = matching.slice(offset, offset + limit);
+    const nextOffset = offset + page.length;
+    return [200, {
+      spaceId,
+      guests: page,
+      total: matching.length,
+      nextCursor: nextOffset < matching.length ? encodeCursor(nextOffset) : null
+    }];
+  }
+
+  addGuests(spaceId, body) {
+    const guests = this.guests.get(spaceId);
+    if (!guests) {
+      return [404, { message: 'Space not found' }];
+    }
+
+    const incoming = body && Array.isArray(body.guests) ? body.guests : [];
+    if (incoming.length === 0 || incoming.some(guest => !guest || !guest.email)) {
+      return [400, { message: 'Every guest requires an email' }];
+    }
+
+    const existing = new Set([...guests.values()].map(guest => guest.email.toLowerCase()));
+    if (incoming.some(guest => existing.has(guest.email.toLowerCase()))) {
+      return [409, { message: 'Guest already exists in space' }];
+    }
+
+    const added = incoming.map((guest) => {
+      const stored = {
+        role: 'member',
+        permissions: [],
+        ...guest,
+        id: `guest_${uuidv4()}`,
+        status: 'invited',
+        addedAt: new Date().toISOString()
+      };
+      guests.set(stored.id, stored);
+      return stored;
+    });
+
+    return [201, { spaceId, guests: added, invitationSent: body.sendInvitation !== false }];
+  }
+
+  getGuest(spaceId, guestId) {
+    const guest = this.guests.get(spaceId)?.get(guestId);
+    return guest ? [200, guest] : [404, { message: 'Guest not found' }];
+  }
+
+  updateGuest(spaceId, guestId, body) {
+    const guest = this.guests.get(spaceId)?.get(guestId);
+    if (!guest) {
+      return [404, { message: 'Guest not found' }];
+    }
+
+    const updated = { ...guest, ...body, id: guest.id, email: guest.email };
+    this.guests.get(spaceId).set(guestId, updated);
+    return [200, updated];
+  }
+
+  removeGuest(spaceId, guestId) {
+    const guests = this.guests.get(spaceId);
+    if (!guests || !guests.has(guestId)) {
+      return [404, { message: 'Guest not found' }];
+    }
+
+    guests.delete(guestId);
+    return [204, null];
+  }
+
+  createInvitation(body) {
+    if (!body || !body.spaceId || !Array.isArray(body.recipients) || body.recipients.length === 0) {
+      return [400, { message: 'spaceId and recipients are required' }];
+    }
+    if (!this.spaces.has(body.spaceId)) {
+      return [404, { message: 'Space not found' }];
+    }
+
+    const invitation = { ...body, id: `inv_${uuidv4()}`, status: 'sent', sentAt: new Date().toISOString() };
+    this.invitations.push(invitation);
+    return [201, invitation];
+  }
+
+  createWebhook(body) {
+    if (!body || !body.url) {
+      return [400, { message: 'Webhook url is required' }];
+    }
+
+    const webhook = { events: [], ...body, id: `wh_${uuidv4()}`, active: true, createdAt: new Date().toISOString() };
+    this.webhooks.push(webhook);
+    return [201, webhook];
+  }
+}
+
+function encodeCursor(offset) {
+  return Buffer.from(`offset:${offset}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const match = /^offset:(\d+)$/.exec(Buffer.from(cursor, 'base64url').toString('utf8'));
+  return match ? Number(match[1]) : null;
+}
+
+module.exports = {
+  MockGatherState
+};
@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Mock SMTP Server
+ *
+ * Local SMTP sink that accepts and stores messages instead of delivering
+ * them. Point SMTP_HOST/SMTP_PORT at it to exercise EmailDelivery without a
+ * real mail server. Recipients can be made to bounce and sessions can be made
+ * to fail temporarily to test retries.
+ */
+
+const net = require('net');
+const { readSetting } = require('./config_schema');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('mock-smtp');
+
+class MockSmtpServer {
+  constructor(options = {}) {
+    this.hostname = options.hostname || 'mock-smtp.local';
+    // Addresses answered with 550 at RCPT TO
+    this.rejectRecipients = new Set((options.rejectRecipients || []).map(email => email.toLowerCase()));
+    // Number of MAIL FROM commands answered with a temporary 451 before accepting
+    this.failTimes = options.failTimes || 0;
+    this.server = null;
+    this.sockets = new Set();
+    this.reset();
+  }
+
+  /**
+   * Clear received messages and session logs
+   */
+  reset() {
+    this.messages = [];
+    this.sessions = [];
+    this.temporaryFailures = 0;
+  }
+
+  /**
+   * Start listening; resolves with { host, port }
+   */
+  start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer(socket => this.handle(socket));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.address = { host, port: this.server.address().port };
+        resolve(this.address);
+      });
+    });
+  }
+
+  /**
+   * Stop listening and drop open sessions
+   */
+  stop() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    this.sockets.forEach(socket => socket.destroy());
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Run one SMTP session
+   */
+  handle(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.setEncoding('utf8');
+
+    const session = { auth: null, from: null, to: [], commands: [] };
+    this.sessions.push(session);
+
+    let buffer = '';
+    let data = null; // collected DATA lines while receiving a message
+    let authStep = null;
+    const reply = line => socket.write(`${line}\r\n`);
+
+    reply(`220 ${this.hostname} ESMTP mock ready`);
+
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (data) {
+          if (line === '.') {
+            this.store(session, data.join('\r\n'));
+            data = null;
+            reply('250 2.0.0 OK queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        if (authStep) {
+          authStep = this.continueAuth(session, authStep, line, reply);
+          continue;
+        }
+
+        const [verb, ...rest] = line.split(' ');
+        const argument = rest.join(' ');
+        session.commands.push(verb.toUpperCase() === 'AUTH' ? 'AUTH' : line);
+
+        switch (verb.toUpperCase()) {
+          case 'EHLO':
+            reply(`250-${this.hostname}`);
+            reply('250-AUTH PLAIN LOGIN');
+            reply('250-8BITMIME');
+            reply('250 SIZE 10485760');
+            break;
+          case 'HELO':
+            reply(`250 ${this.hostname}`);
+            break;
+          case 'AUTH':
+            authStep = this.startAuth(session, argument, reply);
+            break;
+          case 'MAIL':
+            if (this.temporaryFailures < this.failTimes) {
+              this.temporaryFailures++;
+              reply('451 4.3.0 Temporary failure, try again later');
+              break;
+            }
+            session.from = extractAddress(argument);
+            session.to = [];
+            reply('250 2.1.0 OK');
+            break;
+          case 'RCPT': {
+            const recipient = extractAddress(argument);
+            if (this.rejectRecipients.has(recipient.toLowerCase())) {
+              reply(`550 5.1.1 <${recipient}>: Recipient address rejected: User unknown`);
+            } else {
+              session.to.push(recipient);
+              reply('250 2.1.5 OK');
+            }
+            break;
+          }
+          case 'DATA':
+            if (!session.from || session.to.length === 0) {
+              reply('503 5.5.1 Need MAIL and RCPT first');
+            } else {
+              data = [];
+              reply('354 End data with <CR><LF>.<CR><LF>');
+            }
+            break;
+          case 'RSET':
+            session.from = null;
+            session.to = [];
+            reply('250 2.0.0 OK');
+            break;
+          case 'NOOP':
+            reply('250 2.0.0 OK');
+            break;
+          case 'QUIT':
+            reply('221 2.0.0 Bye');
+            socket.end();
+            break;
+          default:
+            reply('502 5.5.2 Command not implemented');
+        }
+      }
+    });
+  }
+
+  startAuth(session, argument, reply) {
+    const [mechanism, initial] = argument.split(' ');
+    if (mechanism.toUpperCase() === 'PLAIN' && initial) {
+      const [, user] = Buffer.from(initial, 'base64').toString('utf8').split('\u0000');
+      session.auth = user;
+      reply('235 2.7.0 Authentication successful');
+      return null;
+    }
+    if (mechanism.toUpperCase() === 'LOGIN') {
+      reply(`334 ${Buffer.from('Username:').toString('base64')}`);
+      return 'login-user';
+    }
+    reply('504 5.5.4 Unrecognized authentication type');
+    return null;
+  }
+
+  continueAuth(session, step, line, reply) {
+    if (step === 'login-user') {
+      session.auth = Buffer.from(line, 'base64').toString('utf8');
+      reply(`334 ${Buffer.from('Password:').toString('base64')}`);
+      return 'login-pass';
+    }
+    reply('235 2.7.0 Authentication successful');
+    return null;
+  }
+
+  store(session, raw) {
+    const [head] = raw.split('\r\n\r\n');
+    const headers = {};
+    head.replace(/\r\n\s+/g, ' ').split('\r\n').forEach((line) => {
+      const index = line.indexOf(':');
+      if (index > 0) {
+        headers[line.slice(0, index).toLowerCase()] = line.slice(index + 1).trim();
+      }
+    });
+
+    const message = {
+      from: session.from,
+      to: [...session.to],
+      auth: session.auth,
+      subject: decodeHeader(headers.subject || ''),
+      headers,
+      raw,
+      receivedAt: new Date().toISOString()
+    };
+    this.messages.push(message);
+    logger.info(`📨 Mock SMTP received "${message.subject}" for ${message.to.join(', ')}`);
+  }
+}
+
+function extractAddress(argument) {
+  const match = /<([^>]*)>/.exec(argument);
+  return match ? match[1] : argument.replace(/^(FROM|TO):/i, '').trim();
+}
+
+function decodeHeader(value) {
+  return value.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (match, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+}
+
+/**
+ * CLI execution
+ */
+async function main() {
+  const server = new MockSmtpServer();
+  const port = readSetting('MOCK_SMTP_PORT');
+  const address = await server.start(port);
+
+  console.log('🧪 Mock SMTP server listening');
+  console.log(`   SMTP_HOST=${address.host} SMTP_PORT=${address.port}`);
+
+  process.on('SIGINT', async () => {
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main().catch((error) => {
+    console.error('❌ Mock SMTP server failed to start:', error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = MockSmtpServer;
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Auto-Moderation Evaluation
+ *
+ * Runs the moderation rules over the labelled corpus and reports accuracy,
+ * precision and recall, plus every message whose verdict differs from its
+ * label. Run it after changing moderation/rules.json to see what moved.
+ *
+ *   node moderation_eval.js [--rules file] [--corpus file] [--min-accuracy 0.95]
+ *
+ * Exits 1 when accuracy is below --min-accuracy (default 1: every sample).
+ */
+
+require('dotenv').config();
+const { ModerationEngine, evaluateCorpus, loadCorpus, DEFAULT_CORPUS_PATH } = require('./auto_moderation');
+
+function option(argv, name, fallback) {
+  const index = argv.indexOf(`--${name}`);
+  return index !== -1 && argv[index + 1] !== undefined ? argv[index + 1] : fallback;
+}
+
+function formatCase(result) {
+  const terms = result.matches
+    .map(match => `${match.term} ${match.score}${match.rules.length ? ` [${match.rules.join(', ')}]` : ''}`)
+    .join('; ');
+  return `   ${JSON.stringify(result.text)}\n     expected ${result.expected}, got ${result.verdict} ` +
+    `(score ${result.score})${terms ? `: ${terms}` : ''}${result.note ? `\n     ${result.note}` : ''}`;
+}
+
+function main(argv = process.argv.slice(2)) {
+  const engine = new ModerationEngine({ rulesFile: option(argv, 'rules', undefined) });
+  const corpusPath = option(argv, 'corpus', DEFAULT_CORPUS_PATH);
+  const minAccuracy = parseFloat(option(argv, 'min-accuracy', '1'));
+  const report = evaluateCorpus(engine, loadCorpus(corpusPath));
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+
+  console.log(`🛡️ Auto-moderation evaluation (${report.total} samples, action "${engine.action}")`);
+  console.log(`   Accuracy:  ${percent(report.accuracy)} (${report.correct}/${report.total})`);
+  console.log(`   Precision: ${percent(report.precision)} of flagged/actioned messages should have been`);
+  console.log(`   Recall:    ${percent(report.recall)} of messages that should be flagged/actioned were`);
+
+  if (report.mismatches.length > 0) {
+    console.log(`\n❌ ${report.mismatches.length} mismatch(es):`);
+    report.mismatches.forEach(result => console.log(formatCase(result)));
+  }
+
+  if (report.accuracy < minAccuracy) {
+    console.log(`\n❌ Accuracy below ${percent(minAccuracy)}`);
+    return 1;
+  }
+  console.log('\n✅ Corpus passes');
+  return 0;
+}
+
+// Execute if run directly
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = { main };
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+
+/**
+ * Offline POC Runner
+ *
+ * Starts the mock Gather.Town API in-process, points GATHER_BASE_URL at it
+ * and runs the real POCExecutor workflow against it.
+ */
+
+require('dotenv').config();
+const MockGatherServer = require('./mock_gather_server');
+
+async function main() {
+  const server = new MockGatherServer();
+  const baseUrl = await server.start();
+
+  process.env.GATHER_BASE_URL = baseUrl;
+  process.env.GATHER_API_KEY = process.env.GATHER_API_KEY || 'offline-mock-key';
+  process.env.FC_CONTACT_EMAIL = process.env.FC_CONTACT_EMAIL || 'contact@firstcontact.lgbt';
+
+  console.log(`🧪 Running POC against mock Gather.Town API at ${baseUrl}`);
+
+  // Required after the environment is prepared so the client picks up the mock URL
+  const POCExecutor = require('./poc_executor');
+  const executor = new POCExecutor();
+
+  try {
+    await executor.executePOC();
+    return 0;
+  } catch (error) {
+    return 1;
+  } finally {
+    await server.stop();
+  }
+}
+
+// Execute if run directly
+if (require.main === module) {
+  main().then(code => process.exit(code));
+}
+
+module.exports = main;
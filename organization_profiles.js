@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { parseDataFile } = require('./data_files');
+const { getStateDir } = require('./state_store');
+const { readSetting } = require('./config_schema');
+
+/**
+ * Organization Profiles
+ * Named organizations (FC itself, partner chapters) that each bring their own
+ * Gather account, branding, safety contacts, space templates and local state,
+ * so one installation can act for several of them without mixing them up.
+ *
+ * Profiles live in FC_PROFILES_FILE (default fc_profiles.json, JSON or YAML):
+ *
+ *   {
+ *     "default": "first-contact",
+ *     "profiles": {
+ *       "north-chapter": {
+ *         "apiKeyEnv": "NORTH_GATHER_API_KEY",
+ *         "organizationName": "FC North",
+ *         "contactEmail": "north@firstcontact.lgbt",
+ *         "brandColor": "#2E86AB",
+ *         "spaceTemplate": "community_event",
+ *         "templateDirs": ["./north/templates"]
+ *       }
+ *     }
+ *   }
+ *
+ * A profile never falls back to the FC_* or GATHER_API_KEY* environment
+ * variables (its keys may also come from files or its own keystore, see
+ * credentials.js); what it leaves out comes from the built-in defaults, and its
+ * support and safety contacts default to its own contactEmail.
+ */
+
+const DEFAULT_PROFILES_FILE = path.join(__dirname, 'fc_profiles.json');
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]*$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Keys a profile may set; secrets come inline, from a named environment variable or (API keys) from a file
+const PROFILE_KEYS = [
+  'apiKey', 'apiKeyEnv', 'apiKeyFile', 'secondaryApiKey', 'secondaryApiKeyEnv', 'secondaryApiKeyFile',
+  'baseUrl', 'rateLimitTier',
+  'organizationName', 'contactEmail', 'brandColor', 'logoUrl',
+  'supportEmail', 'techSupportEmail', 'safetyEmail',
+  'spaceTemplate', 'templateDirs', 'messageDirs',
+  'webhookSecret', 'webhookSecretEnv', 'smtp', 'stateDir'
+];
+
+const BRANDING_DEFAULTS = {
+  brandColor: '#FF6B35',
+  logoUrl: 'https://firstcontact.lgbt/assets/logo.png'
+};
+
+/**
+ * Read the profiles file: { filePath, defaultProfile, profiles }, or null
+ * when the file does not exist
+ */
+function loadProfiles(filePath = readSetting('FC_PROFILES_FILE')) {
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  const data = parseDataFile(fs.readFileSync(filePath, 'utf8'), filePath) || {};
+  if (!data.profiles || typeof data.profiles !== 'object') {
+    throw new ProfileError(`${filePath} has no "profiles" section`);
+  }
+  return { filePath, defaultProfile: data.default || null, profiles: data.profiles };
+}
+
+/**
+ * Names of the configured profiles, marking the default
+ */
+function listProfiles(filePath) {
+  const loaded = loadProfiles(filePath);
+  if (!loaded) {
+    return [];
+  }
+  return Object.entries(loaded.profiles).map(([name, profile]) => ({
+    name,
+    organizationName: profile.organizationName || null,
+    contactEmail: profile.contactEmail || null,
+    default: name === loaded.defaultProfile
+  }));
+}
+
+/**
+ * Resolve a profile by name (default FC_PROFILE, then the file's "default").
+ * Returns null when no profile is asked for and none is marked default, in
+ * which case the environment variables apply as before.
+ */
+function resolveProfile(name = readSetting('FC_PROFILE'), options = {}) {
+  const loaded = loadProfiles(options.filePath);
+  const wanted = name || (loaded && loaded.defaultProfile);
+
+  if (!wanted) {
+    return null;
+  }
+  if (!loaded) {
+    throw new ProfileError(`Profile "${wanted}" requested but no profiles file found ` +
+      `(${options.filePath || readSetting('FC_PROFILES_FILE')})`);
+  }
+  const raw = loaded.profiles[wanted];
+  if (!raw) {
+    throw new ProfileError(`Unknown profile "${wanted}" (available: ${Object.keys(loaded.profiles).join(', ') || 'none'})`);
+  }
+
+  return normalizeProfile(wanted, raw, path.dirname(loaded.filePath));
+}
+
+/**
+ * Check a profile and fill in defaults. Every problem is reported at once.
+ */
+function normalizeProfile(name, raw, baseDir) {
+  const errors = [];
+  if (!PROFILE_NAME.test(name)) {
+    errors.push('name may only contain letters, digits, "-" and "_"');
+  }
+  const unknown = Object.keys(raw).filter(key => !PROFILE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    errors.push(`unknown setting(s): ${unknown.join(', ')}`);
+  }
+  if (!raw.organizationName) {
+    errors.push('organizationName is required');
+  }
+  ['contactEmail', 'supportEmail', 'techSupportEmail', 'safetyEmail'].forEach((key) => {
+    if ((key === 'contactEmail' || raw[key] !== undefined) && !EMAIL.test(raw[key] || '')) {
+      errors.push(`${key} must be an email address`);
+    }
+  });
+  if (raw.brandColor !== undefined && !/^#[0-9a-f]{6}$/i.test(raw.brandColor)) {
+    errors.push('brandColor must be a hex color such as #FF6B35');
+  }
+  ['apiKey', 'secondaryApiKey'].forEach((key) => {
+    if ([raw[key], raw[`${key}Env`], raw[`${key}File`]].filter(Boolean).length > 1) {
+      errors.push(`set one of ${key}, ${key}Env and ${key}File`);
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new ProfileError(`Invalid profile "${name}": ${errors.join('; ')}`);
+  }
+
+  const resolvePath = dir => path.resolve(baseDir, dir);
+  const smtp = raw.smtp ? { ...raw.smtp } : null;
+  if (smtp && smtp.passEnv) {
+    smtp.pass = process.env[smtp.passEnv];
+    delete smtp.passEnv;
+  }
+
+  return {
+    name,
+    apiKey: raw.apiKey || (raw.apiKeyEnv ? process.env[raw.apiKeyEnv] : null) || null,
+    apiKeySource: raw.apiKey ? 'profile' : raw.apiKeyEnv ? `env:${raw.apiKeyEnv}` : null,
+    apiKeyFile: raw.apiKeyFile ? resolvePath(raw.apiKeyFile) : null,
+    secondaryApiKey: raw.secondaryApiKey || (raw.secondaryApiKeyEnv ? process.env[raw.secondaryApiKeyEnv] : null) || null,
+    secondaryApiKeySource: raw.secondaryApiKey ? 'profile' : raw.secondaryApiKeyEnv ? `env:${raw.secondaryApiKeyEnv}` : null,
+    secondaryApiKeyFile: raw.secondaryApiKeyFile ? resolvePath(raw.secondaryApiKeyFile) : null,
+    baseUrl: raw.baseUrl || null,
+    rateLimitTier: raw.rateLimitTier || null,
+    fcConfig: {
+      organizationName: raw.organizationName,
+      contactEmail: raw.contactEmail,
+      brandColor: raw.brandColor || BRANDING_DEFAULTS.brandColor,
+      logoUrl: raw.logoUrl || BRANDING_DEFAULTS.logoUrl,
+      supportEmail: raw.supportEmail || raw.contactEmail,
+      techSupportEmail: raw.techSupportEmail || raw.contactEmail,
+      safetyEmail: raw.safetyEmail || raw.contactEmail
+    },
+    spaceTemplate: raw.spaceTemplate || 'office',
+    templateDirs: (raw.templateDirs || []).map(resolvePath),
+    messageDirs: (raw.messageDirs || []).map(resolvePath),
+    webhookSecret: raw.webhookSecret || (raw.webhookSecretEnv ? process.env[raw.webhookSecretEnv] : null) || null,
+    smtp,
+    // Jobs, registry, audit log, incidents and expiry schedules stay per organization
+    stateDir: raw.stateDir ? resolvePath(raw.stateDir) : path.join(getStateDir(), 'profiles', name)
+  };
+}
+
+/**
+ * A resolved profile that is safe to print: secrets only say whether they are set
+ */
+function describeProfile(profile) {
+  const secret = value => (value ? '(set)' : '(not set)');
+  return {
+    ...profile,
+    apiKey: secret(profile.apiKey),
+    secondaryApiKey: secret(profile.secondaryApiKey),
+    webhookSecret: secret(profile.webhookSecret),
+    smtp: profile.smtp ? { ...profile.smtp, pass: secret(profile.smtp.pass) } : null
+  };
+}
+
+class ProfileError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProfileError';
+  }
+}
+
+module.exports = {
+  loadProfiles,
+  listProfiles,
+  resolveProfile,
+  describeProfile,
+  ProfileError,
+  DEFAULT_PROFILES_FILE
+};
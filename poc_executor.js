@@ -11,9 +11,16 @@
  * - Generating comprehensive implementation report
  */
 
+require('dotenv').config();
 const FCGuestManager = require('./fc_guest_manager');
+const { buildImplementationReport } = require('./implementation_report');
+const { resolveProfile } = require('./organization_profiles');
+const { loadCredentials } = require('./credentials');
+const { resolveConfig, readSetting, ConfigError } = require('./config_schema');
 const { v4: uuidv4 } = require('uuid');
-require('dotenv').config();
+const { createLogger, withCorrelationId } = require('./logger');
+
+const logger = createLogger('poc');
 
 class POCExecutor {
   constructor() {
@@ -24,15 +31,38 @@ class POCExecutor {
       success: false,
       space: null,
       fcContact: null,
+      guestResults: [],
+      steps: [],
       report: null,
       errors: []
     };
+    this.apiCalls = [];
+  }
+
+  /**
+   * Run one POC step, recording its duration and outcome for the report
+   */
+  async runStep(name, fn) {
+    const started = Date.now();
+    try {
+      const result = await fn();
+      this.results.steps.push({ name, status: 'success', durationMs: Date.now() - started, error: null });
+      return result;
+    } catch (error) {
+      this.results.steps.push({ name, status: 'failed', durationMs: Date.now() - started, error: error.message });
+      throw error;
+    }
   }
 
   /**
    * Execute complete POC workflow
    */
   async executePOC() {
+    // Every log line of this run, down to individual API calls, carries the POC ID
+    return await withCorrelationId(this.pocId, () => this.runSteps());
+  }
+
+  async runSteps() {
     console.log('🚀 Starting First Contact Gather.Town POC');
     console.log('=' .repeat(60));
     console.log(`POC ID: ${this.pocId}`);
@@ -41,23 +71,23 @@ class POCExecutor {
 
     try {
       // Step 1: Validate environment and initialize
-      await this.validateEnvironment();
+      await this.runStep('validateEnvironment', () => this.validateEnvironment());
       
       // Step 2: Initialize FC Guest Manager
-      await this.initializeManager();
+      await this.runStep('initializeManager', () => this.initializeManager());
       
       // Step 3: Create FC Remote Office
-      const space = await this.createRemoteOffice();
+      const space = await this.runStep('createRemoteOffice', () => this.createRemoteOffice());
       this.results.space = space;
       
       // Step 4: Add contact@firstcontact.lgbt as moderator
-      const fcContact = await this.addFCContact(space.id);
+      const fcContact = await this.runStep('addFCContact', () => this.addFCContact(space.id));
       this.results.fcContact = fcContact;
       
       // Step 5: Verify implementation
-      await this.verifyImplementation(space.id);
+      await this.runStep('verifyImplementation', () => this.verifyImplementation(space.id));
       
-      // Step 6: Generate comprehensive report
+      // Step 6: Generate report from the measured run
       const report = await this.generateReport();
       this.results.report = report;
       
@@ -69,6 +99,8 @@ class POCExecutor {
       
     } catch (error) {
       await this.handleError(error);
+      // A failed run still gets a report saying how far it got and why it stopped
+      this.results.report = await this.generateReport();
       throw error;
     } finally {
       await this.cleanup();
@@ -79,37 +111,66 @@ class POCExecutor {
    * Validate environment configuration
    */
   async validateEnvironment() {
-    console.log('🔍 Validating environment configuration...');
-    
-    const requiredEnvVars = [
-      'GATHER_API_KEY',
-      'FC_CONTACT_EMAIL'
-    ];
-    
-    const missing = requiredEnvVars.filter(varName => !process.env[varName]);
+    logger.info('🔍 Validating environment configuration...', { step: 'validateEnvironment' });
     
-    if (missing.length > 0) {
-      throw new Error(`Missing required environment variables: ${missing.join(', ')}`);
+    // An organization profile (FC_PROFILE) is validated when it is loaded and brings its own key and contact
+    const profile = resolveProfile();
+    // Every setting is checked against the schema, and all problems are reported together
+    const config = resolveConfig(process.env, { profile });
+    const problems = [...config.errors];
+
+    // The key may come from an env var, a key file or the keystore
+    let credentials = null;
+    try {
+      credentials = loadCredentials({ profile });
+    } catch (error) {
+      problems.push(error.message);
     }
-    
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(process.env.FC_CONTACT_EMAIL)) {
-      throw new Error('FC_CONTACT_EMAIL is not a valid email address');
+    if (credentials && !credentials.primary) {
+      problems.push(profile
+        ? `Profile "${profile.name}" has no API key (${profile.apiKeySource || 'set apiKey, apiKeyEnv or apiKeyFile'})`
+        : 'GATHER_API_KEY is required (or GATHER_API_KEY_FILE, or a key in the keystore)');
+    }
+    if (!profile && config.sources.FC_CONTACT_EMAIL === 'default') {
+      problems.push('FC_CONTACT_EMAIL is required');
+    }
+
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+    config.warnings.forEach(warning => logger.warn(`⚠️ ${warning}`));
+    if (profile) {
+      logger.info(`✅ Using organization profile "${profile.name}"`);
+    }
+    if (!credentials.secondary) {
+      logger.info('ℹ️ No secondary API key configured; a revoked primary key stops the run');
     }
     
-    console.log('✅ Environment validation passed');
+    logger.info('✅ Environment validation passed');
   }
 
   /**
    * Initialize FC Guest Manager
    */
   async initializeManager() {
-    console.log('⚙️ Initializing FC Guest Manager...');
+    logger.info('⚙️ Initializing FC Guest Manager...', { step: 'initializeManager' });
     
     try {
-      this.fcManager = new FCGuestManager(process.env.GATHER_API_KEY);
-      console.log('✅ FC Guest Manager initialized successfully');
+      // No explicit key: the active profile's key, or GATHER_API_KEY without one
+      this.fcManager = new FCGuestManager();
+      // Every response the client sees, retries included, feeds the report's API statistics
+      this.fcManager.gatherApi.addResponseInterceptor((response, request) => {
+        this.apiCalls.push({
+          method: request.method,
+          endpoint: request.endpoint,
+          status: response.status,
+          durationMs: response.durationMs,
+          requestId: request.requestId,
+          attempt: request.attempt
+        });
+        return response;
+      });
+      logger.info('✅ FC Guest Manager initialized successfully');
     } catch (error) {
       throw new Error(`Failed to initialize FC Guest Manager: ${error.message}`);
     }
@@ -119,12 +180,12 @@ class POCExecutor {
    * Create FC Remote Office space
    */
   async createRemoteOffice() {
-    console.log('🏢 Creating FC Remote Office space...');
+    logger.info('🏢 Creating FC Remote Office space...', { step: 'createRemoteOffice' });
     
     try {
       const space = await this.fcManager.createFCRemoteOffice();
       
-      console.log('✅ Remote office created successfully!');
+      logger.info('✅ Remote office created successfully!', { spaceId: space.id, spaceUrl: space.url });
       console.log(`   Space ID: ${space.id}`);
       console.log(`   Space URL: ${space.url}`);
       console.log(`   Capacity: ${space.capacity} users`);
@@ -140,20 +201,24 @@ class POCExecutor {
    * Add contact@firstcontact.lgbt as moderator
    */
   async addFCContact(spaceId) {
-    console.log('👤 Adding contact@firstcontact.lgbt as moderator...');
+    const guest = this.fcManager.fcConfig.contactEmail;
+    logger.info(`👤 Adding ${guest} as moderator...`, { step: 'addFCContact', spaceId });
     
     try {
       const result = await this.fcManager.addFCContactAsModerator(spaceId);
+      this.results.guestResults.push({ guest, status: 'invited', guestId: result?.id || null });
+      const { welcome } = this.fcManager.getSetupOutcome(spaceId);
       
-      console.log('✅ FC contact added as moderator successfully!');
-      console.log(`   Email: ${process.env.FC_CONTACT_EMAIL}`);
+      logger.info('✅ FC contact added as moderator successfully!', { spaceId });
+      console.log(`   Email: ${guest}`);
       console.log(`   Role: moderator`);
       console.log(`   Permissions: Full moderator access`);
-      console.log(`   Invitation: Sent successfully`);
+      console.log(`   Invitation: ${welcome?.status === 'sent' ? `Sent via ${welcome.channel}` : `Not delivered (${welcome?.error || 'not attempted'})`}`);
       
       return result;
       
     } catch (error) {
+      this.results.guestResults.push({ guest, error: error.message });
       throw new Error(`Failed to add FC contact: ${error.message}`);
     }
   }
@@ -162,7 +227,7 @@ class POCExecutor {
    * Verify implementation completeness
    */
   async verifyImplementation(spaceId) {
-    console.log('🔎 Verifying implementation...');
+    logger.info('🔎 Verifying implementation...', { step: 'verifyImplementation', spaceId });
     
     try {
       // Verify space exists and is accessible
@@ -172,10 +237,10 @@ class POCExecutor {
       }
       
       // Verify guest list contains FC contact
-      const guestList = await this.fcManager.gatherApi.getGuestList(spaceId);
-      const fcGuest = guestList.guests?.find(
-        guest => guest.email === process.env.FC_CONTACT_EMAIL
-      );
+      // Filtered by email and paged through, so large spaces are covered too
+      const [fcGuest] = await this.fcManager.gatherApi.listAllGuests(spaceId, {
+        email: this.fcManager.fcConfig.contactEmail
+      });
       
       if (!fcGuest) {
         throw new Error('FC contact not found in guest list');
@@ -185,7 +250,7 @@ class POCExecutor {
         throw new Error('FC contact does not have moderator role');
       }
       
-      console.log('✅ Implementation verification passed');
+      logger.info('✅ Implementation verification passed', { spaceId });
       console.log(`   Space accessible: Yes`);
       console.log(`   FC contact in guest list: Yes`);
       console.log(`   Moderator permissions: Confirmed`);
@@ -196,32 +261,45 @@ class POCExecutor {
   }
 
   /**
-   * Generate comprehensive implementation report
+   * Generate the implementation report from the measured run
+   * Works for failed runs too, including ones that never got a manager
    */
   async generateReport() {
-    console.log('📊 Generating implementation report...');
+    logger.info('📊 Generating implementation report...', { step: 'generateReport' });
+    
+    const measurements = {
+      steps: this.results.steps,
+      apiCalls: this.apiCalls,
+      startedAt: this.startTime
+    };
     
     try {
-      const report = await this.fcManager.generateImplementationReport(
-        this.results.space,
-        this.results.fcContact
-      );
+      const report = this.fcManager
+        ? await this.fcManager.generateImplementationReport(this.results.space, this.results.guestResults, measurements)
+        : buildImplementationReport({
+          fcConfig: { contactEmail: readSetting('FC_CONTACT_EMAIL') },
+          guestResults: this.results.guestResults,
+          ...measurements
+        });
       
       // Add POC-specific metadata
       report.pocExecution = {
         pocId: this.pocId,
         executionTime: Date.now() - this.startTime,
         executor: 'FC Product Management Team',
-        environment: process.env.NODE_ENV || 'development',
+        environment: readSetting('NODE_ENV'),
         apiVersion: 'v2',
         clientVersion: '1.0.0'
       };
       
-      console.log('✅ Implementation report generated');
+      logger.info('✅ Implementation report generated');
+      console.log('\n📋 Implementation Report');
+      console.log('=' .repeat(50));
+      console.log(JSON.stringify(report, null, 2));
       return report;
       
     } catch (error) {
-      console.warn('⚠️ Report generation failed:', error.message);
+      logger.warn(`⚠️ Report generation failed: ${error.message}`, { error });
       return null;
     }
   }
@@ -233,14 +311,20 @@ class POCExecutor {
     const executionTime = Date.now() - this.startTime;
     const minutes = Math.floor(executionTime / 60000);
     const seconds = Math.floor((executionTime % 60000) / 1000);
+    const { safety, welcome } = this.fcManager.getSetupOutcome(this.results.space?.id);
     
     console.log('\n🎉 POC EXECUTION SUCCESSFUL!');
     console.log('=' .repeat(60));
     console.log(`✅ Remote Office Created: ${this.results.space?.url}`);
-    console.log(`✅ FC Contact Added: ${process.env.FC_CONTACT_EMAIL}`);
+    console.log(`✅ FC Contact Added: ${this.fcManager.fcConfig.contactEmail}`);
     console.log(`✅ Moderator Permissions: Granted`);
-    console.log(`✅ Safety Features: Configured`);
-    console.log(`✅ Invitation: Sent successfully`);
+    console.log(safety?.status === 'configured'
+      ? '✅ Safety Features: Configured'
+      : `⚠️ Safety Features: Incomplete (${safety?.error || 'not attempted'})`);
+    console.log(welcome?.status === 'sent'
+      ? `✅ Invitation: Sent via ${welcome.channel}`
+      : `⚠️ Invitation: Not delivered (${welcome?.error || 'not attempted'})`);
+    this.results.report?.problems.forEach(problem => console.log(`⚠️ ${problem}`));
     console.log(`⏱️ Total Execution Time: ${minutes}m ${seconds}s`);
     console.log('=' .repeat(60));
     
@@ -267,6 +351,7 @@ class POCExecutor {
    * Handle errors gracefully
    */
   async handleError(error) {
+    logger.error(`❌ POC execution failed: ${error.message}`, { error, executionTimeMs: Date.now() - this.startTime });
     console.error('\n❌ POC EXECUTION FAILED');
     console.error('=' .repeat(60));
     console.error(`Error: ${error.message}`);
@@ -284,6 +369,7 @@ class POCExecutor {
     
     if (error.message.includes('API key')) {
       console.error('• Verify GATHER_API_KEY is set correctly in .env file');
+      console.error('• If the key was revoked, validate and promote a new one: node fc_guests.js credentials rotate');
       console.error('• Check API key permissions in Gather.Town dashboard');
     }
     
@@ -292,6 +378,10 @@ class POCExecutor {
       console.error('• Consider upgrading Gather.Town plan for higher limits');
     }
     
+    if (error.name === 'ConfigError') {
+      console.error('• Fix the settings listed above in .env; node fc_guests.js config check shows the resolved values');
+    }
+    
     if (error.message.includes('permission')) {
       console.error('• Verify API key has sufficient permissions');
       console.error('• Check account status and plan limits');
@@ -308,10 +398,15 @@ class POCExecutor {
     
     // Log final status
     const status = this.results.success ? 'SUCCESS' : 'FAILED';
-    console.log(`POC Status: ${status}`);
+    logger.info(`POC Status: ${status}`, { status, executionTimeMs: Date.now() - this.startTime });
+    
+    // API and bulk invite metrics for this run: retries, 429s, latencies
+    if (this.fcManager) {
+      this.results.metrics = this.fcManager.metrics.snapshot();
+    }
     
     // Save results to file for later analysis
-    if (process.env.NODE_ENV !== 'test') {
+    if (readSetting('NODE_ENV') !== 'test') {
       await this.saveResultsToFile();
     }
   }
@@ -327,9 +422,9 @@ class POCExecutor {
       const resultsFile = path.join(__dirname, `poc_results_${this.pocId}.json`);
       await fs.writeFile(resultsFile, JSON.stringify(this.results, null, 2));
       
-      console.log(`📄 Results saved to: ${resultsFile}`);
+      logger.info(`📄 Results saved to: ${resultsFile}`);
     } catch (error) {
-      console.warn('⚠️ Failed to save results file:', error.message);
+      logger.warn(`⚠️ Failed to save results file: ${error.message}`, { error });
     }
   }
 }
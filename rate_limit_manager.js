@@ -0,0 +1,154 @@
+const { createLogger } = require('./logger');
+const { readSetting } = require('./config_schema');
+const { RateLimitError } = require('./gather_api_errors');
+
+const logger = createLogger('gather-api');
+
+/**
+ * Rate Limit Manager
+ * Sliding-window limiter shared by all requests from one client. The selected
+ * tier's hourly budget and the per-minute burst budget are both enforced.
+ * Requests queue until a slot frees up instead of failing, unless the wait
+ * would exceed maxQueueMs.
+ */
+class RateLimitManager {
+  constructor(options = {}) {
+    this.limits = {
+      standard: { requests: 1000, window: 3600 }, // 1000/hour
+      premium: { requests: 5000, window: 3600 },  // 5000/hour
+      burst: { requests: 100, window: 60 }        // 100/minute
+    };
+    this.tier = options.tier || readSetting('GATHER_RATE_LIMIT_TIER');
+    this.maxQueueMs = options.maxQueueMs ?? 5 * 60 * 1000;
+    this.usage = new Map(); // limit name -> request timestamps, oldest first
+    this.blockedUntil = 0; // set from Retry-After / X-RateLimit-Reset
+    this.queue = Promise.resolve();
+
+    if (!this.limits[this.tier]) {
+      throw new Error(`Unknown rate limit tier: ${this.tier}`);
+    }
+  }
+
+  /**
+   * Limits enforced for a tier
+   */
+  activeLimits(tier = this.tier) {
+    return [...new Set([tier, 'burst'])];
+  }
+
+  /**
+   * Milliseconds until a request may be sent (0 when a slot is free)
+   */
+  getWaitTime(tier = this.tier, now = Date.now()) {
+    let wait = Math.max(0, this.blockedUntil - now);
+
+    for (const name of this.activeLimits(tier)) {
+      const limit = this.limits[name];
+      const windowMs = limit.window * 1000;
+      const timestamps = (this.usage.get(name) || []).filter(timestamp => timestamp > now - windowMs);
+      this.usage.set(name, timestamps);
+
+      if (timestamps.length >= limit.requests) {
+        const resetTime = timestamps[timestamps.length - limit.requests] + windowMs;
+        wait = Math.max(wait, resetTime - now);
+      }
+    }
+
+    return wait;
+  }
+
+  /**
+   * Record a request against every active limit
+   */
+  record(tier = this.tier, now = Date.now()) {
+    for (const name of this.activeLimits(tier)) {
+      if (!this.usage.has(name)) {
+        this.usage.set(name, []);
+      }
+      this.usage.get(name).push(now);
+    }
+  }
+
+  /**
+   * Non-queuing check: record the request or throw if no slot is free
+   */
+  async checkLimit(tier = this.tier) {
+    const waitTime = this.getWaitTime(tier);
+
+    if (waitTime > 0) {
+      throw new RateLimitError(`Rate limit exceeded. Reset in ${waitTime}ms`, waitTime);
+    }
+
+    this.record(tier);
+    return true;
+  }
+
+  /**
+   * Wait for a free slot, then record the request. Callers are served in order.
+   */
+  acquire(tier = this.tier) {
+    const turn = this.queue.then(() => this.waitForSlot(tier));
+    // Keep the queue alive when one caller gives up
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitForSlot(tier) {
+    let waitTime = this.getWaitTime(tier);
+
+    while (waitTime > 0) {
+      if (waitTime > this.maxQueueMs) {
+        throw new RateLimitError(`Rate limit exceeded. Reset in ${waitTime}ms`, waitTime);
+      }
+      logger.info(`⏳ Rate limit reached, queueing request for ${waitTime}ms...`, { tier, waitMs: waitTime });
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+      waitTime = this.getWaitTime(tier);
+    }
+
+    this.record(tier);
+    return true;
+  }
+
+  /**
+   * Apply Retry-After and X-RateLimit-* headers from a server response
+   */
+  updateFromHeaders(headers, now = Date.now()) {
+    if (!headers || typeof headers.get !== 'function') {
+      return;
+    }
+
+    const retryAfterMs = parseRetryAfter(headers.get('retry-after'), now);
+    if (retryAfterMs !== null) {
+      this.blockedUntil = Math.max(this.blockedUntil, now + retryAfterMs);
+    }
+
+    const remaining = headers.get('x-ratelimit-remaining');
+    const reset = Number(headers.get('x-ratelimit-reset'));
+    if (remaining !== null && Number(remaining) <= 0 && reset > 0) {
+      // Reset is a Unix timestamp in seconds
+      this.blockedUntil = Math.max(this.blockedUntil, reset * 1000);
+    }
+  }
+}
+
+/**
+ * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+module.exports = {
+  RateLimitManager,
+  parseRetryAfter
+};
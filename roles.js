@@ -0,0 +1,196 @@
+const fs = require('fs');
+const { parseDataFile } = require('./data_files');
+const { readSetting } = require('./config_schema');
+
+/**
+ * Role and Permission Model
+ * Single source of truth for the permission strings sent to Gather.Town and
+ * the named roles that bundle them
+ */
+
+const PERMISSIONS = [
+  'can_use_chat',
+  'can_share_screen',
+  'can_mute',
+  'can_remove_users',
+  'can_manage_guests',
+  'can_modify_space',
+  'can_access_analytics',
+  'can_create_breakout_rooms',
+  'can_broadcast_messages',
+  'can_manage_safety_settings'
+];
+
+const DEFAULT_ROLES = {
+  moderator: {
+    description: 'Full space management and safety controls',
+    permissions: [...PERMISSIONS]
+  },
+  facilitator: {
+    description: 'Runs sessions: breakouts, broadcasts and muting',
+    permissions: ['can_use_chat', 'can_share_screen', 'can_mute', 'can_create_breakout_rooms', 'can_broadcast_messages']
+  },
+  member: {
+    description: 'Regular community member',
+    permissions: ['can_use_chat', 'can_share_screen']
+  },
+  visitor: {
+    description: 'Temporary access for events and meetings',
+    permissions: ['can_use_chat']
+  }
+};
+
+class RoleRegistry {
+  /**
+   * config: { permissions: [...extra permission names], roles: { name: { extends, permissions, description } } }
+   */
+  constructor(config = loadRoleConfig()) {
+    this.permissions = new Set([...PERMISSIONS, ...(config.permissions || [])]);
+    this.roles = new Map(Object.entries(DEFAULT_ROLES).map(([name, role]) => [name, { name, ...role }]));
+
+    for (const [name, role] of Object.entries(config.roles || {})) {
+      this.defineRole(name, role);
+    }
+  }
+
+  /**
+   * Add or override a role, optionally extending another role's permissions
+   */
+  defineRole(name, { extends: parentName, permissions = [], description = '' }) {
+    const inherited = parentName ? this.getRole(parentName).permissions : [];
+    const combined = [...new Set([...inherited, ...permissions])];
+    this.validatePermissions(combined, `role "${name}"`);
+    this.roles.set(name, { name, description, permissions: combined });
+  }
+
+  names() {
+    return [...this.roles.keys()];
+  }
+
+  has(name) {
+    return this.roles.has(name);
+  }
+
+  getRole(name) {
+    const role = this.roles.get(name);
+    if (!role) {
+      throw new RoleValidationError(`Unknown role: ${name} (expected ${this.names().join(', ')})`);
+    }
+    return role;
+  }
+
+  /**
+   * Permission set a role grants
+   */
+  permissionsFor(name) {
+    return [...this.getRole(name).permissions];
+  }
+
+  /**
+   * Unknown permission strings (typos) in a list
+   */
+  unknownPermissions(permissions = []) {
+    return permissions.filter(permission => !this.permissions.has(permission));
+  }
+
+  /**
+   * Throw if any permission is unknown, suggesting the closest known one
+   */
+  validatePermissions(permissions = [], context = 'permissions') {
+    const unknown = this.unknownPermissions(permissions);
+    if (unknown.length > 0) {
+      const details = unknown.map((permission) => {
+        const suggestion = this.closestPermission(permission);
+        return suggestion ? `${permission} (did you mean ${suggestion}?)` : permission;
+      });
+      throw new RoleValidationError(`Unknown permission in ${context}: ${details.join(', ')}`, unknown);
+    }
+    return permissions;
+  }
+
+  /**
+   * Validate a guest config and fill in role defaults when no permissions are given
+   */
+  resolveGuest(guest) {
+    const role = guest.role || 'member';
+    this.getRole(role);
+
+    const permissions = guest.permissions && guest.permissions.length > 0
+      ? this.validatePermissions(guest.permissions, guest.email || 'guest')
+      : this.permissionsFor(role);
+
+    return { ...guest, role, permissions };
+  }
+
+  /**
+   * Compare a guest's actual permissions with what their role grants
+   */
+  effectivePermissions(guest) {
+    const actual = [...new Set(guest.permissions || [])].sort();
+    const expected = this.has(guest.role) ? this.permissionsFor(guest.role).sort() : [];
+
+    return {
+      email: guest.email,
+      role: guest.role,
+      knownRole: this.has(guest.role),
+      actual,
+      expected,
+      missing: expected.filter(permission => !actual.includes(permission)),
+      extra: actual.filter(permission => !expected.includes(permission)),
+      unknown: this.unknownPermissions(actual),
+      matchesRole: this.has(guest.role) && actual.join(',') === expected.join(',')
+    };
+  }
+
+  closestPermission(permission) {
+    let best = null;
+    let bestDistance = Infinity;
+    for (const candidate of this.permissions) {
+      const distance = editDistance(permission, candidate);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    }
+    return bestDistance <= 3 ? best : null;
+  }
+}
+
+/**
+ * Custom roles from FC_ROLES_FILE (JSON, or YAML with js-yaml)
+ */
+function loadRoleConfig(filePath = readSetting('FC_ROLES_FILE')) {
+  if (!filePath) {
+    return {};
+  }
+  return parseDataFile(fs.readFileSync(filePath, 'utf8'), filePath) || {};
+}
+
+function editDistance(a, b) {
+  const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+}
+
+class RoleValidationError extends Error {
+  constructor(message, unknown = []) {
+    super(message);
+    this.name = 'RoleValidationError';
+    this.unknown = unknown;
+  }
+}
+
+module.exports = {
+  RoleRegistry,
+  RoleValidationError,
+  PERMISSIONS,
+  DEFAULT_ROLES
+};
@@ -0,0 +1,286 @@
+const path = require('path');
+const { getStateDir, readJson, writeJsonAtomic } = require('./state_store');
+const { createLogger } = require('./logger');
+const {
+  buildIncident,
+  dueBreaches,
+  summarizeIncidents,
+  IncidentError,
+  SEVERITIES,
+  INCIDENT_STATUS,
+  CATEGORY_SEVERITY,
+  DEFAULT_SLA,
+  ESCALATE_SEVERITIES
+} = require('./incident_policy');
+
+const logger = createLogger('incidents');
+
+/**
+ * Safety Incidents
+ * Intake, triage and escalation of safety reports (report.filed webhooks,
+ * the emergency button, reports passed on by moderators). Each incident gets
+ * a severity from its category, high-severity incidents are escalated to the
+ * safety team immediately, and acknowledgement and resolution are tracked
+ * against per-severity SLAs.
+ *
+ * Anonymous reports never keep who filed them: the incident is built from
+ * an allow-list of fields and the reporter is dropped before anything is
+ * stored, logged or sent. Severities, SLAs and the incident record itself
+ * are defined in incident_policy.js.
+ */
+
+class IncidentManager {
+  constructor(options = {}) {
+    this.storePath = options.storePath || path.join(getStateDir(), 'incidents.json');
+    this.categorySeverity = { ...CATEGORY_SEVERITY, ...options.categorySeverity };
+    this.sla = { ...DEFAULT_SLA, ...options.sla };
+    this.escalateSeverities = options.escalateSeverities || ESCALATE_SEVERITIES;
+    // async (incident, reason) => void; sends the incident to the safety team
+    this.notify = options.notify || null;
+    this.timer = null;
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Record a report and escalate it when its severity calls for it
+   * report: { reportId, spaceId, category, description, anonymous,
+   *           reporterEmail, subjectGuestId, emergency, severity, source }
+   * A report already received (same reportId) is returned unchanged.
+   */
+  async intake(report) {
+    const { incident, created } = await this.exclusive(async (state) => {
+      const existing = report.reportId && state.incidents.find(candidate => candidate.reportId === report.reportId);
+      if (existing) {
+        return { incident: existing, created: false };
+      }
+
+      const incident = this.createIncident(report);
+      state.incidents.push(incident);
+      return { incident, created: true };
+    });
+
+    if (!created) {
+      logger.info(`ℹ️ Report ${report.reportId} already recorded as ${incident.id}`);
+      return incident;
+    }
+
+    logger.info(`🚨 Incident ${incident.id} (${incident.category}, ${incident.severity}) received`, {
+      incidentId: incident.id,
+      spaceId: incident.spaceId,
+      severity: incident.severity
+    });
+
+    if (this.escalateSeverities.includes(incident.severity)) {
+      return await this.escalate(incident.id, 'immediate');
+    }
+    return incident;
+  }
+
+  createIncident(report) {
+    return buildIncident(report, { categorySeverity: this.categorySeverity, sla: this.sla });
+  }
+
+  /**
+   * Send an incident to the safety team; failures are kept on the timeline
+   * and retried by checkSlas()
+   */
+  async escalate(id, reason = 'manual') {
+    const incident = await this.get(id);
+    let error = null;
+
+    try {
+      if (!this.notify) {
+        throw new Error('No safety team notifier configured');
+      }
+      await this.notify(incident, reason);
+      logger.warn(`📣 Incident ${id} (${incident.severity}) escalated to the safety team: ${reason}`, { incidentId: id });
+    } catch (notifyError) {
+      error = notifyError;
+      logger.error(`❌ Escalation of incident ${id} failed: ${notifyError.message}`, { incidentId: id, error: notifyError });
+    }
+
+    return await this.update(id, (current) => {
+      if (!error) {
+        current.escalatedAt = current.escalatedAt || new Date().toISOString();
+      }
+      current.timeline.push({
+        at: new Date().toISOString(),
+        type: error ? 'escalation_failed' : 'escalated',
+        by: 'system',
+        text: error ? error.message : reason
+      });
+    });
+  }
+
+  /**
+   * A moderator has picked the incident up
+   */
+  acknowledge(id, moderator) {
+    return this.update(id, (incident) => {
+      if (incident.status !== INCIDENT_STATUS.OPEN) {
+        throw new IncidentError(`Incident ${id} is already ${incident.status}`);
+      }
+      const now = new Date().toISOString();
+      Object.assign(incident, { status: INCIDENT_STATUS.ACKNOWLEDGED, acknowledgedAt: now, acknowledgedBy: moderator });
+      incident.timeline.push({ at: now, type: 'acknowledged', by: moderator });
+      logger.info(`👀 Incident ${id} acknowledged`, { incidentId: id });
+    });
+  }
+
+  /**
+   * Add a moderator note to the timeline
+   */
+  addNote(id, author, text) {
+    if (!text || !String(text).trim()) {
+      throw new IncidentError('A note needs text');
+    }
+    return this.update(id, (incident) => {
+      incident.timeline.push({ at: new Date().toISOString(), type: 'note', by: author, text: String(text) });
+    });
+  }
+
+  /**
+   * Close the incident; acknowledges it first if nobody has
+   */
+  resolve(id, moderator, resolution) {
+    if (!resolution || !String(resolution).trim()) {
+      throw new IncidentError('A resolution summary is required');
+    }
+    return this.update(id, (incident) => {
+      if (incident.status === INCIDENT_STATUS.RESOLVED) {
+        throw new IncidentError(`Incident ${id} is already resolved`);
+      }
+      const now = new Date().toISOString();
+      if (!incident.acknowledgedAt) {
+        Object.assign(incident, { acknowledgedAt: now, acknowledgedBy: moderator });
+      }
+      Object.assign(incident, {
+        status: INCIDENT_STATUS.RESOLVED,
+        resolvedAt: now,
+        resolvedBy: moderator,
+        resolution: String(resolution)
+      });
+      incident.timeline.push({ at: now, type: 'resolved', by: moderator, text: incident.resolution });
+      logger.info(`✅ Incident ${id} resolved`, { incidentId: id });
+    });
+  }
+
+  async get(id) {
+    const state = await this.load();
+    const incident = state.incidents.find(candidate => candidate.id === id);
+    if (!incident) {
+      throw new IncidentError(`Incident not found: ${id}`);
+    }
+    return incident;
+  }
+
+  /**
+   * Incidents, newest first, filtered by { status, severity, spaceId, breached }
+   */
+  async list(filter = {}) {
+    const state = await this.load();
+    return state.incidents
+      .filter(incident => !filter.status || incident.status === filter.status)
+      .filter(incident => !filter.severity || incident.severity === filter.severity)
+      .filter(incident => !filter.spaceId || incident.spaceId === filter.spaceId)
+      .filter(incident => !filter.breached || incident.slaBreaches.length > 0)
+      .reverse();
+  }
+
+  /**
+   * Record missed acknowledgement/resolution deadlines, re-escalate them and
+   * retry escalations that failed. Resolves with { breached, escalated }.
+   */
+  async checkSlas(now = Date.now()) {
+    const pending = [];
+
+    await this.exclusive(async (state) => {
+      for (const incident of state.incidents.filter(candidate => candidate.status !== INCIDENT_STATUS.RESOLVED)) {
+        for (const breach of dueBreaches(incident, now)) {
+          incident.slaBreaches.push({ type: breach, at: new Date(now).toISOString() });
+          incident.timeline.push({ at: new Date(now).toISOString(), type: 'sla_breach', by: 'system', text: breach });
+          logger.warn(`⏰ Incident ${incident.id} (${incident.severity}) missed its ${breach} deadline`, { incidentId: incident.id });
+          pending.push({ id: incident.id, reason: `${breach} SLA missed` });
+        }
+        if (!incident.escalatedAt && this.escalateSeverities.includes(incident.severity) &&
+          !pending.some(item => item.id === incident.id)) {
+          pending.push({ id: incident.id, reason: 'retrying failed escalation' });
+        }
+      }
+    });
+
+    for (const item of pending) {
+      await this.escalate(item.id, item.reason);
+    }
+    return {
+      breached: pending.filter(item => item.reason.endsWith('SLA missed')).length,
+      escalated: pending.length
+    };
+  }
+
+  /**
+   * Counts by status and severity plus SLA performance for resolved and
+   * acknowledged incidents
+   */
+  async summary() {
+    return summarizeIncidents(await this.list());
+  }
+
+  /**
+   * Run checkSlas() now and then every intervalMs
+   */
+  start(intervalMs = 60 * 1000) {
+    this.stop();
+    const run = () => this.checkSlas().catch(error => logger.error(`❌ Incident SLA check failed: ${error.message}`, { error }));
+    run();
+    this.timer = setInterval(run, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  update(id, change) {
+    return this.exclusive(async (state) => {
+      const incident = state.incidents.find(candidate => candidate.id === id);
+      if (!incident) {
+        throw new IncidentError(`Incident not found: ${id}`);
+      }
+      change(incident);
+      return incident;
+    });
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the incident store; nothing is
+   * written when the task throws
+   */
+  exclusive(task) {
+    const run = this.lock.then(async () => {
+      const state = await this.load();
+      const result = await task(state);
+      await writeJsonAtomic(this.storePath, state);
+      return result;
+    });
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    const state = await readJson(this.storePath, {});
+    return { incidents: state.incidents || [] };
+  }
+}
+
+module.exports = {
+  IncidentManager,
+  IncidentError,
+  SEVERITIES,
+  INCIDENT_STATUS,
+  CATEGORY_SEVERITY,
+  DEFAULT_SLA
+};
@@ -0,0 +1,256 @@
+const { WebhookReceiver, EVENT_TYPES } = require('./webhook_receiver');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('safety');
+
+/**
+ * Safety Service
+ * Everything that keeps a space safe once it exists: the platform safety
+ * settings and community guidelines, space events from Gather.Town webhooks,
+ * safety incidents (safety_incidents.js) and their escalation to the safety
+ * team, and local auto-moderation of chat messages (auto_moderation.js).
+ */
+
+class SafetyService {
+  constructor({ gatherApi, incidents, moderation, messenger, fcConfig, webhookSecret = null }) {
+    this.gatherApi = gatherApi;
+    this.incidents = incidents;
+    this.moderation = moderation;
+    this.messenger = messenger;
+    this.fcConfig = fcConfig;
+    this.webhookSecret = webhookSecret;
+    this.webhookReceiver = null;
+    this.reportSubscription = null;
+  }
+
+  /**
+   * Apply the safety settings to a space. Resolves with the outcome for the
+   * implementation report: { status: 'configured' | 'warning', error, settings }
+   */
+  async configureSpace(spaceId) {
+    logger.info('🛡️ Configuring safety and community features...');
+
+    const safetyConfig = {
+      safetySettings: {
+        moderationLevel: "strict",
+        requireModeratorApproval: false,
+        emergencyContactEmail: this.fcConfig.safetyEmail,
+        autoModeration: {
+          enabled: true,
+          keywords: ["hate", "harassment", "discrimination", "violence"],
+          action: this.moderation.action
+        },
+        communityGuidelines: {
+          displayOnEntry: true,
+          requireAcknowledgment: true,
+          content: this.getCommunityGuidelines()
+        },
+        reportingSystem: {
+          anonymousReporting: true,
+          emergencyButton: true,
+          categories: [
+            "harassment",
+            "discrimination",
+            "inappropriate_behavior",
+            "technical_issue",
+            "other"
+          ],
+          autoEscalation: {
+            highSeverity: true,
+            notifyEmail: this.fcConfig.safetyEmail,
+            responseTime: "immediate"
+          }
+        },
+        accessControls: {
+          guestAccess: "invited_only",
+          recordingSetting: "disabled",
+          dataRetention: "minimal",
+          privacyMode: "enhanced"
+        }
+      }
+    };
+
+    const { safetySettings } = safetyConfig;
+    const settings = {
+      moderationLevel: safetySettings.moderationLevel,
+      anonymousReporting: safetySettings.reportingSystem.anonymousReporting,
+      emergencyButton: safetySettings.reportingSystem.emergencyButton,
+      autoModerationAction: safetySettings.autoModeration.action,
+      communityGuidelines: safetySettings.communityGuidelines.displayOnEntry
+    };
+
+    try {
+      await this.gatherApi.updateSpace(spaceId, safetyConfig);
+      logger.info('✅ Safety features configured successfully');
+      return { status: 'configured', error: null, settings };
+    } catch (error) {
+      logger.warn(`⚠️ Some safety features may not be available: ${error.message}`, { spaceId, error });
+      return { status: 'warning', error: error.message, settings };
+    }
+  }
+
+  /**
+   * Community guidelines shown on entry, rendered from the community_guidelines
+   * message template with the active profile's name and contacts (a profile's
+   * messageDirs can replace the wording)
+   */
+  getCommunityGuidelines(locale) {
+    return this.messenger.renderMessage('community_guidelines', { locale }).text;
+  }
+
+  /**
+   * Subscribe to space events ('guest.joined', 'report.filed', ... or '*')
+   * Returns an unsubscribe function
+   */
+  onSpaceEvent(type, handler) {
+    return this.getWebhookReceiver().on(type, handler);
+  }
+
+  /**
+   * Lazily create the webhook receiver shared by all subscriptions
+   */
+  getWebhookReceiver(options = {}) {
+    if (!this.webhookReceiver) {
+      this.webhookReceiver = new WebhookReceiver({ secret: this.webhookSecret || undefined, ...options });
+    }
+    return this.webhookReceiver;
+  }
+
+  /**
+   * Start the webhook listener and register it with Gather.Town for a space
+   * Filed reports become safety incidents
+   */
+  async startSpaceEventListener(spaceId, options = {}) {
+    const receiver = this.getWebhookReceiver(options);
+    if (!this.reportSubscription) {
+      this.reportSubscription = receiver.on(EVENT_TYPES.REPORT_FILED, event => this.handleReportFiled(event));
+    }
+    const localUrl = await receiver.listen(options.port, options.host);
+
+    const webhook = await this.gatherApi.createWebhook({
+      spaceId,
+      url: options.publicUrl || localUrl,
+      events: options.events || Object.values(EVENT_TYPES),
+      secret: receiver.secret
+    });
+
+    logger.info(`✅ Space events for ${spaceId} delivered to ${webhook.url || localUrl}`);
+    return webhook;
+  }
+
+  /**
+   * Stop the webhook listener if it is running
+   */
+  async stopSpaceEventListener() {
+    if (this.webhookReceiver) {
+      await this.webhookReceiver.close();
+    }
+  }
+
+  /**
+   * Turn a report.filed event into a safety incident
+   */
+  async handleReportFiled(event) {
+    return await this.incidents.intake({
+      reportId: event.reportId,
+      spaceId: event.spaceId,
+      category: event.category,
+      description: event.description,
+      anonymous: event.anonymous,
+      reporterEmail: event.reporterEmail,
+      subjectGuestId: event.subjectGuestId,
+      emergency: event.emergency,
+      source: 'webhook'
+    });
+  }
+
+  /**
+   * Email an incident to the safety team (FC_SAFETY_EMAIL)
+   */
+  async notifySafetyTeam(incident, reason) {
+    const message = this.messenger.renderMessage('incident_escalation', { role: 'moderator' }, {
+      incidentId: incident.id,
+      category: incident.category.replace(/_/g, ' '),
+      severity: incident.severity,
+      emergency: incident.emergency,
+      description: incident.description,
+      reason,
+      spaceId: incident.spaceId,
+      spaceUrl: incident.spaceId ? await this.messenger.getSpaceUrl(incident.spaceId) : null,
+      receivedAt: incident.receivedAt,
+      acknowledgeBy: incident.acknowledgeBy,
+      reporterEmail: incident.reporterEmail
+    });
+
+    const delivery = await this.messenger.deliverInvitation({
+      spaceId: incident.spaceId,
+      recipients: [this.fcConfig.safetyEmail],
+      template: 'custom',
+      subject: message.subject,
+      message: message.text,
+      htmlMessage: message.html,
+      includeCalendarEvent: false
+    });
+    return delivery.result;
+  }
+
+  /**
+   * Check a chat message with the local auto-moderation engine and carry out
+   * the configured action: mute or remove the sender and file a safety
+   * incident. Flagged messages become low-severity incidents for review.
+   */
+  async moderateMessage({ spaceId, guestId, text }) {
+    const result = this.moderation.evaluate(text);
+    const outcome = { ...result, muted: false, removed: false, incidentId: null };
+    if (result.verdict === 'allow') {
+      return outcome;
+    }
+
+    try {
+      if (result.steps.includes('mute') && guestId) {
+        await this.gatherApi.updateGuest(spaceId, guestId, { muted: true });
+        outcome.muted = true;
+      }
+      if (result.steps.includes('remove') && guestId) {
+        await this.gatherApi.removeGuest(spaceId, guestId);
+        outcome.removed = true;
+      }
+    } catch (error) {
+      logger.error(`❌ Auto-moderation could not ${result.verdict} guest ${guestId}: ${error.message}`, { spaceId, error });
+    }
+
+    if (result.steps.includes('report') || result.steps.includes('review')) {
+      const incident = await this.incidents.intake({
+        spaceId,
+        category: result.category || 'inappropriate_behavior',
+        severity: result.verdict === 'flag' ? 'low' : undefined,
+        description: `Auto-moderation ${result.verdict} (score ${result.score}, matched ` +
+          `${result.matches.filter(match => match.score > 0).map(match => match.term).join(', ')}): ` +
+          `"${String(text).slice(0, 500)}"`,
+        subjectGuestId: guestId || null,
+        source: 'auto-moderation'
+      });
+      outcome.incidentId = incident.id;
+    }
+
+    logger.info(`🛡️ Auto-moderation ${result.verdict} for guest ${guestId || 'unknown'} (score ${result.score})`, {
+      spaceId,
+      guestId,
+      verdict: result.verdict
+    });
+    return outcome;
+  }
+
+  /**
+   * Check incident SLAs now and then every intervalMs (default one minute)
+   */
+  startIncidentMonitor(intervalMs) {
+    this.incidents.start(intervalMs);
+  }
+
+  stopIncidentMonitor() {
+    this.incidents.stop();
+  }
+}
+
+module.exports = { SafetyService };
@@ -0,0 +1,171 @@
+const os = require('os');
+const crypto = require('crypto');
+const { resolveConfig } = require('./config_schema');
+const { SmtpConnection, SmtpError } = require('./smtp_connection');
+
+/**
+ * Minimal SMTP Client
+ * Sends multipart (text + HTML) mail over SMTP with STARTTLS or implicit TLS
+ * and AUTH PLAIN/LOGIN. Rejected recipients are reported rather than thrown
+ * so callers can track bounces per address. Credentials are never sent over
+ * a plaintext connection unless requireTls is off.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30 * 1000;
+
+class SmtpClient {
+  constructor(options = {}) {
+    const { values, sources } = resolveConfig();
+    this.host = options.host || values.SMTP_HOST;
+    this.port = options.port || values.SMTP_PORT;
+    this.user = options.user ?? values.SMTP_USER;
+    this.pass = options.pass ?? values.SMTP_PASS;
+    this.from = options.from || values.SMTP_FROM || this.user;
+    // Port 465 speaks TLS from the first byte; others upgrade with STARTTLS when offered
+    this.secure = options.secure ?? (sources.SMTP_SECURE === 'env' ? values.SMTP_SECURE : this.port === 465);
+    // Credentials only ever travel over TLS unless this is turned off (SMTP_REQUIRE_TLS=false)
+    this.requireTls = options.requireTls ?? values.SMTP_REQUIRE_TLS;
+    this.tlsOptions = options.tlsOptions || {};
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.clientName = options.clientName || os.hostname();
+
+    if (!this.host) {
+      throw new Error('SMTP host is required (SMTP_HOST)');
+    }
+  }
+
+  /**
+   * Send one message
+   * Resolves with { messageId, accepted, rejected: [{ email, code, message }] }
+   * Throws SmtpError when nothing could be delivered
+   */
+  async sendMail({ to, subject, text, html, from = this.from, headers = {} }) {
+    const recipients = [].concat(to).filter(Boolean);
+    if (recipients.length === 0) {
+      throw new SmtpError('No recipients');
+    }
+    if (!from) {
+      throw new SmtpError('A sender address is required (SMTP_FROM or SMTP_USER)');
+    }
+
+    const connection = await SmtpConnection.open(this);
+    try {
+      await connection.expect([220]);
+      let capabilities = await connection.ehlo(this.clientName);
+
+      if (!this.secure && capabilities.has('STARTTLS')) {
+        await connection.command('STARTTLS', [220]);
+        await connection.upgrade(this.host, this.tlsOptions);
+        capabilities = await connection.ehlo(this.clientName);
+      } else if (!this.secure && this.requireTls && this.user && this.pass) {
+        throw plaintextAuthError(this.host);
+      }
+
+      if (this.user && this.pass) {
+        await connection.authenticate(this.user, this.pass, capabilities);
+      }
+
+      await connection.command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+
+      const accepted = [];
+      const rejected = [];
+      for (const recipient of recipients) {
+        const reply = await connection.command(`RCPT TO:<${addressOf(recipient)}>`);
+        if (reply.code === 250 || reply.code === 251) {
+          accepted.push(recipient);
+        } else if (reply.code >= 500) {
+          rejected.push({ email: recipient, code: reply.code, message: reply.message });
+        } else {
+          throw new SmtpError(`RCPT TO ${recipient} failed: ${reply.message}`, reply.code);
+        }
+      }
+
+      if (accepted.length === 0) {
+        await connection.command('RSET').catch(() => {});
+        const error = new SmtpError(`All recipients rejected: ${rejected.map(item => item.email).join(', ')}`, rejected[0].code);
+        error.rejected = rejected;
+        throw error;
+      }
+
+      const messageId = `<${crypto.randomUUID()}@${domainOf(from)}>`;
+      await connection.command('DATA', [354]);
+      const reply = await connection.command(
+        `${dotStuff(buildMessage({ from, to: accepted, subject, text, html, messageId, headers }))}\r\n.`,
+        [250]
+      );
+
+      await connection.command('QUIT').catch(() => {});
+      return { messageId, accepted, rejected, response: reply.message };
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+/**
+ * Build a MIME message with text and (optional) HTML alternatives
+ */
+function buildMessage({ from, to, subject = '', text = '', html, messageId, headers }) {
+  const lines = [
+    `From: ${from}`,
+    `To: ${to.join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(String(value))}`)
+  ];
+
+  if (!html) {
+    return [...lines, ...bodyPart('text/plain', text)].join('\r\n');
+  }
+
+  const boundary = `fc_${crypto.randomBytes(12).toString('hex')}`;
+  return [
+    ...lines,
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    ...bodyPart('text/plain', text),
+    `--${boundary}`,
+    ...bodyPart('text/html', html),
+    `--${boundary}--`
+  ].join('\r\n');
+}
+
+function bodyPart(type, content) {
+  const encoded = Buffer.from(content, 'utf8').toString('base64').match(/.{1,76}/g) || [];
+  return [`Content-Type: ${type}; charset=utf-8`, 'Content-Transfer-Encoding: base64', '', ...encoded, ''];
+}
+
+/**
+ * RFC 2047 encode headers that are not plain ASCII
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function dotStuff(message) {
+  return message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+}
+
+function addressOf(value) {
+  const match = /<([^>]+)>/.exec(value);
+  return (match ? match[1] : value).trim();
+}
+
+function plaintextAuthError(host) {
+  const error = new SmtpError(`${host} does not offer STARTTLS; refusing to send SMTP credentials unencrypted ` +
+    '(use SMTP_SECURE=true for port 465, or SMTP_REQUIRE_TLS=false for a trusted local relay)');
+  error.permanent = true; // retrying will not make the server offer TLS
+  return error;
+}
+
+function domainOf(value) {
+  return addressOf(value).split('@')[1] || 'localhost';
+}
+
+module.exports = {
+  SmtpClient,
+  SmtpError
+};
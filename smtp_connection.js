@@ -0,0 +1,187 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * One SMTP session for SmtpClient: reads multi-line replies and sends
+ * commands, including STARTTLS and AUTH PLAIN/LOGIN
+ */
+class SmtpConnection {
+  static open(client) {
+    return new Promise((resolve, reject) => {
+      const options = { host: client.host, port: client.port };
+      const socket = client.secure
+        ? tls.connect({ ...options, servername: client.host, ...client.tlsOptions })
+        : net.connect(options);
+
+      const onError = (error) => reject(new SmtpError(`Cannot connect to ${client.host}:${client.port}: ${error.message}`));
+      socket.once('error', onError);
+      socket.once(client.secure ? 'secureConnect' : 'connect', () => {
+        socket.removeListener('error', onError);
+        resolve(new SmtpConnection(socket, client.timeoutMs));
+      });
+      socket.setTimeout(client.timeoutMs, () => socket.destroy(new Error('timed out')));
+    });
+  }
+
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = '';
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.failure = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP server timed out')));
+    socket.on('data', chunk => this.receive(chunk));
+    socket.on('error', error => this.fail(new SmtpError(error.message)));
+    socket.on('close', () => this.fail(new SmtpError('Connection closed by SMTP server')));
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line.charAt(3) !== '-') {
+        const reply = {
+          code: parseInt(line.slice(0, 3), 10),
+          message: this.lines.map(item => item.slice(4)).join('\n'),
+          lines: this.lines.map(item => item.slice(4))
+        };
+        this.lines = [];
+        this.deliver(reply);
+      }
+    }
+  }
+
+  deliver(reply) {
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve(reply);
+    } else {
+      this.replies.push(reply);
+    }
+  }
+
+  fail(error) {
+    this.failure = this.failure || error;
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      reject(this.failure);
+    }
+  }
+
+  read() {
+    if (this.replies.length > 0) {
+      return Promise.resolve(this.replies.shift());
+    }
+    if (this.failure) {
+      return Promise.reject(this.failure);
+    }
+    return new Promise((resolve, reject) => { this.waiting = { resolve, reject }; });
+  }
+
+  /**
+   * Read the next reply and check its code
+   */
+  async expect(codes) {
+    const reply = await this.read();
+    if (codes && !codes.includes(reply.code)) {
+      throw new SmtpError(reply.message, reply.code);
+    }
+    return reply;
+  }
+
+  /**
+   * Send a command and read its reply; throws if the code is not expected
+   */
+  command(line, codes) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(codes);
+  }
+
+  /**
+   * EHLO, falling back to HELO; resolves with the advertised capabilities
+   * (AUTH mechanisms are added as "AUTH=PLAIN", "AUTH=LOGIN", ...)
+   */
+  async ehlo(name) {
+    let reply = await this.command(`EHLO ${name}`);
+    if (reply.code !== 250) {
+      reply = await this.command(`HELO ${name}`, [250]);
+    }
+
+    const capabilities = new Set();
+    reply.lines.slice(1).forEach((line) => {
+      const [keyword, ...params] = line.toUpperCase().split(/\s+/);
+      capabilities.add(keyword);
+      if (keyword === 'AUTH') {
+        params.forEach(mechanism => capabilities.add(`AUTH=${mechanism}`));
+      }
+    });
+    return capabilities;
+  }
+
+  /**
+   * Swap the socket for a TLS socket after STARTTLS
+   */
+  upgrade(host, tlsOptions) {
+    return new Promise((resolve, reject) => {
+      this.socket.setTimeout(0);
+      this.socket.removeAllListeners('data');
+      this.socket.removeAllListeners('close');
+      this.socket.removeAllListeners('error');
+      const secure = tls.connect({ socket: this.socket, servername: host, ...tlsOptions });
+      secure.once('secureConnect', () => {
+        this.attach(secure);
+        resolve();
+      });
+      secure.once('error', error => reject(new SmtpError(`STARTTLS failed: ${error.message}`)));
+    });
+  }
+
+  async authenticate(user, pass, capabilities) {
+    if (capabilities.has('AUTH=PLAIN') || !capabilities.has('AUTH=LOGIN')) {
+      const token = Buffer.from(`\u0000${user}\u0000${pass}`).toString('base64');
+      await this.command(`AUTH PLAIN ${token}`, [235]);
+      return;
+    }
+    await this.command('AUTH LOGIN', [334]);
+    await this.command(Buffer.from(user).toString('base64'), [334]);
+    await this.command(Buffer.from(pass).toString('base64'), [235]);
+  }
+
+  close() {
+    this.socket.removeAllListeners('close');
+    this.socket.end();
+    this.socket.destroy();
+  }
+}
+
+/**
+ * SMTP failure; permanent for 5xx replies, which will not succeed on retry
+ */
+class SmtpError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'SmtpError';
+    this.code = code;
+    this.permanent = code !== null && code >= 500;
+    this.rejected = [];
+  }
+}
+
+module.exports = {
+  SmtpConnection,
+  SmtpError
+};
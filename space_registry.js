@@ -0,0 +1,141 @@
+const path = require('path');
+const { getStateDir, readJson, writeJsonAtomic } = require('./state_store');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('space-registry');
+
+/**
+ * Space Registry
+ * The spaces FC manages (the office, chapter spaces, event spaces), persisted
+ * under FC_STATE_DIR so later runs and cross-space operations know about them.
+ * Each space carries free-form labels such as "office", "chapter" or
+ * "pride-2025"; selecting by labels picks the spaces that have all of them.
+ */
+
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9._-]*$/;
+
+class SpaceRegistry {
+  constructor(options = {}) {
+    this.storePath = options.storePath || path.join(getStateDir(), 'spaces.json');
+    this.lock = Promise.resolve();
+  }
+
+  /**
+   * Add a space, or update the name, URL and labels of one already registered
+   * space: { id, name, url }
+   */
+  async register(space, labels = []) {
+    const normalized = normalizeLabels(labels);
+    return await this.exclusive(async (state) => {
+      const now = new Date().toISOString();
+      const existing = state.spaces.find(entry => entry.id === space.id);
+      if (existing) {
+        existing.name = space.name || existing.name;
+        existing.url = space.url || existing.url;
+        existing.labels = [...new Set([...existing.labels, ...normalized])];
+        existing.updatedAt = now;
+        return existing;
+      }
+
+      const entry = {
+        id: space.id,
+        name: space.name || null,
+        url: space.url || null,
+        labels: normalized,
+        registeredAt: now,
+        updatedAt: now
+      };
+      state.spaces.push(entry);
+      logger.info(`🗂️ Registered space ${space.id}${normalized.length ? ` [${normalized.join(', ')}]` : ''}`, { spaceId: space.id });
+      return entry;
+    });
+  }
+
+  /**
+   * Forget a space; the space itself is left untouched. Resolves with whether it was registered.
+   */
+  async unregister(spaceId) {
+    return await this.exclusive(async (state) => {
+      const before = state.spaces.length;
+      state.spaces = state.spaces.filter(entry => entry.id !== spaceId);
+      return state.spaces.length < before;
+    });
+  }
+
+  /**
+   * Add and remove labels on a registered space
+   */
+  async label(spaceId, { add = [], remove = [] } = {}) {
+    const added = normalizeLabels(add);
+    const removed = new Set(normalizeLabels(remove));
+    return await this.exclusive(async (state) => {
+      const entry = state.spaces.find(candidate => candidate.id === spaceId);
+      if (!entry) {
+        throw new SpaceRegistryError(`Space not registered: ${spaceId}`);
+      }
+      entry.labels = [...new Set([...entry.labels, ...added])].filter(label => !removed.has(label));
+      entry.updatedAt = new Date().toISOString();
+      return entry;
+    });
+  }
+
+  async get(spaceId) {
+    const { spaces } = await this.load();
+    return spaces.find(entry => entry.id === spaceId) || null;
+  }
+
+  /**
+   * Registered spaces that carry every label given (all spaces for none)
+   */
+  async list({ labels = [] } = {}) {
+    const wanted = normalizeLabels(labels);
+    const { spaces } = await this.load();
+    return spaces.filter(entry => wanted.every(label => entry.labels.includes(label)));
+  }
+
+  /**
+   * Serialize read-modify-write cycles on the registry; nothing is written
+   * when the task throws
+   */
+  exclusive(task) {
+    const run = this.lock.then(async () => {
+      const state = await this.load();
+      const result = await task(state);
+      await writeJsonAtomic(this.storePath, state);
+      return result;
+    });
+    this.lock = run.catch(() => {});
+    return run;
+  }
+
+  async load() {
+    const state = await readJson(this.storePath, {});
+    return { spaces: state.spaces || [] };
+  }
+}
+
+/**
+ * Lower-case, de-duplicate and check labels ("Chapter, west" or ['chapter', 'west'])
+ */
+function normalizeLabels(labels) {
+  const list = typeof labels === 'string' ? labels.split(',') : labels || [];
+  const normalized = [...new Set(list.map(label => String(label).trim().toLowerCase()).filter(Boolean))];
+  const invalid = normalized.filter(label => !LABEL_PATTERN.test(label));
+  if (invalid.length > 0) {
+    throw new SpaceRegistryError(`Invalid label(s): ${invalid.join(', ')} (use letters, digits, ".", "_" and "-")`);
+  }
+  return normalized;
+}
+
+class SpaceRegistryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpaceRegistryError';
+  }
+}
+
+module.exports = {
+  SpaceRegistry,
+  SpaceRegistryError,
+  normalizeLabels
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const { loadDataFile, YAML_EXTENSIONS } = require('./data_files');
+const { readSetting } = require('./config_schema');
+
+/**
+ * Space Template Loader
+ * Builds space configurations from JSON/YAML template files with
+ * inheritance ("extends"), ${variable} substitution and schema validation
+ */
+
+const DEFAULT_TEMPLATE_DIR = path.join(__dirname, 'templates', 'spaces');
+const SCHEMA_PATH = path.join(__dirname, 'templates', 'space_template.schema.json');
+const TEMPLATE_EXTENSIONS = ['.json', ...YAML_EXTENSIONS];
+const VARIABLE_PATTERN = /\$\{(\w+)\}/g;
+
+class SpaceTemplateLoader {
+  constructor(options = {}) {
+    const templateDir = readSetting('FC_TEMPLATE_DIR');
+    const extraDirs = templateDir ? [templateDir] : [];
+    // Earlier directories win, so custom templates can shadow the built-in ones
+    this.directories = options.directories || [...extraDirs, DEFAULT_TEMPLATE_DIR];
+    this.schema = options.schema || JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+  }
+
+  /**
+   * Names of all templates available in the template directories
+   */
+  list() {
+    const names = new Set();
+    for (const directory of this.directories) {
+      if (!fs.existsSync(directory)) continue;
+      fs.readdirSync(directory)
+        .filter(file => TEMPLATE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .forEach(file => names.add(path.basename(file, path.extname(file))));
+    }
+    return [...names].sort();
+  }
+
+  /**
+   * Locate a template file by name (or accept a direct file path)
+   */
+  resolve(name) {
+    if (TEMPLATE_EXTENSIONS.includes(path.extname(name).toLowerCase()) && fs.existsSync(name)) {
+      return name;
+    }
+
+    for (const directory of this.directories) {
+      for (const extension of TEMPLATE_EXTENSIONS) {
+        const candidate = path.join(directory, `${name}${extension}`);
+        if (fs.existsSync(candidate)) {
+          return candidate;
+        }
+      }
+    }
+
+    throw new TemplateError(`Space template not found: ${name} (available: ${this.list().join(', ')})`);
+  }
+
+  /**
+   * Load a template and merge it over its parents
+   */
+  async loadRaw(name, chain = []) {
+    if (chain.includes(name)) {
+      throw new TemplateError(`Circular template inheritance: ${[...chain, name].join(' -> ')}`);
+    }
+
+    const template = await loadDataFile(this.resolve(name));
+    if (!template || typeof template !== 'object' || !template.space) {
+      throw new TemplateError(`Space template ${name} must define a "space" object`);
+    }
+
+    if (!template.extends) {
+      return { variables: template.variables || {}, space: template.space };
+    }
+
+    const parent = await this.loadRaw(template.extends, [...chain, name]);
+    return {
+      variables: { ...parent.variables, ...template.variables },
+      space: deepMerge(parent.space, template.space)
+    };
+  }
+
+  /**
+   * Build a validated space configuration from a template
+   * Variable precedence: template defaults < context (branding, env) < overrides
+   */
+  async build(name, context = {}, overrides = {}) {
+    const template = await this.loadRaw(name);
+    const base = { ...context, ...overrides };
+
+    // Template variable defaults may reference branding, e.g. "${organizationName} Workshop"
+    const defaults = substitute(template.variables, base, `${name}.variables`);
+    const variables = { ...defaults, ...withoutUndefined(context), ...withoutUndefined(overrides) };
+
+    const spaceConfig = substitute(template.space, variables, name);
+    const errors = validateSchema(spaceConfig, this.schema);
+
+    if (errors.length > 0) {
+      throw new TemplateError(`Space template ${name} is invalid:\n  ${errors.join('\n  ')}`, errors);
+    }
+
+    return spaceConfig;
+  }
+}
+
+/**
+ * Recursively replace ${variable} placeholders. A string that is exactly one
+ * placeholder takes the variable's value and type (e.g. a numeric capacity).
+ */
+function substitute(value, variables, location) {
+  if (typeof value === 'string') {
+    const whole = /^\$\{(\w+)\}$/.exec(value);
+    if (whole) {
+      return lookup(variables, whole[1], location);
+    }
+    return value.replace(VARIABLE_PATTERN, (match, key) => String(lookup(variables, key, location)));
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substitute(item, variables, location));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substitute(item, variables, location)]));
+  }
+  return value;
+}
+
+function lookup(variables, key, location) {
+  if (variables[key] === undefined) {
+    throw new TemplateError(`Unknown template variable \${${key}} in ${location}`);
+  }
+  return variables[key];
+}
+
+/**
+ * Merge objects recursively; arrays and scalars from the child replace the parent's
+ */
+function deepMerge(parent, child) {
+  if (!isPlainObject(parent) || !isPlainObject(child)) {
+    return child === undefined ? parent : child;
+  }
+
+  const merged = { ...parent };
+  for (const [key, value] of Object.entries(child)) {
+    merged[key] = deepMerge(parent[key], value);
+  }
+  return merged;
+}
+
+/**
+ * Minimal JSON Schema validator (type, required, properties, items, enum,
+ * minimum, minLength, pattern, additionalProperties, local $ref)
+ */
+function validateSchema(value, schema, root = schema, location = 'space') {
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], root);
+    return validateSchema(value, target, root, location);
+  }
+
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${location}: expected ${schema.type}, got ${Array.isArray(value) ? 'array' : typeof value}`];
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+    errors.push(`${location}: must be >= ${schema.minimum}`);
+  }
+  if (schema.minLength !== undefined && typeof value === 'string' && value.length < schema.minLength) {
+    errors.push(`${location}: must not be empty`);
+  }
+  if (schema.pattern && typeof value === 'string' && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${location}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (isPlainObject(value)) {
+    (schema.required || [])
+      .filter(key => value[key] === undefined)
+      .forEach(key => errors.push(`${location}.${key}: is required`));
+
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties && schema.properties[key];
+      if (propertySchema) {
+        errors.push(...validateSchema(item, propertySchema, root, `${location}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${location}.${key}: unknown property`);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validateSchema(item, schema.items, root, `${location}[${index}]`)));
+  }
+
+  return errors;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'object': return isPlainObject(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && !Number.isNaN(value);
+    default: return typeof value === type;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+class TemplateError extends Error {
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.errors = errors;
+  }
+}
+
+module.exports = {
+  SpaceTemplateLoader,
+  TemplateError,
+  validateSchema,
+  deepMerge,
+  substitute,
+  DEFAULT_TEMPLATE_DIR
+};
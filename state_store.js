@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readSetting } = require('./config_schema');
+
+/**
+ * Local state helpers shared by the persisted subsystems (bulk invite jobs,
+ * expiry schedules, ...). Everything lives under FC_STATE_DIR.
+ */
+
+/**
+ * Directory for persisted local state
+ */
+function getStateDir() {
+  return readSetting('FC_STATE_DIR');
+}
+
+/**
+ * Read a JSON file, returning fallback when it does not exist yet
+ */
+async function readJson(filePath, fallback = null) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return fallback;
+    throw error;
+  }
+}
+
+/**
+ * Write JSON via a temp file and rename so readers never see a partial file
+ */
+async function writeJsonAtomic(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const temp = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(temp, JSON.stringify(data, null, 2));
+  await fs.rename(temp, filePath);
+}
+
+// A lock file older than this was left behind by a process that died holding it
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Run fn while holding `<filePath>.lock`. The lock file is created with
+ * O_EXCL, so processes sharing the state directory (the CLI next to a
+ * long-running service) take turns.
+ */
+async function withFileLock(filePath, fn, { timeoutMs = LOCK_TIMEOUT_MS } = {}) {
+  const lockPath = `${filePath}.lock`;
+  await fs.mkdir(path.dirname(lockPath), { recursive: true });
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    try {
+      const handle = await fs.open(lockPath, 'wx');
+      await handle.writeFile(`${process.pid}\n`);
+      await handle.close();
+      break;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    if (await removeStaleLock(lockPath)) continue;
+    if (Date.now() >= deadline) {
+      throw new Error(`Timed out waiting for ${lockPath}; remove it if no other process is using ${filePath}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await fs.unlink(lockPath).catch(() => {});
+  }
+}
+
+async function removeStaleLock(lockPath) {
+  try {
+    const { mtimeMs } = await fs.stat(lockPath);
+    if (Date.now() - mtimeMs < LOCK_STALE_MS) return false;
+    await fs.unlink(lockPath);
+    return true;
+  } catch (error) {
+    // Released between our attempts
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+}
+
+module.exports = {
+  getStateDir,
+  readJson,
+  writeJsonAtomic,
+  withFileLock
+};
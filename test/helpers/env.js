@@ -0,0 +1,91 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Test environment: quiet logs, a fresh FC_STATE_DIR and a clean set of
+ * FC/Gather/SMTP variables per test (restored afterwards), and the mock
+ * Gather.Town API for tests that talk to it.
+ */
+
+process.env.LOG_LEVEL = 'silent';
+process.env.DOTENV_CONFIG_QUIET = 'true';
+
+const MockGatherServer = require('../../mock_gather_server');
+const MockSmtpServer = require('../../mock_smtp_server');
+
+// Variables a developer's shell could set that would change what the tests see
+const ISOLATED_PREFIXES = ['GATHER_', 'FC_', 'SMTP_', 'EMAIL_', 'AUDIT_', 'SPACE_', 'LOG_TO_FILE'];
+
+function tempDir(prefix = 'fc-test-') {
+  return fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+}
+
+/**
+ * Call inside describe(): every test runs with its own state directory
+ */
+function isolateEnv() {
+  let saved;
+  beforeEach(() => {
+    saved = { ...process.env };
+    Object.keys(process.env)
+      .filter(key => ISOLATED_PREFIXES.some(prefix => key.startsWith(prefix)))
+      .forEach((key) => { delete process.env[key]; });
+    process.env.FC_STATE_DIR = tempDir();
+  });
+  afterEach(() => {
+    fs.rmSync(process.env.FC_STATE_DIR, { recursive: true, force: true });
+    Object.keys(process.env).filter(key => !(key in saved)).forEach((key) => { delete process.env[key]; });
+    Object.assign(process.env, saved);
+  });
+}
+
+/**
+ * Call inside describe(), after isolateEnv(): one mock server for the block,
+ * emptied before each test, with GATHER_BASE_URL and GATHER_API_KEY pointing
+ * at it. Resolves context.server and context.baseUrl.
+ */
+function useMockGather(options = {}) {
+  const context = {};
+  before(async () => {
+    context.server = new MockGatherServer(options);
+    context.baseUrl = await context.server.start();
+  });
+  beforeEach(() => {
+    context.server.reset();
+    process.env.GATHER_BASE_URL = context.baseUrl;
+    process.env.GATHER_API_KEY = options.apiKeys ? options.apiKeys[0] : 'test-key';
+  });
+  after(() => context.server.stop());
+  return context;
+}
+
+/**
+ * Call inside describe(), after isolateEnv(): one mock SMTP server for the
+ * block, emptied before each test, with SMTP delivery as the fallback and
+ * no retries. Resolves context.server.
+ */
+function useMockSmtp(options = {}) {
+  const context = {};
+  before(async () => {
+    context.server = new MockSmtpServer(options);
+    context.address = await context.server.start();
+  });
+  beforeEach(() => {
+    context.server.reset();
+    process.env.SMTP_HOST = context.address.host;
+    process.env.SMTP_PORT = String(context.address.port);
+    process.env.SMTP_FROM = 'office@example.org';
+    process.env.SMTP_MAX_RETRIES = '0';
+    process.env.EMAIL_DELIVERY_MODE = 'fallback';
+  });
+  after(() => context.server.stop());
+  return context;
+}
+
+module.exports = {
+  tempDir,
+  isolateEnv,
+  useMockGather,
+  useMockSmtp
+};
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const { AuditLog } = require('../../audit_log');
+const { GatherAPIClient } = require('../../gather_api_client');
+const { run, EXIT_CODES } = require('../../fc_guests');
+
+describe('AuditLog', () => {
+  isolateEnv();
+  const mock = useMockGather({ pageSize: 2 });
+
+  const setup = async () => {
+    const auditLog = new AuditLog();
+    const client = new GatherAPIClient(undefined, { auditLog });
+    const space = await client.createSpace({ name: 'Office' });
+    const added = await client.addGuest(space.id, ['a', 'b', 'c', 'd', 'e'].map(name => ({ email: `${name}@example.org`, role: 'member' })));
+    mock.server.requestLog = [];
+    return { auditLog, client, space, guest: added.guests[4] };
+  };
+
+  const guestRequests = () => mock.server.requestLog
+    .filter(request => request.method === 'GET' && request.path.includes('/guests'))
+    .map(request => request.path.replace(/^.*\/guests/, '/guests'));
+
+  it('reads the state before an update with a single guest lookup', async () => {
+    const { auditLog, client, space, guest } = await setup();
+    await client.updateGuest(space.id, guest.id, { role: 'visitor' });
+
+    assert.deepStrictEqual(guestRequests(), [`/guests/${guest.id}`]);
+    const [entry] = await auditLog.query({ action: 'updateGuest' });
+    assert.strictEqual(entry.before.role, 'member');
+    assert.strictEqual(entry.after.role, 'visitor');
+    assert.deepStrictEqual(entry.target.emails, ['e@example.org']);
+  });
+
+  it('uses the guest the caller already has instead of fetching it', async () => {
+    const { auditLog, client, space, guest } = await setup();
+    await client.removeGuest(space.id, guest.id, { before: guest });
+
+    assert.deepStrictEqual(guestRequests(), []);
+    const [entry] = await auditLog.query({ action: 'removeGuest' });
+    assert.strictEqual(entry.before.email, 'e@example.org');
+  });
+
+  it('takes a relative AUDIT_LOG_FILE from the state directory', () => {
+    process.env.AUDIT_LOG_FILE = 'logs/audit.log';
+    assert.strictEqual(new AuditLog().filePath, path.join(process.env.FC_STATE_DIR, 'logs', 'audit.log'));
+    process.env.AUDIT_LOG_FILE = '/var/log/fc/audit.log';
+    assert.strictEqual(new AuditLog().filePath, '/var/log/fc/audit.log');
+  });
+
+  const change = (seq, after = null) => ({ action: 'updateGuest', target: { spaceId: 'space-1', guestId: `guest-${seq}` }, after });
+
+  it('continues the chain after an entry larger than the read chunk', async () => {
+    const auditLog = new AuditLog();
+    await auditLog.record(change(1, { note: 'x'.repeat(200 * 1024) }));
+    const entry = await auditLog.record(change(2));
+
+    assert.strictEqual(entry.seq, 2);
+    assert.deepStrictEqual(await auditLog.verify(), { valid: true, entries: 2, error: null });
+  });
+
+  it('keeps one chain when separate writers append to the same file', async () => {
+    const writers = [new AuditLog(), new AuditLog()];
+    await Promise.all(Array.from({ length: 20 }, (_, index) => writers[index % 2].record(change(index))));
+
+    assert.deepStrictEqual(await writers[0].verify(), { valid: true, entries: 20, error: null });
+    assert.strictEqual(fs.existsSync(`${writers[0].filePath}.lock`), false);
+  });
+
+  it('takes over a lock file left behind by a process that died', async () => {
+    const auditLog = new AuditLog();
+    const lockPath = `${auditLog.filePath}.lock`;
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    fs.writeFileSync(lockPath, '12345\n');
+    const longAgo = new Date(Date.now() - 60 * 1000);
+    fs.utimesSync(lockPath, longAgo, longAgo);
+
+    assert.strictEqual((await auditLog.record(change(1))).seq, 1);
+  });
+
+  it('detects entries removed from the end of the log', async () => {
+    const auditLog = new AuditLog();
+    for (let seq = 1; seq <= 3; seq++) await auditLog.record(change(seq));
+    const lines = fs.readFileSync(auditLog.filePath, 'utf8').split('\n');
+    fs.writeFileSync(auditLog.filePath, `${lines.slice(0, 2).join('\n')}\n`);
+
+    const result = await auditLog.verify();
+    assert.strictEqual(result.valid, false);
+    assert.match(result.error.reason, /ends at sequence 2 but the head records 3/);
+  });
+
+  it('detects a rewritten head when the log is keyed', async () => {
+    const auditLog = new AuditLog({ hmacKey: 'audit-key' });
+    for (let seq = 1; seq <= 3; seq++) await auditLog.record(change(seq));
+    const [, second] = await auditLog.query();
+    fs.writeFileSync(auditLog.filePath, fs.readFileSync(auditLog.filePath, 'utf8').split('\n').slice(0, 2).join('\n'));
+    fs.writeFileSync(auditLog.headPath, JSON.stringify({ seq: 2, hash: second.hash }));
+
+    assert.strictEqual((await auditLog.verify()).error.reason, 'Head file modified');
+  });
+
+  it('exports entries as the result of audit export --json', async () => {
+    const { client, space, guest } = await setup();
+    await client.updateGuest(space.id, guest.id, { role: 'visitor' });
+
+    const originalWrite = process.stdout.write;
+    let output = '';
+    process.stdout.write = (chunk) => { output += chunk; return true; };
+    try {
+      assert.strictEqual(await run(['audit', 'export', '--action', 'updateGuest', '--json']), EXIT_CODES.SUCCESS);
+    } finally {
+      process.stdout.write = originalWrite;
+    }
+    const entries = JSON.parse(output);
+    assert.deepStrictEqual(entries.map(entry => entry.action), ['updateGuest']);
+  });
+});
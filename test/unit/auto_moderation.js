@@ -0,0 +1,84 @@
+const assert = require('assert');
+const { isolateEnv } = require('../helpers/env');
+const { ModerationEngine, evaluateCorpus, loadCorpus } = require('../../auto_moderation');
+
+describe('ModerationEngine', () => {
+  isolateEnv();
+
+  const rules = {
+    action: 'mute_and_report',
+    terms: [
+      { term: 'kill yourself', weight: 5, category: 'harassment' },
+      { term: 'queer', weight: 2, category: 'discrimination' },
+      { term: 'freak', weight: 1, category: 'harassment' }
+    ],
+    allowlist: ['queer'],
+    contextRules: [
+      { id: 'reported-speech', before: ['called me'], window: 4, factor: 0 },
+      { id: 'directed-at-someone', before: ['you'], unless: ['are you'], window: 3, factor: 1.5, overridesAllowlist: true }
+    ]
+  };
+
+  it('matches a spelled-out word that the next word finishes', () => {
+    const engine = new ModerationEngine({ rules });
+
+    for (const text of ['k i l l yourself', 'K I L L YOURSELF!', 'kill y o u r s e l f']) {
+      const result = engine.evaluate(text);
+      assert.strictEqual(result.verdict, 'mute_and_report', text);
+      assert.strictEqual(result.matches[0].term, 'kill yourself');
+    }
+    assert.strictEqual(engine.evaluate('k i l l yourself').matches[0].text, 'k i l l yourself');
+    assert.strictEqual(engine.evaluate('g o k i l l yourself').matches[0].text, 'g o k i l l yourself');
+  });
+
+  it('keeps the allowlist for a question and drops it for an insult', () => {
+    const engine = new ModerationEngine({ rules });
+
+    const question = engine.evaluate('Are you queer too?');
+    assert.strictEqual(question.verdict, 'allow');
+    assert.strictEqual(question.matches[0].allowlisted, true);
+    assert.deepStrictEqual(question.matches[0].rules, []);
+
+    const insult = engine.evaluate('you queer');
+    assert.strictEqual(insult.verdict, 'flag');
+    assert.strictEqual(insult.matches[0].allowlisted, false);
+    assert.deepStrictEqual(insult.matches[0].rules, ['directed-at-someone']);
+  });
+
+  it('does not count what someone reports being called', () => {
+    const engine = new ModerationEngine({ rules });
+    assert.strictEqual(engine.evaluate('they called me a freak').score, 0);
+  });
+});
+
+describe('evaluateCorpus', () => {
+  isolateEnv();
+
+  it('gets every sample in the shipped corpus right with the shipped rules', () => {
+    const report = evaluateCorpus(new ModerationEngine(), loadCorpus());
+
+    assert.deepStrictEqual(report.mismatches.map(({ text, expected, verdict }) => ({ text, expected, verdict })), []);
+    assert.strictEqual(report.accuracy, 1);
+    assert.strictEqual(report.precision, 1);
+    assert.strictEqual(report.recall, 1);
+    assert.ok(report.total >= 46);
+  });
+
+  it('reports mismatches, precision and recall', () => {
+    const engine = new ModerationEngine({ rules: { terms: [{ term: 'freak', weight: 5 }] } });
+    const report = evaluateCorpus(engine, [
+      { text: 'what a freak', expected: 'action' },
+      { text: 'freak show tickets', expected: 'allow' },
+      { text: 'you absolute loser', expected: 'flag' },
+      { text: 'hello', expected: 'allow' }
+    ]);
+
+    assert.strictEqual(report.total, 4);
+    assert.strictEqual(report.correct, 2);
+    assert.strictEqual(report.accuracy, 0.5);
+    assert.strictEqual(report.precision, 0.5);
+    assert.strictEqual(report.recall, 0.5);
+    assert.deepStrictEqual(report.falsePositives.map(result => result.text), ['freak show tickets']);
+    assert.deepStrictEqual(report.falseNegatives.map(result => result.text), ['you absolute loser']);
+  });
+});
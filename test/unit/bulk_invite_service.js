@@ -0,0 +1,32 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { JOB_STATUS } = require('../../bulk_invite_jobs');
+
+describe('BulkInviteService', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  const guests = count => Array.from({ length: count }, (_, index) => ({ email: `guest${index}@example.org`, role: 'member' }));
+  const invitesSent = () => mock.server.requestLog.filter(request => request.method === 'POST' && /\/guests$/.test(request.path)).length;
+
+  it('marks a job interrupted when a run fails and resumes it without inviting anyone twice', async () => {
+    const manager = new FCGuestManager();
+    const space = await manager.gatherApi.createSpace({ name: 'Office', capacity: 50 });
+
+    const crash = () => { throw new Error('process stopped'); };
+    await assert.rejects(manager.bulkInviteGuests(space.id, guests(4), { batchSize: 2, onProgress: crash }), /process stopped/);
+
+    const [job] = await manager.bulkInvites.jobStore.list();
+    assert.strictEqual(job.status, JOB_STATUS.INTERRUPTED);
+    assert.strictEqual(job.error, 'process stopped');
+    const interrupted = await manager.bulkInvites.getBulkInviteJobProgress(job.id);
+    assert.deepStrictEqual([interrupted.invited, interrupted.pending], [2, 2]);
+
+    const resumed = await manager.bulkInvites.resumeBulkInviteJob(job.id, { batchSize: 2 });
+    assert.strictEqual(resumed.status, JOB_STATUS.COMPLETED);
+    assert.strictEqual(resumed.error, null);
+    assert.strictEqual(invitesSent(), 4);
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 4);
+  });
+});
@@ -0,0 +1,64 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { CapacityError } = require('../../capacity_planner');
+
+describe('CapacityGuard', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  const guests = count => Array.from({ length: count }, (_, index) => ({ email: `guest${index}@example.org`, role: 'member' }));
+
+  // Created straight through the API, so the layout check on create does not stop it
+  const createSpace = async (manager, customization = {}) => manager.gatherApi.createSpace({
+    name: 'Office',
+    capacity: 5,
+    customization
+  });
+  const brokenLayout = { layout: { workAreas: [{ name: 'Hall', capacity: 40 }] } };
+
+  it('refuses to block or waitlist against a space whose layout has no usable capacity', async () => {
+    const manager = new FCGuestManager();
+    const space = await createSpace(manager, brokenLayout);
+
+    for (const policy of ['block', 'waitlist']) {
+      await assert.rejects(manager.capacity.applyCapacityPolicy(space.id, guests(20), policy), (error) => {
+        assert.ok(error instanceof CapacityError);
+        assert.match(error.message, /layout does not fit its capacity.*no invitations sent/);
+        return true;
+      });
+    }
+    await assert.rejects(manager.bulkInviteGuests(space.id, guests(20), { capacityPolicy: 'block' }), CapacityError);
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 0);
+  });
+
+  it('lets the warn policy invite when the limit is unknown', async () => {
+    const manager = new FCGuestManager();
+    const space = await createSpace(manager, brokenLayout);
+
+    const { waitlist, capacity } = await manager.capacity.applyCapacityPolicy(space.id, guests(20), 'warn');
+    assert.deepStrictEqual(waitlist, []);
+    assert.strictEqual(capacity.limit, null);
+  });
+
+  it('warns when work areas and private rooms together hold more than the office template capacity', async () => {
+    const manager = new FCGuestManager();
+    const spaceConfig = await manager.buildSpaceConfig('office');
+
+    const check = manager.capacity.checkSpaceCapacity(spaceConfig);
+    assert.deepStrictEqual([check.capacity, check.workAreas, check.privateRooms, check.total], [50, 50, 15, 65]);
+    assert.deepStrictEqual(check.errors, []);
+    assert.ok(check.warnings.some(warning => /work areas and private rooms hold 65 together \(50 \+ 15\), more than the space's capacity of 50/.test(warning)));
+  });
+
+  it('reports the policy that was applied rather than the configured one', async () => {
+    const manager = new FCGuestManager();
+    const space = await createSpace(manager);
+    assert.strictEqual(manager.capacity.policy, 'warn');
+
+    const { waitlist, capacity } = await manager.capacity.applyCapacityPolicy(space.id, guests(20), 'waitlist');
+    assert.strictEqual(capacity.policy, 'waitlist');
+    assert.ok(waitlist.length > 0);
+    assert.strictEqual((await manager.capacity.planCapacity(space.id)).policy, 'warn');
+  });
+});
@@ -0,0 +1,57 @@
+const assert = require('assert');
+const { isolateEnv } = require('../helpers/env');
+const {
+  readSetting,
+  resolveConfig,
+  loadConfig,
+  describeConfig,
+  ConfigError
+} = require('../../config_schema');
+
+describe('config_schema', () => {
+  isolateEnv();
+
+  it('reads typed values with their defaults', () => {
+    assert.strictEqual(readSetting('GATHER_TIMEOUT_MS'), 30000);
+    process.env.GATHER_TIMEOUT_MS = '5000';
+    assert.strictEqual(readSetting('GATHER_TIMEOUT_MS'), 5000);
+    process.env.SMTP_PORT = '465';
+    assert.strictEqual(readSetting('SMTP_SECURE'), true);
+  });
+
+  it('throws for an invalid value instead of using the default', () => {
+    process.env.GATHER_PAGE_SIZE = 'lots';
+    assert.throws(() => readSetting('GATHER_PAGE_SIZE'), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.deepStrictEqual(error.errors, ['GATHER_PAGE_SIZE must be a whole number (got "lots")']);
+      return true;
+    });
+    assert.strictEqual(readSetting('GATHER_TIMEOUT_MS'), 30000);
+    process.env.FC_PROFILE = 'not a name';
+    assert.throws(() => readSetting('FC_PROFILE'), ConfigError);
+  });
+
+  it('resolves the environment once until a setting changes', () => {
+    process.env.FC_MODERATION_ALLOWLIST = 'queer, gay';
+    const allowlist = readSetting('FC_MODERATION_ALLOWLIST');
+    assert.strictEqual(readSetting('FC_MODERATION_ALLOWLIST'), allowlist);
+    process.env.FC_MODERATION_ALLOWLIST = 'queer';
+    assert.deepStrictEqual(readSetting('FC_MODERATION_ALLOWLIST'), ['queer']);
+  });
+
+  it('rejects unknown settings', () => {
+    assert.throws(() => readSetting('NOT_A_SETTING'), /Unknown setting/);
+  });
+
+  it('reports every problem at once', () => {
+    process.env.SMTP_USER = 'mailer';
+    process.env.FC_BRAND_COLOR = 'orange';
+    assert.throws(() => loadConfig(), error => error instanceof ConfigError && error.errors.length === 2);
+  });
+
+  it('hides secrets when described', () => {
+    process.env.GATHER_API_KEY = 'secret-key';
+    const groups = describeConfig(resolveConfig());
+    assert.deepStrictEqual(groups.credentials.GATHER_API_KEY, { value: '(set)', source: 'env' });
+  });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { GatherAPIClient } = require('../../gather_api_client');
+const { KeyStore, loadCredentials, CredentialError } = require('../../credentials');
+
+describe('KeyStore', () => {
+  isolateEnv();
+
+  const keystorePath = () => path.join(process.env.FC_STATE_DIR, 'keystore.json');
+
+  it('encrypts the keys and reads them back with the passphrase', async () => {
+    const keystore = new KeyStore({ filePath: keystorePath(), passphrase: 'correct horse' });
+    await keystore.store('primary', 'gather-key-primary');
+    const described = await keystore.promote('gather-key-rotated');
+
+    assert.strictEqual(described.primary, '…ated');
+    assert.strictEqual(described.secondary, '…mary');
+    assert.deepStrictEqual(new KeyStore({ filePath: keystorePath(), passphrase: 'correct horse' }).readSync(),
+      { primary: 'gather-key-rotated', secondary: 'gather-key-primary', rotatedAt: described.rotatedAt, updatedAt: described.updatedAt });
+    assert.doesNotMatch(fs.readFileSync(keystorePath(), 'utf8'), /gather-key/);
+    assert.strictEqual(fs.statSync(keystorePath()).mode & 0o777, 0o600);
+  });
+
+  it('refuses a wrong passphrase, an edited file and a missing passphrase', async () => {
+    await new KeyStore({ filePath: keystorePath(), passphrase: 'correct horse' }).store('primary', 'gather-key-primary');
+
+    assert.throws(() => new KeyStore({ filePath: keystorePath(), passphrase: 'wrong' }).readSync(),
+      /Cannot decrypt .*wrong FC_KEYSTORE_PASSPHRASE/);
+
+    const envelope = JSON.parse(fs.readFileSync(keystorePath(), 'utf8'));
+    envelope.data = Buffer.from('{"primary":"attacker"}').toString('base64');
+    fs.writeFileSync(keystorePath(), JSON.stringify(envelope));
+    assert.throws(() => new KeyStore({ filePath: keystorePath(), passphrase: 'correct horse' }).readSync(), CredentialError);
+
+    await assert.rejects(new KeyStore({ filePath: keystorePath() }).store('primary', 'gather-key-primary'),
+      /FC_KEYSTORE_PASSPHRASE is required/);
+  });
+
+  it('checks slots and keys before writing', async () => {
+    const keystore = new KeyStore({ filePath: keystorePath(), passphrase: 'correct horse' });
+    await assert.rejects(keystore.store('tertiary', 'gather-key'), /Unknown key slot "tertiary"/);
+    await assert.rejects(keystore.store('primary', 'two words'), /without whitespace/);
+    assert.strictEqual(keystore.exists(), false);
+  });
+
+  it('fills the slots no variable or file fills from the keystore', async () => {
+    const keystore = new KeyStore({ filePath: keystorePath(), passphrase: 'correct horse' });
+    await keystore.promote('stored-primary', 'stored-secondary');
+    const keyFile = path.join(process.env.FC_STATE_DIR, 'secondary.key');
+    fs.writeFileSync(keyFile, 'file-secondary\n');
+
+    assert.deepStrictEqual(loadCredentials({ env: {}, keystore }), {
+      primary: { key: 'stored-primary', source: `keystore:${keystorePath()}` },
+      secondary: { key: 'stored-secondary', source: `keystore:${keystorePath()}` }
+    });
+    assert.deepStrictEqual(loadCredentials({ env: { GATHER_API_KEY: 'env-primary', GATHER_API_KEY_SECONDARY_FILE: keyFile }, keystore }), {
+      primary: { key: 'env-primary', source: 'env:GATHER_API_KEY' },
+      secondary: { key: 'file-secondary', source: `file:${keyFile}` }
+    });
+    assert.strictEqual(loadCredentials({ env: { GATHER_API_KEY: 'stored-secondary' }, keystore }).secondary, null);
+  });
+});
+
+describe('API key failover and rotation', () => {
+  isolateEnv();
+  const mock = useMockGather({ apiKeys: ['key-old', 'key-new'] });
+
+  it('switches to the secondary key when the primary is refused', async () => {
+    const client = new GatherAPIClient(undefined, {
+      credentials: {
+        primary: { key: 'key-revoked', source: 'env:GATHER_API_KEY' },
+        secondary: { key: 'key-old', source: 'env:GATHER_API_KEY_SECONDARY' }
+      }
+    });
+
+    const space = await client.createSpace({ name: 'Office' });
+    assert.ok(mock.server.state.spaces.get(space.id));
+    const status = client.credentialStatus();
+    assert.strictEqual(status.active, 'secondary');
+    assert.strictEqual(status.failover.status, 401);
+  });
+
+  it('promotes a key Gather accepts and keeps the current one as the secondary', async () => {
+    process.env.FC_KEYSTORE_PASSPHRASE = 'correct horse';
+    const manager = new FCGuestManager();
+    await manager.createFCRemoteOffice();
+
+    const rotated = await manager.apiKeys.rotateApiKey('key-new');
+    assert.deepStrictEqual(rotated.shadowedBy, ['env:GATHER_API_KEY']);
+    assert.deepStrictEqual([manager.keystore.readSync().primary, manager.keystore.readSync().secondary], ['key-new', 'key-old']);
+    assert.strictEqual(manager.gatherApi.apiKey, 'key-new');
+  });
+
+  it('stores nothing when Gather refuses the new key', async () => {
+    process.env.FC_KEYSTORE_PASSPHRASE = 'correct horse';
+    const manager = new FCGuestManager();
+
+    await assert.rejects(manager.apiKeys.rotateApiKey('key-unknown'), /was not promoted; Gather refused it \(authentication: 401\)/);
+    assert.strictEqual(manager.keystore.exists(), false);
+    assert.strictEqual(manager.gatherApi.apiKey, 'key-old');
+  });
+});
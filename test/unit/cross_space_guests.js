@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+
+describe('CrossSpaceGuests', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  const setup = async () => {
+    const manager = new FCGuestManager();
+    manager.gatherApi.retryConfig.backoffMs = 1;
+    const north = await manager.createFCRemoteOffice('office', {}, ['chapter', 'north']);
+    const south = await manager.createFCRemoteOffice('office', {}, ['chapter', 'south']);
+    const hq = await manager.createFCRemoteOffice('office', {}, ['office']);
+    return { manager, north, south, hq };
+  };
+
+  const emails = spaceId => [...(mock.server.state.guests.get(spaceId) || new Map()).values()].map(guest => guest.email);
+
+  it('adds a guest to every space with the labels and counts existing access as done', async () => {
+    const { manager, north, south, hq } = await setup();
+    await manager.gatherApi.addGuest(south.id, [{ email: 'mod@example.org', role: 'moderator' }]);
+
+    const results = await manager.crossSpace.addGuestToSpaces(['chapter'], { email: 'mod@example.org', role: 'moderator' });
+    assert.deepStrictEqual(results.map(result => [result.spaceId, result.status, result.result.action]),
+      [[north.id, 'ok', 'invited'], [south.id, 'ok', 'already_invited']]);
+    assert.deepStrictEqual(emails(north.id), ['mod@example.org']);
+    assert.deepStrictEqual(emails(hq.id), []);
+  });
+
+  it('keeps going when one space fails and reports which one', async () => {
+    const { manager, north, south } = await setup();
+    mock.server.injectFault({ status: 500, body: 'Broken', match: new RegExp(`^POST /.*${north.id}/guests`), times: 10 });
+
+    const results = await manager.crossSpace.addGuestToSpaces(['chapter'], { email: 'sam@example.org' });
+    assert.deepStrictEqual(results.map(result => [result.spaceId, result.status]), [[north.id, 'failed'], [south.id, 'ok']]);
+    assert.strictEqual(results[0].error, 'Internal Server Error');
+    assert.deepStrictEqual(emails(north.id), []);
+    assert.deepStrictEqual(emails(south.id), ['sam@example.org']);
+  });
+
+  it('finds where someone has access and lists the spaces it could not check', async () => {
+    const { manager, north, south, hq } = await setup();
+    await manager.gatherApi.addGuest(north.id, [{ email: 'sam@example.org', role: 'member' }]);
+    await manager.gatherApi.addGuest(hq.id, [{ email: 'sam@example.org', role: 'visitor' }]);
+    mock.server.injectFault({ status: 500, body: 'Broken', match: new RegExp(`^GET /.*${south.id}/guests`), times: 10 });
+
+    const report = await manager.crossSpace.findGuestAccess('sam@example.org');
+    assert.strictEqual(report.spacesChecked, 3);
+    assert.deepStrictEqual(report.access.map(entry => [entry.spaceId, entry.role]), [[north.id, 'member'], [hq.id, 'visitor']]);
+    assert.deepStrictEqual(report.failed.map(entry => entry.spaceId), [south.id]);
+  });
+
+  it('removes someone everywhere and cancels their scheduled expiry', async () => {
+    const { manager, north, south } = await setup();
+    const result = await manager.gatherApi.addGuest(north.id, [{ email: 'sam@example.org', role: 'member' }]);
+    await manager.expiryScheduler.schedule({
+      spaceId: north.id,
+      guestId: result.guests[0].id,
+      email: 'sam@example.org',
+      expiresAt: new Date(Date.now() + 86400000).toISOString()
+    });
+
+    const results = await manager.crossSpace.removeGuestEverywhere('sam@example.org', ['chapter']);
+    assert.deepStrictEqual(results.map(entry => [entry.spaceId, entry.result.action]),
+      [[north.id, 'removed'], [south.id, 'not_a_guest']]);
+    assert.deepStrictEqual(emails(north.id), []);
+    assert.deepStrictEqual(await manager.expiryScheduler.list(north.id), []);
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { GatherAPIClient } = require('../../gather_api_client');
+const { ConfigError } = require('../../config_schema');
+
+describe('FCGuestManager', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  it('refuses to start with invalid settings and lists every problem', () => {
+    process.env.FC_BRAND_COLOR = 'orange';
+    process.env.GATHER_PAGE_SIZE = 'lots';
+    assert.throws(() => new FCGuestManager(), (error) => {
+      assert.ok(error instanceof ConfigError);
+      assert.strictEqual(error.errors.length, 2);
+      assert.match(error.message, /GATHER_PAGE_SIZE must be a whole number[\s\S]*FC_BRAND_COLOR must be a hex color/);
+      return true;
+    });
+  });
+
+  it('creates a space, configures safety and registers it', async () => {
+    const manager = new FCGuestManager();
+    const space = await manager.createFCRemoteOffice('office', {}, ['office', 'hq']);
+
+    const stored = mock.server.state.spaces.get(space.id);
+    assert.strictEqual(stored.safetySettings.moderationLevel, 'strict');
+    assert.strictEqual(manager.getSetupOutcome(space.id).safety.status, 'configured');
+    assert.deepStrictEqual((await manager.spaces.list({ labels: ['hq'] })).map(entry => entry.id), [space.id]);
+    assert.strictEqual(await manager.messenger.getSpaceUrl(space.id), space.url);
+  });
+
+  it('adds the FC contact as moderator with a welcome message', async () => {
+    process.env.FC_CONTACT_EMAIL = 'lead@example.org';
+    const manager = new FCGuestManager();
+    const space = await manager.createFCRemoteOffice();
+    await manager.addFCContactAsModerator(space.id);
+
+    const [guest] = [...mock.server.state.guests.get(space.id).values()];
+    assert.strictEqual(guest.email, 'lead@example.org');
+    assert.strictEqual(guest.role, 'moderator');
+    assert.deepStrictEqual(mock.server.state.invitations.map(invitation => invitation.recipients), [['lead@example.org']]);
+    assert.strictEqual(manager.getSetupOutcome(space.id).welcome.status, 'sent');
+  });
+
+  it('wires every service to the injected subsystems', () => {
+    const gatherApi = new GatherAPIClient('injected-key', { baseUrl: mock.baseUrl });
+    const manager = new FCGuestManager(undefined, { gatherApi });
+
+    assert.strictEqual(manager.gatherApi, gatherApi);
+    for (const service of [manager.capacity, manager.bulkInvites, manager.guestLists, manager.crossSpace,
+      manager.safety, manager.apiKeys, manager.messenger]) {
+      assert.strictEqual(service.gatherApi, gatherApi);
+    }
+    assert.strictEqual(manager.bulkInvites.capacity, manager.capacity);
+    assert.strictEqual(manager.guestLists.bulkInvites, manager.bulkInvites);
+    assert.strictEqual(manager.safety.incidents, manager.incidents);
+  });
+
+  it('invites a guest list through the bulk invite service', async () => {
+    const manager = new FCGuestManager();
+    const space = await manager.createFCRemoteOffice();
+    const results = await manager.bulkInviteGuests(space.id, [
+      { email: 'a@example.org', role: 'member' },
+      { email: 'b@example.org', role: 'visitor' }
+    ]);
+
+    assert.deepStrictEqual(results.map(result => result.status), ['invited', 'invited']);
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 2);
+    assert.deepStrictEqual(manager.chunkArray([1, 2, 3], 2), [[1, 2], [3]]);
+  });
+
+  it('escalates incidents to the safety email through the safety service', async () => {
+    process.env.FC_SAFETY_EMAIL = 'safety@example.org';
+    const manager = new FCGuestManager();
+    const space = await manager.createFCRemoteOffice();
+    const incident = await manager.incidents.intake({ spaceId: space.id, category: 'harassment', description: 'test' });
+
+    assert.ok(incident.escalatedAt);
+    assert.deepStrictEqual(mock.server.state.invitations.map(invitation => invitation.recipients), [['safety@example.org']]);
+  });
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const { run, parseArgs, EXIT_CODES } = require('../../fc_guests');
+
+describe('fc_guests.js', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  // Run the CLI with --json and return the exit code and the parsed stdout
+  const cli = async (...argv) => {
+    const originalWrite = process.stdout.write;
+    const originalWarn = console.warn;
+    let output = '';
+    const warnings = [];
+    process.stdout.write = (chunk) => { output += chunk; return true; };
+    console.warn = (message) => { warnings.push(message); };
+    try {
+      const code = await run([...argv, '--json']);
+      return { code, result: output ? JSON.parse(output) : null, warnings };
+    } finally {
+      process.stdout.write = originalWrite;
+      console.warn = originalWarn;
+    }
+  };
+
+  const createSpace = async () => {
+    const response = await fetch(`${mock.baseUrl}/spaces`, {
+      method: 'POST',
+      headers: { Authorization: 'Bearer test-key', 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Office' })
+    });
+    return (await response.json()).id;
+  };
+
+  it('parses positionals, flags and repeatable flags', () => {
+    assert.deepStrictEqual(parseArgs(['space', 'update', 's1', '--set', 'a=1', '--set=b=2', '--yes']), {
+      positionals: ['space', 'update', 's1'],
+      flags: { set: ['a=1', 'b=2'], yes: true }
+    });
+  });
+
+  it('answers unknown commands with the usage exit code', async () => {
+    const { code, result } = await cli('guests', 'teleport');
+    assert.strictEqual(code, EXIT_CODES.USAGE);
+    assert.strictEqual(result.error.name, 'UsageError');
+  });
+
+  it('stores guest emails in lowercase and finds them in any case', async () => {
+    const spaceId = await createSpace();
+    assert.strictEqual((await cli('guests', 'add', spaceId, '--email', ' Sam@Example.ORG ')).code, EXIT_CODES.SUCCESS);
+
+    const [guest] = mock.server.state.guests.get(spaceId).values();
+    assert.strictEqual(guest.email, 'sam@example.org');
+    const { result } = await cli('guests', 'list', spaceId, '--email', 'SAM@example.org');
+    assert.deepStrictEqual(result.map(entry => entry.id), [guest.id]);
+  });
+
+  it('gives a guest the permissions of their new role', async () => {
+    const spaceId = await createSpace();
+    await cli('guests', 'add', spaceId, '--email', 'sam@example.org', '--role', 'moderator');
+
+    const { code } = await cli('guests', 'update', spaceId, 'SAM@example.org', '--role', 'visitor');
+    assert.strictEqual(code, EXIT_CODES.SUCCESS);
+    const [guest] = mock.server.state.guests.get(spaceId).values();
+    assert.strictEqual(guest.role, 'visitor');
+    assert.deepStrictEqual(guest.permissions, ['can_use_chat']);
+  });
+
+  it('keeps explicit permissions on a role change and warns when custom ones are dropped', async () => {
+    const spaceId = await createSpace();
+    await cli('guests', 'add', spaceId, '--email', 'sam@example.org', '--permissions', 'can_use_chat,can_mute');
+
+    await cli('guests', 'update', spaceId, 'sam@example.org', '--role', 'facilitator', '--permissions', 'can_use_chat');
+    let [guest] = mock.server.state.guests.get(spaceId).values();
+    assert.deepStrictEqual(guest.permissions, ['can_use_chat']);
+
+    await cli('guests', 'update', spaceId, 'sam@example.org', '--permissions', 'can_use_chat,can_modify_space');
+    const { warnings } = await cli('guests', 'update', spaceId, 'sam@example.org', '--role', 'visitor');
+    [guest] = mock.server.state.guests.get(spaceId).values();
+    assert.deepStrictEqual(guest.permissions, ['can_use_chat']);
+    assert.match(warnings.join('\n'), /can_modify_space/);
+  });
+
+  it('rejects an unknown role without touching the guest', async () => {
+    const spaceId = await createSpace();
+    await cli('guests', 'add', spaceId, '--email', 'sam@example.org');
+
+    const { code } = await cli('guests', 'update', spaceId, 'sam@example.org', '--role', 'admiral');
+    assert.strictEqual(code, EXIT_CODES.VALIDATION);
+    assert.strictEqual([...mock.server.state.guests.get(spaceId).values()][0].role, 'member');
+  });
+
+  it('prints the config check report on stdout under --json when a setting is invalid', async () => {
+    process.env.FC_BRAND_COLOR = 'orange';
+    const { code, result } = await cli('config', 'check');
+
+    assert.strictEqual(code, EXIT_CODES.VALIDATION);
+    assert.strictEqual(result.valid, false);
+    assert.match(result.errors[0], /FC_BRAND_COLOR/);
+    assert.ok(result.settings.organization);
+    assert.strictEqual(result.error.exitCode, EXIT_CODES.VALIDATION);
+  });
+});
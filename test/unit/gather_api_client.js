@@ -0,0 +1,95 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const { GatherAPIClient, TimeoutError } = require('../../gather_api_client');
+
+describe('GatherAPIClient', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  const setup = async () => {
+    const client = new GatherAPIClient(undefined, { timeoutMs: 50 });
+    client.retryConfig.backoffMs = 1;
+    const space = await client.createSpace({ name: 'Office' });
+    mock.server.requestLog = [];
+    return { client, space };
+  };
+
+  const requests = method => mock.server.requestLog.filter(request => request.method === method);
+
+  it('retries a GET that timed out', async () => {
+    const { client, space } = await setup();
+    mock.server.injectFault({ delayMs: 200, match: /^GET / });
+
+    assert.strictEqual((await client.getSpace(space.id)).id, space.id);
+    assert.strictEqual(requests('GET').length, 2);
+  });
+
+  it('does not resend a POST that timed out', async () => {
+    const { client, space } = await setup();
+    mock.server.injectFault({ delayMs: 200, match: /^POST / });
+
+    await assert.rejects(client.addGuest(space.id, [{ email: 'sam@example.org', role: 'member' }]), TimeoutError);
+    assert.strictEqual(requests('POST').length, 1);
+  });
+
+  it('still retries a POST that got a 503', async () => {
+    const { client, space } = await setup();
+    mock.server.injectFault({ status: 503, body: 'Unavailable', match: /^POST / });
+
+    await client.addGuest(space.id, [{ email: 'sam@example.org', role: 'member' }]);
+    assert.strictEqual(requests('POST').length, 2);
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 1);
+  });
+
+  describe('guest pagination', () => {
+    const addGuests = async (client, spaceId, count) => client.addGuest(spaceId, Array.from({ length: count },
+      (_, index) => ({ email: `guest${index}@example.org`, role: index % 2 === 0 ? 'member' : 'visitor' })));
+    const pageRequests = () => mock.server.requestLog.filter(request => request.method === 'GET' && /\/guests$/.test(request.path));
+
+    it('follows every page of the guest list', async () => {
+      const { client, space } = await setup();
+      client.pageSize = 2;
+      await addGuests(client, space.id, 5);
+      mock.server.requestLog = [];
+
+      const { guests } = await client.getGuestList(space.id);
+      assert.deepStrictEqual(guests.map(guest => guest.email), [0, 1, 2, 3, 4].map(index => `guest${index}@example.org`));
+      assert.strictEqual(pageRequests().length, 3);
+    });
+
+    it('stops fetching pages when the loop breaks', async () => {
+      const { client, space } = await setup();
+      client.pageSize = 2;
+      await addGuests(client, space.id, 5);
+      mock.server.requestLog = [];
+
+      for await (const guest of client.iterateGuests(space.id)) {
+        if (guest.email === 'guest1@example.org') break;
+      }
+      assert.strictEqual(pageRequests().length, 1);
+    });
+
+    it('applies filters locally when the server ignores them', async () => {
+      const { client, space } = await setup();
+      await addGuests(client, space.id, 4);
+      client.addRequestInterceptor((request) => { request.url = request.url.replace(/role=\w+&?/, ''); });
+
+      const visitors = await client.listAllGuests(space.id, { role: 'visitor' });
+      assert.deepStrictEqual(visitors.map(guest => guest.email), ['guest1@example.org', 'guest3@example.org']);
+    });
+
+    it('fails instead of looping when the server repeats a cursor', async () => {
+      const { client, space } = await setup();
+      client.pageSize = 1;
+      await addGuests(client, space.id, 3);
+      let firstCursor = null;
+      client.addResponseInterceptor((response) => {
+        if (!response.data || !response.data.guests) return;
+        firstCursor = firstCursor || response.data.nextCursor;
+        response.data.nextCursor = firstCursor;
+      });
+
+      await assert.rejects(client.listAllGuests(space.id), /returned a repeated cursor/);
+    });
+  });
+});
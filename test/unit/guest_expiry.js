@@ -0,0 +1,160 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather, useMockSmtp } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { WARNING_RETRY_MS, EXPIRY_RETRY_MS, MAX_EXPIRY_ATTEMPTS } = require('../../guest_expiry');
+const { RoleRegistry } = require('../../roles');
+const { run, EXIT_CODES } = require('../../fc_guests');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('GuestExpiryScheduler', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  const setup = async ({ managerOptions = {}, onExpiry = 'revoke' } = {}) => {
+    process.env.FC_ORGANIZATION_NAME = 'Test Org';
+    process.env.FC_CONTACT_EMAIL = 'lead@example.org';
+    const manager = new FCGuestManager(undefined, managerOptions);
+    const space = await manager.gatherApi.createSpace({ name: 'Office' });
+    await manager.guestLists.addTimeLimitedGuest(space.id, { email: 'sam@example.org', name: 'Sam' }, {
+      expiresAt: new Date(Date.now() + 2 * HOUR).toISOString(),
+      onExpiry
+    });
+    return { manager, scheduler: manager.expiryScheduler, space };
+  };
+
+  const refuseInvitations = () => mock.server.injectFault({
+    status: 400,
+    body: JSON.stringify({ message: 'refused' }),
+    contentType: 'application/json',
+    match: /^POST \S*\/invitations/
+  });
+
+  it('sends the access_expiring message once and marks it after delivery', async () => {
+    const { scheduler, space } = await setup();
+
+    assert.deepStrictEqual(await scheduler.tick(), { warned: 1, expired: 0, failed: 0 });
+    assert.deepStrictEqual(await scheduler.tick(), { warned: 0, expired: 0, failed: 0 });
+
+    const [invitation] = mock.server.state.invitations;
+    assert.strictEqual(invitation.spaceId, space.id);
+    assert.deepStrictEqual(invitation.recipients, ['sam@example.org', 'lead@example.org']);
+    assert.strictEqual(invitation.subject, "Your access to Test Org's virtual office is ending soon");
+    assert.match(invitation.message, /^Hi Sam!/);
+    assert.match(invitation.message, /ends on .* GMT/);
+    const [entry] = await scheduler.list();
+    assert.ok(entry.warnedAt);
+    assert.strictEqual(entry.warningError, null);
+  });
+
+  it('retries a warning that could not be delivered instead of marking it sent', async () => {
+    const { scheduler } = await setup();
+    refuseInvitations();
+    const now = Date.now();
+
+    assert.deepStrictEqual(await scheduler.tick(now), { warned: 0, expired: 0, failed: 1 });
+    let [entry] = await scheduler.list();
+    assert.strictEqual(entry.warnedAt, null);
+    assert.match(entry.warningError, /refused/);
+
+    assert.deepStrictEqual(await scheduler.tick(now + 60 * 1000), { warned: 0, expired: 0, failed: 0 });
+    assert.deepStrictEqual(await scheduler.tick(now + WARNING_RETRY_MS), { warned: 1, expired: 0, failed: 0 });
+    [entry] = await scheduler.list();
+    assert.ok(entry.warnedAt);
+  });
+
+  it('revokes access once it has ended', async () => {
+    const { scheduler, space } = await setup();
+
+    assert.deepStrictEqual(await scheduler.tick(Date.now() + 3 * HOUR), { warned: 0, expired: 1, failed: 0 });
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 0);
+  });
+
+  it('retries a failed revocation after a delay', async () => {
+    const { scheduler, space } = await setup();
+    mock.server.injectFault({ status: 400, body: JSON.stringify({ message: 'refused' }), contentType: 'application/json', match: /^DELETE / });
+    const expiredAt = Date.now() + 3 * HOUR;
+
+    assert.deepStrictEqual(await scheduler.tick(expiredAt), { warned: 0, expired: 0, failed: 1 });
+    const [entry] = await scheduler.list();
+    assert.strictEqual(entry.status, 'active');
+    assert.strictEqual(entry.attempts, 1);
+    assert.strictEqual(entry.nextAttemptAt, new Date(expiredAt + EXPIRY_RETRY_MS).toISOString());
+
+    assert.deepStrictEqual(await scheduler.tick(expiredAt + 60 * 1000), { warned: 0, expired: 0, failed: 0 });
+    assert.deepStrictEqual(await scheduler.tick(expiredAt + EXPIRY_RETRY_MS), { warned: 0, expired: 1, failed: 0 });
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 0);
+  });
+
+  it('doubles the delay between attempts and gives up after the last one', async () => {
+    const { scheduler, space } = await setup();
+    mock.server.injectFault({
+      status: 400, body: JSON.stringify({ message: 'refused' }), contentType: 'application/json', match: /^DELETE /, times: MAX_EXPIRY_ATTEMPTS
+    });
+    let now = Date.now() + 3 * HOUR;
+
+    for (let attempt = 1; attempt <= MAX_EXPIRY_ATTEMPTS; attempt++) {
+      assert.deepStrictEqual(await scheduler.tick(now), { warned: 0, expired: 0, failed: 1 });
+      now += EXPIRY_RETRY_MS * 2 ** (attempt - 1);
+    }
+
+    const [entry] = await scheduler.list();
+    assert.strictEqual(entry.status, 'failed');
+    assert.strictEqual(entry.attempts, MAX_EXPIRY_ATTEMPTS);
+    assert.strictEqual(entry.nextAttemptAt, null);
+    assert.match(entry.error, /refused/);
+    assert.deepStrictEqual(await scheduler.tick(now + HOUR), { warned: 0, expired: 0, failed: 0 });
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 1);
+  });
+
+  it('downgrades to the visitor role defined in the role registry', async () => {
+    const roles = new RoleRegistry({ roles: { visitor: { permissions: ['can_use_chat', 'can_share_screen'] } } });
+    const { scheduler, space } = await setup({ managerOptions: { roles }, onExpiry: 'downgrade' });
+
+    const [entry] = await scheduler.list();
+    assert.deepStrictEqual(entry.downgradeTo, { role: 'visitor', permissions: ['can_use_chat', 'can_share_screen'] });
+    assert.deepStrictEqual(await scheduler.tick(Date.now() + 3 * HOUR), { warned: 0, expired: 1, failed: 0 });
+    const [guest] = mock.server.state.guests.get(space.id).values();
+    assert.strictEqual(guest.role, 'visitor');
+    assert.deepStrictEqual(guest.permissions, ['can_use_chat', 'can_share_screen']);
+  });
+
+  it('keeps the process alive only when asked to', async () => {
+    const { scheduler } = await setup();
+
+    scheduler.start(HOUR);
+    assert.strictEqual(scheduler.timer.hasRef(), false);
+    scheduler.start(HOUR, { keepAlive: true });
+    assert.strictEqual(scheduler.timer.hasRef(), true);
+    scheduler.stop();
+    await scheduler.running;
+  });
+
+  it('runs a single check from the CLI with expiry run --once', async () => {
+    await setup();
+    const originalWrite = process.stdout.write;
+    let output = '';
+    process.stdout.write = (chunk) => { output += chunk; return true; };
+    try {
+      assert.strictEqual(await run(['expiry', 'run', '--once', '--json']), EXIT_CODES.SUCCESS);
+    } finally {
+      process.stdout.write = originalWrite;
+    }
+    assert.deepStrictEqual(JSON.parse(output), { warned: 1, expired: 0, failed: 0 });
+  });
+
+  describe('with SMTP as the fallback', () => {
+    const smtp = useMockSmtp();
+
+    it('emails the warning when Gather.Town refuses it', async () => {
+      const { scheduler } = await setup();
+      refuseInvitations();
+
+      assert.deepStrictEqual(await scheduler.tick(), { warned: 1, expired: 0, failed: 0 });
+      assert.strictEqual(mock.server.state.invitations.length, 0);
+      const [message] = smtp.server.messages;
+      assert.deepStrictEqual(message.to, ['sam@example.org', 'lead@example.org']);
+      assert.strictEqual(message.subject, "Your access to Test Org's virtual office is ending soon");
+    });
+  });
+});
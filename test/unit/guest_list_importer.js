@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, tempDir } = require('../helpers/env');
+const { GuestListImporter, formatImportReport, parseCsvRows } = require('../../guest_list_importer');
+
+describe('GuestListImporter', () => {
+  isolateEnv();
+
+  let dir;
+  beforeEach(() => { dir = tempDir(); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const writeFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  it('recognizes header aliases in any case', async () => {
+    const importer = new GuestListImporter();
+    const records = await importer.load(writeFile('guests.csv',
+      '\uFEFFFull Name,E-Mail,Access Role,Perms,Language\r\nSam Lee,SAM@Example.org,Facilitator,can_use_chat;can_mute,de\r\n'));
+
+    const { rows } = importer.validate(records);
+    assert.deepStrictEqual(rows[0].guest, {
+      name: 'Sam Lee',
+      locale: 'de',
+      email: 'sam@example.org',
+      role: 'facilitator',
+      permissions: ['can_use_chat', 'can_mute']
+    });
+    assert.strictEqual(rows[0].status, 'accept');
+  });
+
+  it('uses columnMap for headers it does not know', () => {
+    const importer = new GuestListImporter({ columnMap: { email: 'Contact', name: 'Who' } });
+    const { rows } = importer.validate([{ row: 2, fields: { Who: 'Ana', Contact: 'ana@example.org', Email: 'other@example.org' } }]);
+    assert.strictEqual(rows[0].guest.email, 'ana@example.org');
+    assert.strictEqual(rows[0].guest.name, 'Ana');
+  });
+
+  it('rejects later duplicates of an email, whatever their case, and skips guests already invited', () => {
+    const importer = new GuestListImporter();
+    const report = importer.validate(importer.parseCsv([
+      'Name,Email',
+      'Sam,sam@example.org',
+      'Sam again,SAM@EXAMPLE.ORG',
+      'Kai,kai@example.org'
+    ].join('\n')), new Set(['kai@example.org']));
+
+    assert.deepStrictEqual(report.rows.map(row => [row.row, row.status, row.reasons]), [
+      [2, 'accept', []],
+      [3, 'reject', ['Duplicate of row 2']],
+      [4, 'skip', ['Already on guest list']]
+    ]);
+    assert.deepStrictEqual(report.summary, { total: 3, accepted: 1, rejected: 1, skipped: 1 });
+    assert.deepStrictEqual(importer.acceptedGuests(report).map(guest => guest.email), ['sam@example.org']);
+  });
+
+  it('gives every reason a row is rejected', () => {
+    const importer = new GuestListImporter();
+    const { rows } = importer.validate(importer.parseJson(JSON.stringify({
+      guests: [
+        { email: 'not-an-email', role: 'owner' },
+        { email: 'ana@example.org', permissions: ['can_use_chat', 'can_fly'] },
+        { name: 'No Email' }
+      ]
+    })));
+
+    assert.deepStrictEqual(rows.map(row => row.reasons), [
+      ['Invalid email: not-an-email', 'Unknown role: owner (expected moderator, facilitator, member, visitor)'],
+      ['Unknown permissions: can_fly'],
+      ['Missing email']
+    ]);
+    assert.match(formatImportReport({ rows, summary: { total: 3, accepted: 0, rejected: 3, skipped: 0 } }), /❌ row 3: \(no email\) \[member\] - Missing email/);
+  });
+
+  it('fills in the role permissions when a row gives none', () => {
+    const importer = new GuestListImporter();
+    const { rows } = importer.validate([{ row: 1, fields: { email: 'ana@example.org', role: 'visitor' } }]);
+    assert.deepStrictEqual(rows[0].guest.permissions, ['can_use_chat']);
+  });
+
+  it('keeps quoted commas and newlines in a cell and numbers rows by their first line', () => {
+    const rows = parseCsvRows('name,notes\n"Lee, Sam","two\nlines"\nKai,"say ""hi"""\n');
+    assert.deepStrictEqual(rows, [
+      { number: 1, cells: ['name', 'notes'] },
+      { number: 2, cells: ['Lee, Sam', 'two\nlines'] },
+      { number: 4, cells: ['Kai', 'say "hi"'] }
+    ]);
+  });
+
+  it('refuses formats other than CSV and JSON', async () => {
+    const importer = new GuestListImporter();
+    await assert.rejects(importer.load(writeFile('guests.xlsx', '')), /Unsupported guest list format: xlsx/);
+  });
+});
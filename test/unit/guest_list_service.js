@@ -0,0 +1,79 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, useMockGather, tempDir } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { formatImportReport } = require('../../guest_list_importer');
+const { formatPlan } = require('../../guest_reconciler');
+
+describe('GuestListService', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  let manager;
+  let space;
+  let dir;
+  let printed;
+  let originalLog;
+
+  beforeEach(async () => {
+    manager = new FCGuestManager();
+    space = await manager.gatherApi.createSpace({ name: 'Office', capacity: 50 });
+    dir = tempDir();
+    // Library code leaves printing to its callers
+    printed = [];
+    originalLog = console.log;
+    console.log = (...args) => printed.push(args.join(' '));
+  });
+  afterEach(() => {
+    console.log = originalLog;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  it('returns the import report without printing it', async () => {
+    const file = writeFile('guests.csv', 'Name,Email,Role\nSam,SAM@example.org,member\nBad,not-an-email,member\n');
+
+    const preview = await manager.guestLists.importGuestList(space.id, file);
+    assert.deepStrictEqual(printed, []);
+    assert.deepStrictEqual(preview.report.summary, { total: 2, accepted: 1, rejected: 1, skipped: 0 });
+    assert.match(formatImportReport(preview.report), /✅ row \d+: sam@example.org/);
+    assert.strictEqual(mock.server.state.guests.get(space.id).size, 0);
+
+    const applied = await manager.guestLists.importGuestList(space.id, file, { dryRun: false });
+    assert.deepStrictEqual(applied.results.map(result => result.status), ['invited']);
+    assert.deepStrictEqual(printed, []);
+  });
+
+  it('returns the reconciliation plan without printing it', async () => {
+    const file = writeFile('guests.json', JSON.stringify({ guests: [{ email: 'sam@example.org', role: 'member' }] }));
+
+    const plan = await manager.guestLists.planGuestList(space.id, file);
+    assert.deepStrictEqual(printed, []);
+    assert.deepStrictEqual(plan.adds.map(add => add.email), ['sam@example.org']);
+    assert.match(formatPlan(plan), /\+ sam@example.org \(member\)/);
+  });
+
+  it('skips live guests without an email instead of planning changes for them', async () => {
+    const file = writeFile('guests.json', JSON.stringify({ guests: [{ email: 'sam@example.org', role: 'member' }] }));
+    mock.server.state.guests.get(space.id).set('guest-no-email', { id: 'guest-no-email', role: 'member' });
+
+    const plan = await manager.guestLists.planGuestList(space.id, file);
+    assert.deepStrictEqual(plan.skipped, [{ guestId: 'guest-no-email', role: 'member', reason: 'no email' }]);
+    assert.deepStrictEqual(plan.removals, []);
+    assert.deepStrictEqual(plan.adds.map(add => add.email), ['sam@example.org']);
+    assert.match(formatPlan(plan), /\? guest guest-no-email skipped \(no email\)/);
+    assert.match(formatPlan(plan), /1 skipped\.$/);
+  });
+
+  it('returns the implementation report without printing it', async () => {
+    const report = await manager.generateImplementationReport(space, []);
+    assert.deepStrictEqual(printed, []);
+    assert.ok(report);
+  });
+});
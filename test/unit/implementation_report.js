@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { buildImplementationReport } = require('../../implementation_report');
+
+describe('buildImplementationReport', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  it('reports branding only when the space carries the brand color and logo', async () => {
+    const manager = new FCGuestManager();
+    const space = await manager.createFCRemoteOffice();
+
+    const branded = await manager.generateImplementationReport(space);
+    assert.strictEqual(branded.spaceImplementation.brandingApplied, true);
+
+    const unbranded = await manager.generateImplementationReport({ ...space, customization: {} });
+    assert.strictEqual(unbranded.spaceImplementation.brandingApplied, false);
+  });
+
+  it('counts a request that a retry recovered as successful', async () => {
+    const manager = new FCGuestManager();
+    manager.gatherApi.retryConfig.backoffMs = 1;
+    const apiCalls = [];
+    manager.gatherApi.addResponseInterceptor((response, request) => {
+      apiCalls.push({ method: request.method, endpoint: request.endpoint, status: response.status,
+        durationMs: response.durationMs, requestId: request.requestId, attempt: request.attempt });
+    });
+    mock.server.injectFault({ status: 503, body: 'Unavailable', match: /^POST \S*\/spaces$/ });
+    const space = await manager.gatherApi.createSpace({ name: 'Office' });
+    await manager.gatherApi.getSpace(space.id);
+
+    const { apiCalls: api, apiIntegration } = buildImplementationReport({ space, apiCalls }).technicalValidation;
+    assert.strictEqual(apiIntegration, 'SUCCESSFUL');
+    assert.strictEqual(api.total, 2);
+    assert.strictEqual(api.failed, 0);
+    assert.strictEqual(api.retries, 1);
+    assert.deepStrictEqual(api.byStatus, { 200: 1, 201: 1, 503: 1 });
+  });
+
+  it('derives the business value from the run', () => {
+    const report = buildImplementationReport({
+      guestResults: [{ guest: 'sam@example.org', status: 'invited' }, { guest: 'bad@example.org', error: 'refused' }],
+      safety: { status: 'warning', error: 'settings rejected', settings: {} }
+    });
+
+    assert.deepStrictEqual(report.businessValue, {
+      demonstratedCapability: 'Guest list management (1 of 2 guests invited)',
+      technicalFeasibility: 'Demonstrated with issues (see problems)',
+      safetyConfiguration: 'Incomplete: settings rejected'
+    });
+  });
+});
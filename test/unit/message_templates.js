@@ -0,0 +1,94 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, tempDir } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { MessageTemplates, MessageTemplateError, renderTemplate } = require('../../message_templates');
+
+describe('MessageTemplates', () => {
+  isolateEnv();
+
+  const variables = {
+    organizationName: 'First Contact',
+    supportEmail: 'support@example.org',
+    techSupportEmail: 'tech@example.org',
+    role: 'member',
+    name: null,
+    pronouns: null,
+    spaceUrl: null
+  };
+
+  it('renders sections, inverted sections and placeholders, and lists the missing ones', () => {
+    const missing = new Set();
+    const text = renderTemplate('Hi {{#name}}{{name}}{{/name}}{{^name}}there{{/name}}{{#pronouns}} ({{pronouns}}){{/pronouns}} {{nmae}}',
+      { name: 'Sam', pronouns: '' }, { missing });
+    assert.strictEqual(text, 'Hi Sam ');
+    assert.deepStrictEqual([...missing], ['nmae']);
+  });
+
+  it('falls back from a regional locale to its language and then to the default', () => {
+    const messages = new MessageTemplates();
+
+    const spanish = messages.render('guest_invitation', { ...variables, name: 'Ana' }, 'es_MX');
+    assert.strictEqual(spanish.locale, 'es');
+    assert.strictEqual(spanish.subject, 'Te invitamos a la oficina virtual de First Contact');
+    assert.match(spanish.text, /^¡Hola, Ana! 🌈/);
+    assert.deepStrictEqual(spanish.missing, []);
+
+    const french = messages.render('guest_invitation', variables, 'fr');
+    assert.strictEqual(french.locale, 'en');
+    assert.match(french.text, /^Hi there! 🌈/);
+  });
+
+  it('escapes values in HTML templates and builds HTML for text-only ones', () => {
+    const messages = new MessageTemplates();
+
+    const english = messages.render('guest_invitation', { ...variables, name: '<b>Sam</b>' }, 'en');
+    assert.match(english.html, /^<p>Hi &lt;b&gt;Sam&lt;\/b&gt;! 🌈<\/p>/);
+    assert.match(english.text, /^Hi <b>Sam<\/b>! 🌈/);
+
+    const spanish = messages.render('guest_invitation', { ...variables, spaceUrl: 'https://app.gather.town/app/abc' }, 'es');
+    assert.match(spanish.html, /^<p>¡Hola! 🌈<\/p>\n<p>Te invitamos/);
+    assert.match(spanish.html, /Entra al espacio: https:\/\/app.gather.town\/app\/abc/);
+  });
+
+  it('takes copy from FC_MESSAGES_DIR before the built-in files', () => {
+    const dir = tempDir();
+    try {
+      fs.mkdirSync(path.join(dir, 'en'));
+      fs.writeFileSync(path.join(dir, 'en', 'guest_invitation.txt'), 'Welcome, {{name}}.');
+      fs.writeFileSync(path.join(dir, 'en', 'guest_invitation.html'), '<p>Welcome, {{name}}.</p>');
+      process.env.FC_MESSAGES_DIR = dir;
+
+      const message = new MessageTemplates().render('guest_invitation', { name: 'Kai' });
+      assert.strictEqual(message.text, 'Welcome, Kai.');
+      assert.strictEqual(message.html, '<p>Welcome, Kai.</p>');
+      assert.strictEqual(message.subject, "You're invited to 's virtual office");
+      assert.deepStrictEqual(message.missing, ['organizationName']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('names the available templates when one is missing', () => {
+    assert.throws(() => new MessageTemplates().render('farewell', variables), (error) => {
+      assert.ok(error instanceof MessageTemplateError);
+      assert.match(error.message, /Message template not found: farewell \(available: access_expiring, .*guest_invitation/);
+      return true;
+    });
+  });
+
+  it('fills in the organization, contacts and recipient for the guest invitation', () => {
+    process.env.GATHER_API_KEY = 'test-key';
+    process.env.FC_ORGANIZATION_NAME = 'FC North';
+    const manager = new FCGuestManager();
+
+    const fields = manager.messenger.guestInvitationFields(
+      { name: 'Ana', pronouns: 'she/her', role: 'facilitator', locale: 'es' },
+      { spaceUrl: 'https://app.gather.town/app/north' });
+    assert.match(fields.customMessage, /^¡Hola, Ana \(she\/her\)! 🌈/);
+    assert.match(fields.customMessage, /oficina virtual de FC North con el rol de facilitator/);
+    assert.match(fields.customMessage, /Entra al espacio: https:\/\/app.gather.town\/app\/north/);
+    assert.match(fields.customMessageHtml, /<p>/);
+  });
+});
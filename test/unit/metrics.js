@@ -0,0 +1,125 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const { MetricsRegistry } = require('../../metrics');
+const { GatherAPIClient } = require('../../gather_api_client');
+const { routeLabel } = require('../../gather_api_metrics');
+
+describe('MetricsRegistry', () => {
+  isolateEnv();
+
+  it('renders counters, gauges and histograms in the Prometheus text format', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('jobs_total', 'Jobs by status', ['status']).inc({ status: 'done' }, 2);
+    registry.gauge('queue_depth', 'Queued\nitems').set({}, 3);
+    const latency = registry.histogram('latency_seconds', 'Latency', ['route'], [0.1, 1]);
+    latency.observe({ route: '/a' }, 0.05);
+    latency.observe({ route: '/a' }, 2);
+
+    assert.strictEqual(registry.render(), [
+      '# HELP jobs_total Jobs by status',
+      '# TYPE jobs_total counter',
+      'jobs_total{status="done"} 2',
+      '# HELP queue_depth Queued\\nitems',
+      '# TYPE queue_depth gauge',
+      'queue_depth 3',
+      '# HELP latency_seconds Latency',
+      '# TYPE latency_seconds histogram',
+      'latency_seconds_bucket{route="/a",le="0.1"} 1',
+      'latency_seconds_bucket{route="/a",le="1"} 1',
+      'latency_seconds_bucket{route="/a",le="+Inf"} 2',
+      'latency_seconds_sum{route="/a"} 2.05',
+      'latency_seconds_count{route="/a"} 2',
+      ''
+    ].join('\n'));
+  });
+
+  it('snapshots every series as a plain object after running the collectors', () => {
+    const registry = new MetricsRegistry();
+    const active = registry.gauge('active', 'Active jobs');
+    let jobs = 4;
+    const removeCollector = registry.onCollect(() => active.set({}, jobs));
+    registry.histogram('size', 'Sizes', [], [10]).observe({}, 5);
+
+    assert.deepStrictEqual(registry.snapshot(), {
+      active: { type: 'gauge', help: 'Active jobs', series: [{ labels: {}, value: 4 }] },
+      size: { type: 'histogram', help: 'Sizes', series: [{ labels: {}, count: 1, sum: 5, buckets: { 10: 1, '+Inf': 1 } }] }
+    });
+    removeCollector();
+    jobs = 0;
+    assert.strictEqual(registry.snapshot().active.series[0].value, 4);
+  });
+
+  it('escapes label values and refuses unknown labels, decreasing counters and type clashes', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter('events_total', 'Events', ['name']);
+    counter.inc({ name: 'say "hi"\\' });
+
+    assert.match(registry.render(), /events_total\{name="say \\"hi\\"\\\\"\} 1/);
+    assert.throws(() => counter.inc({ other: 'x' }), /Unknown label\(s\) for events_total: other/);
+    assert.throws(() => counter.inc({}, -1), /can only increase/);
+    assert.strictEqual(registry.counter('events_total', 'Events', ['name']), counter);
+    assert.throws(() => registry.gauge('events_total', 'Events'), /already registered as a counter/);
+    assert.throws(() => registry.counter('bad name', 'Bad'), /Invalid metric name/);
+  });
+
+  it('removes the series matching some labels', () => {
+    const registry = new MetricsRegistry();
+    const guests = registry.gauge('guests', 'Guests', ['space_id', 'role']);
+    guests.inc({ space_id: 'a', role: 'member' });
+    guests.inc({ space_id: 'b', role: 'member' });
+
+    guests.remove({ space_id: 'a' });
+    assert.deepStrictEqual(registry.snapshot().guests.series.map(series => series.labels.space_id), ['b']);
+  });
+
+  it('serves the text format on GET /metrics only', async () => {
+    const registry = new MetricsRegistry();
+    registry.counter('hits_total', 'Hits').inc();
+    const url = await registry.listen();
+    try {
+      const response = await fetch(url);
+      assert.strictEqual(response.status, 200);
+      assert.match(response.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+      assert.match(await response.text(), /^hits_total 1$/m);
+      assert.strictEqual((await fetch(url, { method: 'POST' })).status, 405);
+      assert.strictEqual((await fetch(url.replace('/metrics', '/other'))).status, 404);
+    } finally {
+      await registry.close();
+    }
+  });
+});
+
+describe('GatherAPIClient metrics', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  it('counts requests by route template, retries and guests per role', async () => {
+    const registry = new MetricsRegistry();
+    const client = new GatherAPIClient(undefined, { metrics: registry });
+    client.retryConfig.backoffMs = 1;
+    const space = await client.createSpace({ name: 'Office' });
+    await client.addGuest(space.id, [{ email: 'a@example.org', role: 'member' }, { email: 'b@example.org', role: 'visitor' }]);
+    mock.server.injectFault({ status: 503, body: 'Unavailable', match: /^GET / });
+    await client.listAllGuests(space.id);
+
+    const snapshot = registry.snapshot();
+    const requests = snapshot.gather_api_requests_total.series.map(({ labels, value }) => [labels.method, labels.route, labels.status, value]);
+    assert.deepStrictEqual(requests, [
+      ['POST', '/spaces', '201', 1],
+      ['POST', '/spaces/:id/guests', '201', 1],
+      ['GET', '/spaces/:id/guests', '503', 1],
+      ['GET', '/spaces/:id/guests', '200', 1]
+    ]);
+    assert.deepStrictEqual(snapshot.gather_api_retries_total.series,
+      [{ labels: { method: 'GET', route: '/spaces/:id/guests', reason: '503' }, value: 1 }]);
+    assert.deepStrictEqual(snapshot.gather_space_guests.series.map(({ labels, value }) => [labels.role, value]),
+      [['member', 1], ['visitor', 1]]);
+    assert.strictEqual(snapshot.gather_api_request_duration_seconds.series.reduce((total, series) => total + series.count, 0), 4);
+  });
+
+  it('labels routes without the IDs or the query', () => {
+    assert.strictEqual(routeLabel('/spaces/abc/guests?limit=100'), '/spaces/:id/guests');
+    assert.strictEqual(routeLabel('/spaces/abc/guests/g1'), '/spaces/:id/guests/:id');
+    assert.strictEqual(routeLabel('/invitations'), '/invitations');
+  });
+});
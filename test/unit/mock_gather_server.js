@@ -0,0 +1,77 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+
+describe('MockGatherServer', () => {
+  isolateEnv();
+  const mock = useMockGather({ apiKeys: ['test-key'], pageSize: 2 });
+
+  const request = async (method, endpoint, body, key = 'test-key') => {
+    const response = await fetch(`${mock.baseUrl}${endpoint}`, {
+      method,
+      headers: { Authorization: `Bearer ${key}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  it('creates, reads and updates spaces', async () => {
+    const created = await request('POST', '/spaces', { name: 'Office', capacity: 40 });
+    assert.strictEqual(created.status, 201);
+    assert.match(created.body.id, /^space_/);
+
+    const updated = await request('PUT', `/spaces/${created.body.id}`, { capacity: 60 });
+    assert.strictEqual(updated.body.capacity, 60);
+    assert.strictEqual(updated.body.name, 'Office');
+
+    assert.strictEqual((await request('GET', '/spaces/space_missing')).status, 404);
+  });
+
+  it('rejects unknown API keys', async () => {
+    assert.strictEqual((await request('GET', '/spaces/x', null, 'other-key')).status, 401);
+  });
+
+  it('pages guests with cursors and filters them', async () => {
+    const { body: space } = await request('POST', '/spaces', { name: 'Office' });
+    const guests = ['a', 'b', 'c'].map(name => ({ email: `${name}@example.org`, role: name === 'a' ? 'moderator' : 'member' }));
+    await request('POST', `/spaces/${space.id}/guests`, { guests });
+
+    const first = await request('GET', `/spaces/${space.id}/guests`);
+    assert.strictEqual(first.body.guests.length, 2);
+    assert.strictEqual(first.body.total, 3);
+    const second = await request('GET', `/spaces/${space.id}/guests?cursor=${first.body.nextCursor}`);
+    assert.deepStrictEqual(second.body.guests.map(guest => guest.email), ['c@example.org']);
+    assert.strictEqual(second.body.nextCursor, null);
+
+    const moderators = await request('GET', `/spaces/${space.id}/guests?role=moderator`);
+    assert.deepStrictEqual(moderators.body.guests.map(guest => guest.email), ['a@example.org']);
+    assert.strictEqual((await request('GET', `/spaces/${space.id}/guests?cursor=bogus`)).status, 400);
+  });
+
+  it('answers a duplicate guest with 409', async () => {
+    const { body: space } = await request('POST', '/spaces', { name: 'Office' });
+    await request('POST', `/spaces/${space.id}/guests`, { guests: [{ email: 'a@example.org' }] });
+    const duplicate = await request('POST', `/spaces/${space.id}/guests`, { guests: [{ email: 'A@example.org' }] });
+    assert.strictEqual(duplicate.status, 409);
+  });
+
+  it('serves injected faults once, then routes normally', async () => {
+    mock.server.injectFault({ status: 502, body: 'Bad Gateway', match: /^GET \/api\/v2\/spaces/ });
+    const { body: space } = await request('POST', '/spaces', { name: 'Office' });
+    const failed = await fetch(`${mock.baseUrl}/spaces/${space.id}`, { headers: { Authorization: 'Bearer test-key' } });
+    assert.strictEqual(failed.status, 502);
+    assert.strictEqual((await request('GET', `/spaces/${space.id}`)).status, 200);
+  });
+
+  it('simulates rate limits with Retry-After', async () => {
+    mock.server.rateLimit = { requests: 1, windowMs: 60000 };
+    try {
+      assert.strictEqual((await request('POST', '/spaces', { name: 'Office' })).status, 201);
+      const limited = await request('POST', '/spaces', { name: 'Office' });
+      assert.strictEqual(limited.status, 429);
+      assert.ok(Number(limited.headers.get('retry-after')) > 0);
+    } finally {
+      mock.server.rateLimit = null;
+    }
+  });
+});
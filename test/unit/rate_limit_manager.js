@@ -0,0 +1,88 @@
+const assert = require('assert');
+const { isolateEnv, useMockGather } = require('../helpers/env');
+const { RateLimitManager, parseRetryAfter } = require('../../rate_limit_manager');
+const { GatherAPIClient, RateLimitError } = require('../../gather_api_client');
+
+describe('RateLimitManager', () => {
+  isolateEnv();
+
+  it('enforces the per-minute burst budget on top of the tier', async () => {
+    const limiter = new RateLimitManager({ tier: 'premium' });
+    const now = Date.now();
+    for (let i = 0; i < 100; i++) limiter.record('premium', now);
+
+    assert.ok(limiter.getWaitTime('premium', now) > 59000);
+    await assert.rejects(limiter.checkLimit(), RateLimitError);
+    assert.strictEqual(limiter.getWaitTime('premium', now + 60001), 0);
+  });
+
+  it('fails a queued request instead of waiting longer than maxQueueMs', async () => {
+    const limiter = new RateLimitManager({ tier: 'standard', maxQueueMs: 1000 });
+    limiter.blockedUntil = Date.now() + 60000;
+
+    await assert.rejects(limiter.acquire(), error => error instanceof RateLimitError && error.retryAfterMs > 1000);
+  });
+
+  it('serves queued requests in order once the block ends', async () => {
+    const limiter = new RateLimitManager({ tier: 'standard' });
+    limiter.blockedUntil = Date.now() + 30;
+    const order = [];
+
+    await Promise.all([1, 2, 3].map(id => limiter.acquire().then(() => order.push(id))));
+    assert.deepStrictEqual(order, [1, 2, 3]);
+    assert.strictEqual(limiter.usage.get('standard').length, 3);
+  });
+
+  it('blocks on Retry-After and on an exhausted X-RateLimit-Reset', () => {
+    const now = Date.now();
+    const limiter = new RateLimitManager({ tier: 'standard' });
+    limiter.updateFromHeaders(new Headers({ 'retry-after': '2' }), now);
+    assert.strictEqual(limiter.getWaitTime('standard', now), 2000);
+
+    const reset = Math.ceil(now / 1000) + 10;
+    limiter.updateFromHeaders(new Headers({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) }), now);
+    assert.strictEqual(limiter.getWaitTime('standard', now), reset * 1000 - now);
+  });
+
+  it('parses Retry-After as seconds or an HTTP date', () => {
+    const now = Date.parse('2025-01-01T00:00:00Z');
+    assert.strictEqual(parseRetryAfter('3', now), 3000);
+    assert.strictEqual(parseRetryAfter('Wed, 01 Jan 2025 00:00:05 GMT', now), 5000);
+    assert.strictEqual(parseRetryAfter('soon', now), null);
+    assert.strictEqual(parseRetryAfter(null, now), null);
+  });
+
+  it('rejects an unknown tier', () => {
+    assert.throws(() => new RateLimitManager({ tier: 'gold' }), /Unknown rate limit tier: gold/);
+  });
+});
+
+describe('GatherAPIClient rate limiting', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  it('sends every request through the shared limiter', async () => {
+    const rateLimiter = new RateLimitManager({ tier: 'standard' });
+    const client = new GatherAPIClient(undefined, { rateLimiter });
+
+    const space = await client.createSpace({ name: 'Office' });
+    await client.getSpace(space.id);
+    await client.addGuest(space.id, [{ email: 'sam@example.org', role: 'member' }]);
+    assert.strictEqual(rateLimiter.usage.get('burst').length, 3);
+  });
+
+  it('holds requests back once the server reports the window is used up', async () => {
+    const client = new GatherAPIClient(undefined, { rateLimiter: new RateLimitManager({ tier: 'standard', maxQueueMs: 100 }) });
+    const space = await client.createSpace({ name: 'Office' });
+    mock.server.rateLimit = { requests: 1, windowMs: 60000 };
+    try {
+      await client.getSpace(space.id);
+      mock.server.requestLog = [];
+
+      await assert.rejects(client.getSpace(space.id), RateLimitError);
+      assert.strictEqual(mock.server.requestLog.length, 0);
+    } finally {
+      mock.server.rateLimit = null;
+    }
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, tempDir } = require('../helpers/env');
+const { RoleRegistry, RoleValidationError, PERMISSIONS } = require('../../roles');
+
+describe('RoleRegistry', () => {
+  isolateEnv();
+
+  it('defines the built-in roles', () => {
+    const roles = new RoleRegistry({});
+    assert.deepStrictEqual(roles.names(), ['moderator', 'facilitator', 'member', 'visitor']);
+    assert.deepStrictEqual(roles.permissionsFor('moderator'), PERMISSIONS);
+    assert.deepStrictEqual(roles.permissionsFor('visitor'), ['can_use_chat']);
+  });
+
+  it('rejects an unknown permission and suggests the closest one', () => {
+    const roles = new RoleRegistry({});
+    assert.throws(() => roles.validatePermissions(['can_use_chat', 'can_mutee', 'fly'], 'guest'), (error) => {
+      assert.ok(error instanceof RoleValidationError);
+      assert.strictEqual(error.message, 'Unknown permission in guest: can_mutee (did you mean can_mute?), fly');
+      assert.deepStrictEqual(error.unknown, ['can_mutee', 'fly']);
+      return true;
+    });
+  });
+
+  it('extends a role with permissions declared in the config', () => {
+    const roles = new RoleRegistry({
+      permissions: ['can_run_polls'],
+      roles: { host: { extends: 'member', permissions: ['can_mute', 'can_run_polls'], description: 'Event host' } }
+    });
+    assert.deepStrictEqual(roles.permissionsFor('host'), ['can_use_chat', 'can_share_screen', 'can_mute', 'can_run_polls']);
+
+    assert.throws(() => new RoleRegistry({ roles: { host: { permissions: ['can_run_polls'] } } }),
+      /Unknown permission in role "host": can_run_polls/);
+    assert.throws(() => new RoleRegistry({ roles: { host: { extends: 'owner' } } }), /Unknown role: owner/);
+  });
+
+  it('fills in role permissions for a guest and keeps explicit ones', () => {
+    const roles = new RoleRegistry({});
+    assert.deepStrictEqual(roles.resolveGuest({ email: 'sam@example.org' }),
+      { email: 'sam@example.org', role: 'member', permissions: ['can_use_chat', 'can_share_screen'] });
+    assert.deepStrictEqual(roles.resolveGuest({ email: 'sam@example.org', role: 'visitor', permissions: ['can_mute'] }).permissions,
+      ['can_mute']);
+    assert.throws(() => roles.resolveGuest({ email: 'sam@example.org', role: 'owner' }), RoleValidationError);
+    assert.throws(() => roles.resolveGuest({ email: 'sam@example.org', permissions: ['can_use_caht'] }),
+      /Unknown permission in sam@example.org: can_use_caht \(did you mean can_use_chat\?\)/);
+  });
+
+  it('compares a guest with what their role grants', () => {
+    const roles = new RoleRegistry({});
+    const report = roles.effectivePermissions({ email: 'sam@example.org', role: 'member', permissions: ['can_use_chat', 'can_mute', 'can_fly'] });
+    assert.deepStrictEqual(report.missing, ['can_share_screen']);
+    assert.deepStrictEqual(report.extra, ['can_fly', 'can_mute']);
+    assert.deepStrictEqual(report.unknown, ['can_fly']);
+    assert.strictEqual(report.matchesRole, false);
+    assert.strictEqual(roles.effectivePermissions({ role: 'visitor', permissions: ['can_use_chat'] }).matchesRole, true);
+  });
+
+  it('reads custom roles from FC_ROLES_FILE', () => {
+    const dir = tempDir();
+    try {
+      process.env.FC_ROLES_FILE = path.join(dir, 'roles.json');
+      fs.writeFileSync(process.env.FC_ROLES_FILE, JSON.stringify({ roles: { speaker: { extends: 'visitor', permissions: ['can_share_screen'] } } }));
+      assert.deepStrictEqual(new RoleRegistry().permissionsFor('speaker'), ['can_use_chat', 'can_share_screen']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,102 @@
+const assert = require('assert');
+const { isolateEnv } = require('../helpers/env');
+const { IncidentManager, IncidentError, DEFAULT_SLA } = require('../../safety_incidents');
+
+describe('IncidentManager', () => {
+  isolateEnv();
+
+  const setup = (options = {}) => {
+    const notified = [];
+    const incidents = new IncidentManager({
+      notify: async (incident, reason) => { notified.push({ id: incident.id, reason }); },
+      ...options
+    });
+    return { incidents, notified };
+  };
+
+  it('derives severity from the category and escalates only high and critical incidents', async () => {
+    const { incidents, notified } = setup();
+
+    const harassment = await incidents.intake({ category: 'harassment', description: 'slurs in chat' });
+    const technical = await incidents.intake({ category: 'technical_issue' });
+    const emergency = await incidents.intake({ category: 'technical_issue', emergency: true });
+    const unknown = await incidents.intake({ category: 'spam' });
+
+    assert.deepStrictEqual([harassment, technical, emergency, unknown].map(incident => [incident.category, incident.severity]),
+      [['harassment', 'high'], ['technical_issue', 'low'], ['technical_issue', 'critical'], ['other', 'medium']]);
+    assert.deepStrictEqual(notified, [{ id: harassment.id, reason: 'immediate' }, { id: emergency.id, reason: 'immediate' }]);
+    assert.ok(harassment.escalatedAt);
+    assert.strictEqual(technical.escalatedAt, null);
+    assert.strictEqual(Date.parse(emergency.acknowledgeBy) - Date.parse(emergency.receivedAt), DEFAULT_SLA.critical.acknowledgeMs);
+  });
+
+  it('keeps no reporter for an anonymous report and records a report only once', async () => {
+    const { incidents } = setup();
+
+    const first = await incidents.intake({ reportId: 'r1', category: 'other', anonymous: true, reporterEmail: 'sam@example.org' });
+    const again = await incidents.intake({ reportId: 'r1', category: 'other', anonymous: true, reporterEmail: 'sam@example.org' });
+
+    assert.strictEqual(first.reporterEmail, null);
+    assert.strictEqual(again.id, first.id);
+    assert.strictEqual((await incidents.list()).length, 1);
+    assert.doesNotMatch(JSON.stringify(await incidents.list()), /sam@example\.org/);
+  });
+
+  it('acknowledges, annotates and resolves an incident in order', async () => {
+    const { incidents } = setup();
+    const { id } = await incidents.intake({ category: 'inappropriate_behavior' });
+
+    await incidents.acknowledge(id, 'mod@example.org');
+    await assert.rejects(incidents.acknowledge(id, 'mod@example.org'), /already acknowledged/);
+    await incidents.addNote(id, 'mod@example.org', 'Spoke with both guests');
+    assert.throws(() => incidents.resolve(id, 'mod@example.org', ' '), IncidentError);
+    const resolved = await incidents.resolve(id, 'mod@example.org', 'Warning issued');
+
+    assert.strictEqual(resolved.status, 'resolved');
+    assert.deepStrictEqual(resolved.timeline.map(entry => entry.type), ['received', 'acknowledged', 'note', 'resolved']);
+    await assert.rejects(incidents.resolve(id, 'mod@example.org', 'again'), /already resolved/);
+    await assert.rejects(incidents.get('inc_missing'), /Incident not found: inc_missing/);
+  });
+
+  it('records missed deadlines once and escalates them', async () => {
+    const { incidents, notified } = setup();
+    const { id } = await incidents.intake({ category: 'other' });
+
+    const later = Date.now() + DEFAULT_SLA.medium.resolveMs + 1000;
+    assert.deepStrictEqual(await incidents.checkSlas(later), { breached: 2, escalated: 2 });
+    assert.deepStrictEqual(await incidents.checkSlas(later), { breached: 0, escalated: 0 });
+
+    const incident = await incidents.get(id);
+    assert.deepStrictEqual(incident.slaBreaches.map(breach => breach.type), ['acknowledgement', 'resolution']);
+    assert.deepStrictEqual(notified.map(item => item.reason), ['acknowledgement SLA missed', 'resolution SLA missed']);
+    assert.deepStrictEqual((await incidents.list({ breached: true })).map(item => item.id), [id]);
+  });
+
+  it('keeps a failed escalation on the timeline and retries it on the next check', async () => {
+    let failing = true;
+    const { incidents } = setup({
+      notify: async () => { if (failing) throw new Error('SMTP down'); }
+    });
+
+    const incident = await incidents.intake({ category: 'discrimination' });
+    assert.strictEqual(incident.escalatedAt, null);
+    assert.deepStrictEqual(incident.timeline[1], { at: incident.timeline[1].at, type: 'escalation_failed', by: 'system', text: 'SMTP down' });
+
+    failing = false;
+    assert.deepStrictEqual(await incidents.checkSlas(), { breached: 0, escalated: 1 });
+    assert.ok((await incidents.get(incident.id)).escalatedAt);
+  });
+
+  it('summarizes incidents by status and severity', async () => {
+    const { incidents } = setup();
+    const { id } = await incidents.intake({ category: 'harassment' });
+    await incidents.intake({ category: 'technical_issue' });
+    await incidents.acknowledge(id, 'mod@example.org');
+
+    const summary = await incidents.summary();
+    assert.strictEqual(summary.total, 2);
+    assert.deepStrictEqual(summary.byStatus, { open: 1, acknowledged: 1 });
+    assert.deepStrictEqual(summary.bySeverity, { low: 1, high: 1 });
+    assert.ok(summary.meanTimeToAcknowledgeMs >= 0);
+  });
+});
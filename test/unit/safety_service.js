@@ -0,0 +1,55 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, useMockGather, tempDir } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+
+describe('SafetyService', () => {
+  isolateEnv();
+  const mock = useMockGather();
+
+  let dir;
+  beforeEach(() => { dir = tempDir(); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const writeProfiles = (profile) => {
+    const filePath = path.join(dir, 'profiles.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      profiles: { north: { apiKey: 'test-key', baseUrl: mock.baseUrl, ...profile } }
+    }));
+    return filePath;
+  };
+
+  it('puts the environment organization and contacts into the guidelines', async () => {
+    process.env.FC_ORGANIZATION_NAME = 'Test Org';
+    process.env.FC_SAFETY_EMAIL = 'safety@example.org';
+    const manager = new FCGuestManager();
+    const space = await manager.createFCRemoteOffice();
+
+    const guidelines = mock.server.state.spaces.get(space.id).safetySettings.communityGuidelines.content;
+    assert.match(guidelines, /^🌈 Test Org Community Guidelines/);
+    assert.match(guidelines, /Safety Team: safety@example\.org/);
+    assert.strictEqual(guidelines, manager.getFCCommunityGuidelines());
+  });
+
+  it('uses the active profile contacts instead of First Contact ones', () => {
+    const profilesFile = writeProfiles({ organizationName: 'FC North', contactEmail: 'north@example.org' });
+    const guidelines = new FCGuestManager(undefined, { profile: 'north', profilesFile }).getFCCommunityGuidelines();
+
+    assert.match(guidelines, /FC North Community Guidelines/);
+    assert.match(guidelines, /General Support: north@example\.org/);
+    assert.match(guidelines, /Safety Team: north@example\.org/);
+    assert.doesNotMatch(guidelines, /firstcontact/i);
+  });
+
+  it('takes the wording from the profile messageDirs', () => {
+    fs.mkdirSync(path.join(dir, 'messages', 'en'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'messages', 'en', 'community_guidelines.txt'), 'Be kind in {{organizationName}}. Write to {{safetyEmail}}.');
+    const profilesFile = writeProfiles({
+      organizationName: 'FC North', contactEmail: 'north@example.org', messageDirs: [path.join(dir, 'messages')]
+    });
+
+    assert.strictEqual(new FCGuestManager(undefined, { profile: 'north', profilesFile }).getFCCommunityGuidelines(),
+      'Be kind in FC North. Write to north@example.org.');
+  });
+});
@@ -0,0 +1,49 @@
+const assert = require('assert');
+const { isolateEnv, useMockSmtp } = require('../helpers/env');
+const { SmtpClient, SmtpError } = require('../../smtp_client');
+const { readSetting, resolveConfig } = require('../../config_schema');
+
+describe('SmtpClient', () => {
+  isolateEnv();
+  const smtp = useMockSmtp();
+
+  const message = { to: 'sam@example.org', subject: 'Hello', text: 'Hi Sam' };
+
+  it('sends through a plaintext relay when no credentials are configured', async () => {
+    const sent = await new SmtpClient().sendMail(message);
+
+    assert.deepStrictEqual(sent.accepted, ['sam@example.org']);
+    assert.strictEqual(smtp.server.messages[0].subject, 'Hello');
+  });
+
+  it('refuses to authenticate over plaintext by default', async () => {
+    process.env.SMTP_USER = 'office@example.org';
+    process.env.SMTP_PASS = 'app-password';
+    assert.strictEqual(readSetting('SMTP_REQUIRE_TLS'), true);
+
+    await assert.rejects(new SmtpClient().sendMail(message), (error) => {
+      assert.ok(error instanceof SmtpError);
+      assert.match(error.message, /does not offer STARTTLS; refusing to send SMTP credentials/);
+      assert.strictEqual(error.permanent, true);
+      return true;
+    });
+    assert.ok(!smtp.server.sessions[0].commands.includes('AUTH'));
+    assert.strictEqual(smtp.server.messages.length, 0);
+  });
+
+  it('authenticates over plaintext only with SMTP_REQUIRE_TLS=false', async () => {
+    process.env.SMTP_USER = 'office@example.org';
+    process.env.SMTP_PASS = 'app-password';
+    process.env.SMTP_REQUIRE_TLS = 'false';
+
+    await new SmtpClient().sendMail(message);
+    assert.ok(smtp.server.sessions[0].commands.includes('AUTH'));
+    assert.strictEqual(smtp.server.messages.length, 1);
+  });
+
+  it('warns about plaintext credentials for a remote server', () => {
+    const env = { SMTP_HOST: 'smtp.example.org', SMTP_USER: 'office@example.org', SMTP_PASS: 'x', SMTP_REQUIRE_TLS: 'false' };
+    assert.match(resolveConfig(env).warnings.join('\n'), /SMTP_REQUIRE_TLS=false/);
+    assert.deepStrictEqual(resolveConfig({ ...env, SMTP_HOST: '127.0.0.1' }).warnings, []);
+  });
+});
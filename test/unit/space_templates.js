@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { isolateEnv, tempDir } = require('../helpers/env');
+const FCGuestManager = require('../../fc_guest_manager');
+const { SpaceTemplateLoader, TemplateError, DEFAULT_TEMPLATE_DIR } = require('../../space_templates');
+
+describe('SpaceTemplateLoader', () => {
+  isolateEnv();
+
+  let dir;
+  beforeEach(() => { dir = tempDir(); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const writeTemplate = (name, template) => fs.writeFileSync(path.join(dir, `${name}.json`), JSON.stringify(template));
+  const loader = () => new SpaceTemplateLoader({ directories: [dir, DEFAULT_TEMPLATE_DIR] });
+  const area = (name, capacity) => ({ name, capacity });
+
+  beforeEach(() => {
+    writeTemplate('base', {
+      variables: { capacity: 20, title: '${organizationName} Base' },
+      space: {
+        name: '${title}',
+        capacity: '${capacity}',
+        isPrivate: true,
+        customization: { welcomeMessage: 'Hi from ${organizationName}', layout: { workAreas: [area('Hall', 20)] } }
+      }
+    });
+  });
+
+  it('builds every shipped template with the default branding', async () => {
+    process.env.GATHER_API_KEY = 'test-key';
+    const manager = new FCGuestManager();
+    for (const name of ['community_event', 'office', 'workshop']) {
+      const spaceConfig = await manager.buildSpaceConfig(name);
+      assert.strictEqual(spaceConfig.customization.backgroundColor, '#FF6B35', name);
+      assert.ok(Number.isInteger(spaceConfig.capacity), name);
+    }
+  });
+
+  it('merges a child over its parent and keeps the type of a whole-value variable', async () => {
+    writeTemplate('child', {
+      extends: 'base',
+      variables: { capacity: 30 },
+      space: { isPrivate: false, customization: { layout: { workAreas: [area('Stage', 30)] } } }
+    });
+
+    const spaceConfig = await loader().build('child', { organizationName: 'FC North' });
+    assert.deepStrictEqual(spaceConfig, {
+      name: 'FC North Base',
+      capacity: 30,
+      isPrivate: false,
+      customization: { welcomeMessage: 'Hi from FC North', layout: { workAreas: [area('Stage', 30)] } }
+    });
+  });
+
+  it('lets overrides win over the context and the template defaults', async () => {
+    const spaceConfig = await loader().build('base', { organizationName: 'FC', capacity: 40 }, { capacity: 12, title: 'Standup' });
+    assert.strictEqual(spaceConfig.capacity, 12);
+    assert.strictEqual(spaceConfig.name, 'Standup');
+  });
+
+  it('reports every schema violation at once', async () => {
+    writeTemplate('broken', {
+      extends: 'base',
+      space: { capacity: 0, customization: { backgroundColor: 'orange', layout: { workAreas: [{ name: 'Hall', seats: 5 }] } } }
+    });
+
+    await assert.rejects(loader().build('broken', { organizationName: 'FC' }), (error) => {
+      assert.ok(error instanceof TemplateError);
+      assert.deepStrictEqual(error.errors, [
+        'space.capacity: must be >= 1',
+        'space.customization.layout.workAreas[0].capacity: is required',
+        'space.customization.layout.workAreas[0].seats: unknown property',
+        'space.customization.backgroundColor: "orange" does not match ^#[0-9A-Fa-f]{6}$'
+      ]);
+      return true;
+    });
+  });
+
+  it('names an unknown variable, a circular chain and a missing template', async () => {
+    await assert.rejects(loader().build('base'), /Unknown template variable \$\{organizationName\} in base.variables/);
+
+    writeTemplate('a', { extends: 'b', space: {} });
+    writeTemplate('b', { extends: 'a', space: {} });
+    await assert.rejects(loader().build('a'), /Circular template inheritance: a -> b -> a/);
+
+    await assert.rejects(loader().build('gala'), /Space template not found: gala \(available: .*base.*office/);
+  });
+
+  it('prefers a template in FC_TEMPLATE_DIR over the built-in one of the same name', async () => {
+    writeTemplate('office', { extends: 'base', space: { name: 'Custom office' } });
+    process.env.FC_TEMPLATE_DIR = dir;
+
+    const spaceConfig = await new SpaceTemplateLoader().build('office', { organizationName: 'FC' });
+    assert.strictEqual(spaceConfig.name, 'Custom office');
+  });
+});
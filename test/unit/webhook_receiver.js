@@ -0,0 +1,74 @@
+const assert = require('assert');
+const { isolateEnv } = require('../helpers/env');
+const { WebhookReceiver, signPayload, checkWebhookSecret, ReportFiledEvent } = require('../../webhook_receiver');
+
+const SECRET = 'a3f9c2e81b7d4056a3f9c2e81b7d4056';
+
+describe('WebhookReceiver', () => {
+  isolateEnv();
+  let receiver;
+  let url;
+
+  beforeEach(async () => {
+    receiver = new WebhookReceiver({ secret: SECRET, maxBodyBytes: 4096 });
+    url = await receiver.listen();
+  });
+  afterEach(() => receiver.close());
+
+  const deliver = (payload, { secret = SECRET, timestamp = Date.now() } = {}) => {
+    const rawBody = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    return fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Gather-Timestamp': String(timestamp),
+        'X-Gather-Signature': signPayload(secret, timestamp, rawBody)
+      },
+      body: rawBody
+    });
+  };
+
+  it('dispatches verified deliveries as typed events', async () => {
+    const received = new Promise(resolve => receiver.on('report.filed', resolve));
+    const response = await deliver({
+      id: 'evt_1',
+      type: 'report.filed',
+      spaceId: 's1',
+      data: { reportId: 'r1', anonymous: true, reporterEmail: 'who@example.org' }
+    });
+
+    assert.strictEqual(response.status, 202);
+    const event = await received;
+    assert.ok(event instanceof ReportFiledEvent);
+    assert.strictEqual(event.reporterEmail, null);
+    assert.strictEqual(event.raw.data.reporterEmail, undefined);
+  });
+
+  it('rejects bad signatures, stale timestamps and replays', async () => {
+    const payload = { id: 'evt_2', type: 'guest.joined', spaceId: 's1' };
+    assert.strictEqual((await deliver(payload, { secret: 'b'.repeat(32) })).status, 401);
+    assert.strictEqual((await deliver(payload, { timestamp: Date.now() - 10 * 60 * 1000 })).status, 401);
+    assert.strictEqual((await deliver(payload)).status, 202);
+    assert.strictEqual((await deliver(payload)).status, 409);
+  });
+
+  it('answers 413 to bodies over the size limit without reading them', async () => {
+    const payload = { id: 'evt_3', type: 'guest.joined', spaceId: 's1', data: { padding: 'x'.repeat(8192) } };
+    const response = await deliver(payload);
+
+    assert.strictEqual(response.status, 413);
+    assert.match((await response.json()).message, /exceeds 4096 bytes/);
+  });
+
+  it('refuses missing, short and placeholder secrets', () => {
+    assert.throws(() => new WebhookReceiver({}), /secret is required/);
+    assert.throws(() => new WebhookReceiver({ secret: 'short' }), /placeholder/);
+    assert.throws(() => new WebhookReceiver({ secret: 'change_me_to_a_long_random_string' }), /placeholder/);
+    assert.strictEqual(checkWebhookSecret(SECRET), SECRET);
+  });
+
+  it('reads the secret from GATHER_WEBHOOK_SECRET', () => {
+    process.env.GATHER_WEBHOOK_SECRET = SECRET;
+    assert.strictEqual(new WebhookReceiver().secret, SECRET);
+  });
+});
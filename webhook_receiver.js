@@ -0,0 +1,339 @@
+const http = require('http');
+const crypto = require('crypto');
+const { createLogger } = require('./logger');
+const { readSetting } = require('./config_schema');
+
+const logger = createLogger('webhooks');
+
+/**
+ * Gather.Town Webhook Receiver
+ * Verifies, parses and dispatches space events delivered to webhooks
+ * registered through GatherAPIClient.createWebhook()
+ */
+
+const EVENT_TYPES = {
+  GUEST_JOINED: 'guest.joined',
+  GUEST_LEFT: 'guest.left',
+  REPORT_FILED: 'report.filed',
+  INVITATION_ACCEPTED: 'invitation.accepted'
+};
+
+const SIGNATURE_HEADER = 'x-gather-signature';
+const TIMESTAMP_HEADER = 'x-gather-timestamp';
+// Event payloads are a few KB; anything near this is not from Gather.Town
+const MAX_BODY_BYTES = 1024 * 1024;
+// Example values from .env.example and the docs, which anyone can sign with
+const PLACEHOLDER_SECRET = /change_?me|replace_?me|your[_-]?secret|^secret$|^example/i;
+const MIN_SECRET_LENGTH = 16;
+
+/**
+ * Typed event classes
+ */
+class SpaceEvent {
+  constructor(payload) {
+    this.id = payload.id;
+    this.type = payload.type;
+    this.spaceId = payload.spaceId;
+    this.occurredAt = new Date(payload.occurredAt || Date.now());
+    this.raw = payload;
+  }
+}
+
+class GuestJoinedEvent extends SpaceEvent {
+  constructor(payload) {
+    super(payload);
+    const data = payload.data || {};
+    this.guestId = data.guestId;
+    this.email = data.email;
+    this.name = data.name;
+  }
+}
+
+class GuestLeftEvent extends SpaceEvent {
+  constructor(payload) {
+    super(payload);
+    const data = payload.data || {};
+    this.guestId = data.guestId;
+    this.email = data.email;
+    this.durationSeconds = data.durationSeconds ?? null;
+  }
+}
+
+class ReportFiledEvent extends SpaceEvent {
+  constructor(payload) {
+    super(payload);
+    const data = payload.data || {};
+    this.reportId = data.reportId;
+    this.category = data.category || 'other';
+    this.anonymous = Boolean(data.anonymous);
+    this.reporterEmail = this.anonymous ? null : data.reporterEmail || null;
+    this.subjectGuestId = data.subjectGuestId || null;
+    this.description = data.description || '';
+    this.emergency = Boolean(data.emergency);
+
+    if (this.anonymous) {
+      // Whatever identifies the reporter is dropped, not just hidden
+      const { reporterEmail, reporterId, reporterName, ...rest } = data;
+      this.raw = { ...payload, data: rest };
+    }
+  }
+}
+
+class InvitationAcceptedEvent extends SpaceEvent {
+  constructor(payload) {
+    super(payload);
+    const data = payload.data || {};
+    this.invitationId = data.invitationId;
+    this.email = data.email;
+    this.guestId = data.guestId || null;
+  }
+}
+
+const EVENT_CLASSES = {
+  [EVENT_TYPES.GUEST_JOINED]: GuestJoinedEvent,
+  [EVENT_TYPES.GUEST_LEFT]: GuestLeftEvent,
+  [EVENT_TYPES.REPORT_FILED]: ReportFiledEvent,
+  [EVENT_TYPES.INVITATION_ACCEPTED]: InvitationAcceptedEvent
+};
+
+/**
+ * Turn a raw webhook payload into a typed event
+ */
+function parseEvent(payload) {
+  if (!payload || typeof payload !== 'object' || !payload.id || !payload.type) {
+    throw new WebhookError(400, 'Webhook payload requires id and type');
+  }
+
+  const EventClass = EVENT_CLASSES[payload.type] || SpaceEvent;
+  return new EventClass(payload);
+}
+
+/**
+ * Throw unless the secret is set and is not a placeholder or too short to
+ * resist guessing; returns it
+ */
+function checkWebhookSecret(secret) {
+  if (!secret) {
+    throw new Error('Webhook secret is required to verify deliveries (set GATHER_WEBHOOK_SECRET)');
+  }
+  if (PLACEHOLDER_SECRET.test(secret) || secret.length < MIN_SECRET_LENGTH) {
+    throw new Error(`Webhook secret looks like a placeholder; set GATHER_WEBHOOK_SECRET to a random string of at least ${MIN_SECRET_LENGTH} characters (e.g. openssl rand -hex 32)`);
+  }
+  return secret;
+}
+
+/**
+ * Compute the signature Gather.Town sends with each delivery
+ */
+function signPayload(secret, timestamp, rawBody) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+class WebhookReceiver {
+  constructor(options = {}) {
+    this.secret = options.secret || readSetting('GATHER_WEBHOOK_SECRET');
+    this.path = options.path || '/webhooks/gather';
+    this.toleranceMs = options.toleranceMs ?? 5 * 60 * 1000;
+    this.maxBodyBytes = options.maxBodyBytes ?? MAX_BODY_BYTES;
+    this.handlers = new Map(); // event type (or '*') -> Set of handlers
+    this.seenEvents = new Map(); // event id -> received timestamp
+    this.server = null;
+
+    checkWebhookSecret(this.secret);
+  }
+
+  /**
+   * Subscribe to an event type ('*' for all); returns an unsubscribe function
+   */
+  on(type, handler) {
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.handlers.get(type).delete(handler);
+  }
+
+  /**
+   * Verify signature and freshness of a delivery, then parse it
+   */
+  verify(rawBody, headers) {
+    const signature = headers[SIGNATURE_HEADER];
+    const timestamp = Number(headers[TIMESTAMP_HEADER]);
+
+    if (!signature || !timestamp) {
+      throw new WebhookError(401, 'Missing signature headers');
+    }
+
+    const expected = Buffer.from(signPayload(this.secret, timestamp, rawBody));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      throw new WebhookError(401, 'Invalid webhook signature');
+    }
+
+    const now = Date.now();
+    if (Math.abs(now - timestamp) > this.toleranceMs) {
+      throw new WebhookError(401, 'Webhook timestamp outside tolerance window');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      throw new WebhookError(400, 'Webhook body is not valid JSON');
+    }
+
+    const event = parseEvent(payload);
+
+    this.pruneSeenEvents(now);
+    if (this.seenEvents.has(event.id)) {
+      throw new WebhookError(409, `Replayed webhook event ${event.id}`);
+    }
+    this.seenEvents.set(event.id, now);
+
+    return event;
+  }
+
+  /**
+   * Run every handler subscribed to the event; handler failures are reported, not thrown
+   */
+  async dispatch(event) {
+    const handlers = [
+      ...(this.handlers.get(event.type) || []),
+      ...(this.handlers.get('*') || [])
+    ];
+
+    const results = await Promise.allSettled(handlers.map(async handler => handler(event)));
+    const failures = results.filter(result => result.status === 'rejected');
+
+    failures.forEach((failure) => {
+      logger.warn(`⚠️ Webhook handler failed for ${event.type}: ${failure.reason?.message || failure.reason}`, {
+        eventId: event.id,
+        eventType: event.type
+      });
+    });
+
+    return { handled: handlers.length, failed: failures.length };
+  }
+
+  /**
+   * Node request handler; usable standalone or mounted in another server
+   */
+  async handleRequest(req, res) {
+    if (req.method !== 'POST' || req.url.split('?')[0] !== this.path) {
+      res.writeHead(404);
+      return res.end();
+    }
+
+    try {
+      const rawBody = await readRawBody(req, this.maxBodyBytes);
+      const event = this.verify(rawBody, req.headers);
+
+      res.writeHead(202, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ received: event.id }));
+
+      await this.dispatch(event);
+    } catch (error) {
+      const status = error instanceof WebhookError ? error.status : 500;
+      logger.warn(`⚠️ Rejected webhook delivery: ${error.message}`, { status: error.status });
+      if (!res.headersSent) {
+        // The rest of an oversized body is never read, so the connection cannot be reused
+        const headers = status === 413 ? { 'Content-Type': 'application/json', Connection: 'close' } : { 'Content-Type': 'application/json' };
+        res.writeHead(status, headers);
+        res.end(JSON.stringify({ message: error.message }));
+      }
+    }
+  }
+
+  /**
+   * Start the built-in HTTP listener; resolves with the delivery URL
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      this.server = http.createServer((req, res) => this.handleRequest(req, res));
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        const address = this.server.address();
+        logger.info(`📡 Webhook receiver listening on ${host}:${address.port}${this.path}`);
+        resolve(`http://${host}:${address.port}${this.path}`);
+      });
+    });
+  }
+
+  /**
+   * Stop the built-in HTTP listener
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      this.server.close(() => resolve());
+      this.server = null;
+    });
+  }
+
+  /**
+   * Forget event ids older than the tolerance window; older deliveries fail the timestamp check anyway
+   */
+  pruneSeenEvents(now) {
+    for (const [eventId, receivedAt] of this.seenEvents) {
+      if (now - receivedAt > this.toleranceMs * 2) {
+        this.seenEvents.delete(eventId);
+      }
+    }
+  }
+}
+
+/**
+ * Read the request body as UTF-8, refusing with 413 once it passes maxBytes
+ */
+function readRawBody(req, maxBytes = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new WebhookError(413, `Webhook body exceeds ${maxBytes} bytes`);
+    if (Number(req.headers['content-length']) > maxBytes) {
+      reject(tooLarge());
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        req.off('data', onData);
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+class WebhookError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+    this.name = 'WebhookError';
+  }
+}
+
+module.exports = {
+  WebhookReceiver,
+  WebhookError,
+  EVENT_TYPES,
+  SpaceEvent,
+  GuestJoinedEvent,
+  GuestLeftEvent,
+  ReportFiledEvent,
+  InvitationAcceptedEvent,
+  parseEvent,
+  signPayload,
+  checkWebhookSecret,
+  MAX_BODY_BYTES
+};